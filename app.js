@@ -0,0 +1,182 @@
+// backend/app.js
+const express = require("express");
+const mongoose = require("mongoose");
+const cors = require("cors");
+const fs = require("fs");
+const multer = require("multer");
+
+const { createApiRouter } = require("./routes");
+const { deprecatedApi } = require("./middleware/deprecation");
+const {
+  uploadsDir,
+  categoryUploadsDir,
+  productUploadsDir,
+} = require("./utils/images");
+
+// /api/v1 is the stable API. The bare /api prefix serves the same routes
+// for existing clients but marks every response as deprecated.
+const API_PREFIX = "/api/v1";
+const LEGACY_API_PREFIX = "/api";
+
+// Build the Express app without connecting to the database or listening,
+// so it can be started by server.js or driven directly in scripts.
+const createApp = () => {
+  const app = express();
+
+  // ============================================
+  // 🛡️ MIDDLEWARE
+  // ============================================
+
+  // Behind a reverse proxy set TRUST_PROXY (e.g. "1") so req.ip is the
+  // client's address - login throttling counts failures per IP
+  if (process.env.TRUST_PROXY) {
+    const trustProxy = Number(process.env.TRUST_PROXY);
+    app.set("trust proxy", isNaN(trustProxy) ? process.env.TRUST_PROXY : trustProxy);
+  }
+
+  // CORS middleware should come first
+  app.use(
+    cors({
+      origin: [
+        "http://localhost:5173",
+        "http://localhost:3000",
+        "https://federalpartsphilippines.com",
+        "https://federalpartsphilippines-frontend.vercel.app",
+      ],
+      credentials: true,
+      // Let browsers read the headers deprecated /api responses carry, and
+      // the token a new guest cart hands out
+      exposedHeaders: ["Deprecation", "Sunset", "Link", "X-Cart-Token"],
+    })
+  );
+
+  // Custom middleware to handle JSON parsing errors
+  app.use((req, res, next) => {
+    express.json({ 
+      limit: "50mb",
+      verify: (req, res, buf) => {
+        req.rawBody = buf.toString();
+      }
+    })(req, res, (err) => {
+      if (err) {
+        console.error('❌ JSON parsing error:', err.message);
+        return res.status(400).json({
+          success: false,
+          message: "Invalid JSON in request body"
+        });
+      }
+      next();
+    });
+  });
+
+  app.use(express.urlencoded({ extended: true, limit: "50mb" }));
+
+  // Serve static files from uploads directory
+  app.use("/uploads", express.static(uploadsDir));
+
+  // ============================================
+  // 🛣️ ROUTES
+  // ============================================
+
+  app.get("/", (req, res) => {
+    const dbStatus = mongoose.connection.readyState === 1 ? "connected" : "disconnected";
+    const uptime = process.uptime();
+    const uptimeFormatted = `${Math.floor(uptime / 3600)}h ${Math.floor((uptime % 3600) / 60)}m ${Math.floor(uptime % 60)}s`;
+
+    res.json({
+      success: true,
+      message: "🚀 Federal Parts Philippines Backend API",
+      status: "Server is running",
+      version: "1.0.0",
+      timestamp: new Date().toISOString(),
+      uptime: uptimeFormatted,
+      database: dbStatus,
+      endpoints: {
+        api: "/api/v1",
+        products: "/api/v1/products",
+        categories: "/api/v1/categories",
+        health: "/health",
+        uploads: "/uploads",
+      },
+    });
+  });
+
+  app.get("/health", (req, res) => {
+    const dbStatus =
+      mongoose.connection.readyState === 1 ? "connected" : "disconnected";
+    res.json({
+      status: "UP",
+      database: dbStatus,
+      uptime: process.uptime(),
+      uploadsPath: uploadsDir,
+      directories: {
+        uploads: fs.existsSync(uploadsDir) ? fs.readdirSync(uploadsDir) : [],
+        products: fs.existsSync(productUploadsDir) ? fs.readdirSync(productUploadsDir) : [],
+        categories: fs.existsSync(categoryUploadsDir) ? fs.readdirSync(categoryUploadsDir) : []
+      }
+    });
+  });
+
+  const apiRouter = createApiRouter();
+  app.use(API_PREFIX, apiRouter);
+  app.use(
+    LEGACY_API_PREFIX,
+    deprecatedApi({ successor: API_PREFIX }),
+    apiRouter
+  );
+
+  // ============================================
+  // 🚨 ERROR HANDLING
+  // ============================================
+
+  // Multer error handler
+  app.use((err, req, res, next) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return res.status(400).json({
+          success: false,
+          message: "File size too large. Maximum size is 5MB",
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: err.message,
+      });
+    }
+  
+    // Handle JSON parsing errors
+    if (err instanceof SyntaxError && err.status === 400 && 'body' in err) {
+      console.error('❌ JSON parsing error:', err.message);
+      return res.status(400).json({
+        success: false,
+        message: "Invalid JSON in request body"
+      });
+    }
+  
+    next(err);
+  });
+
+  // 404 - Route not found
+  app.use("*", (req, res) => {
+    res.status(404).json({
+      success: false,
+      message: "Route not found",
+      requestedUrl: req.originalUrl,
+    });
+  });
+
+  // Global error handler
+  app.use((err, req, res, next) => {
+    console.error("🔥 Server Error:", err.message);
+    console.error("🔥 Error stack:", err.stack);
+    res.status(500).json({
+      success: false,
+      message: "Internal Server Error",
+      error: process.env.NODE_ENV === "development" ? err.message : undefined,
+    });
+  });
+
+  return app;
+};
+
+module.exports = { createApp, API_PREFIX, LEGACY_API_PREFIX };
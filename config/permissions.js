@@ -0,0 +1,72 @@
+// Roles and what each one is allowed to do.
+// Permissions are "<resource>:<action>" strings; "*" grants everything.
+// Anything not listed for a role (e.g. "users:manage" or
+// "system:maintenance" for seeding/clearing data) is super_admin only.
+
+const ROLES = [
+  "customer",
+  "user", // Legacy name for customer, kept so old accounts still validate
+  "inventory_clerk",
+  "content_editor",
+  "order_manager",
+  "admin",
+  "super_admin",
+];
+
+const ROLE_PERMISSIONS = {
+  customer: [],
+  user: [],
+  inventory_clerk: ["products:read", "stock:write", "orders:read"],
+  content_editor: [
+    "products:read",
+    "products:write",
+    "categories:write",
+    "brands:write",
+    "motorcycles:write",
+    "uploads:write",
+  ],
+  order_manager: ["products:read", "orders:read", "orders:write"],
+  admin: [
+    "products:read",
+    "products:write",
+    "products:delete",
+    "stock:write",
+    "warehouses:write",
+    "purchasing:write",
+    "promotions:write",
+    "categories:write",
+    "categories:delete",
+    "brands:write",
+    "brands:delete",
+    "motorcycles:write",
+    "uploads:write",
+    "orders:read",
+    "orders:write",
+    "users:read",
+    "users:invite",
+    "users:unlock",
+  ],
+  super_admin: ["*"],
+};
+
+// Roles that pass the classic adminAuth check
+const ADMIN_ROLES = ["admin", "super_admin"];
+
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => {
+  const permissions = getPermissions(role);
+  return permissions.includes("*") || permissions.includes(permission);
+};
+
+// Staff = any role with at least one permission
+const isStaffRole = (role) => getPermissions(role).length > 0;
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  ADMIN_ROLES,
+  getPermissions,
+  hasPermission,
+  isStaffRole,
+};
@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const Brand = require('../models/Brand');
 const Product = require('../models/Product');
 const Category = require('../models/Category');
@@ -570,8 +571,14 @@ exports.updateBrand = async (req, res) => {
       }
     }
     
+    const renamed = brand.isModified('name');
     await brand.save();
     
+    // Linked products show the brand name, so keep it current
+    if (renamed) {
+      await Product.updateMany({ brandRef: brand._id }, { brand: brand.name });
+    }
+    
     // Process response with full image URLs
     const brandObj = brand.toObject();
     
@@ -614,7 +621,7 @@ exports.deleteBrand = async (req, res) => {
     }
     
     // Check if brand has associated products
-    const productCount = await Product.countDocuments({ brand: id, isActive: true });
+    const productCount = await Product.countDocuments({ brandRef: id, isActive: true });
     if (productCount > 0) {
       return res.status(400).json({
         success: false,
@@ -715,12 +722,12 @@ exports.getBrandProducts = async (req, res) => {
     
     // Build product filter
     const filter = { 
-      brand: id,
+      brandRef: id,
       isActive: true 
     };
     
     if (category && category !== 'all' && category !== 'null') {
-      filter.category = category;
+      filter.categories = category;
     }
     
     if (search) {
@@ -808,7 +815,7 @@ exports.getBrandsWithStats = async (req, res) => {
         
         // Get product count
         const productCount = await Product.countDocuments({ 
-          brand: brand._id, 
+          brandRef: brand._id, 
           isActive: true 
         });
         
@@ -937,13 +944,13 @@ exports.bulkDeleteBrands = async (req, res) => {
     const brandsWithProducts = await Product.aggregate([
       {
         $match: {
-          brand: { $in: validBrandIds.map(id => mongoose.Types.ObjectId(id)) },
+          brandRef: { $in: validBrandIds.map(id => new mongoose.Types.ObjectId(id)) },
           isActive: true
         }
       },
       {
         $group: {
-          _id: '$brand',
+          _id: '$brandRef',
           productCount: { $sum: 1 }
         }
       }
@@ -1004,7 +1011,7 @@ exports.getPopularBrands = async (req, res) => {
               $match: {
                 $expr: {
                   $and: [
-                    { $eq: ['$brand', '$$brandId'] },
+                    { $eq: ['$brandRef', '$$brandId'] },
                     { $eq: ['$isActive', true] }
                   ]
                 }
@@ -1197,9 +1204,12 @@ exports.clearAllBrands = async (req, res) => {
   try {
     // Check if any brands have associated products
     const brandsWithProducts = await Product.aggregate([
+      {
+        $match: { brandRef: { $ne: null } }
+      },
       {
         $group: {
-          _id: '$brand',
+          _id: '$brandRef',
           productCount: { $sum: 1 }
         }
       },
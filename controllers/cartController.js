@@ -1,23 +1,76 @@
+const mongoose = require("mongoose");
 const Cart = require("../models/Cart");
+const Coupon = require("../models/Coupon");
 const Product = require("../models/Product");
+const StockReservation = require("../models/StockReservation");
+const { availableStock } = require("../utils/reservations");
+const { validateCart } = require("../utils/cartValidation");
+const { effectivePrice } = require("../utils/salePricing");
+const { CART_TOKEN_HEADER, guestTokenFrom } = require("../utils/guestCart");
 
-// Get user's cart
+// The shopper's cart: the user's when logged in, otherwise the guest cart
+// named by the cart token. Null when there isn't one yet.
+const findCart = (req) =>
+  req.user
+    ? Cart.findOne({ user: req.user.userId })
+    : Cart.findByGuestToken(guestTokenFrom(req));
+
+// Like findCart, but starts a new (unsaved) cart when there is none.
+// `token` is set only when a new guest cart was started.
+const findOrStartCart = async (req) => {
+  const cart = await findCart(req);
+  if (cart) return { cart, token: null };
+  if (req.user) {
+    return { cart: new Cart({ user: req.user.userId, items: [] }), token: null };
+  }
+  return Cart.newGuest();
+};
+
+// Reply for a quantity that is more than other carts leave available
+const insufficientStock = (res, available) =>
+  res.status(400).json({
+    success: false,
+    message:
+      available > 0
+        ? `Only ${available} available`
+        : "This item is currently out of stock",
+    available,
+  });
+
+// Get the user's or guest's cart
 exports.getCart = async (req, res) => {
   try {
-    const userId = req.user.id; // Assuming user is authenticated
+    let cart = await findCart(req);
+
+    if (!cart && req.user) {
+      cart = await Cart.create({ user: req.user.userId, items: [] });
+    } else if (!cart) {
+      // Guests get a cart (and token) once they add something
+      cart = new Cart({ items: [] });
+    }
 
-    let cart = await Cart.findOne({ user: userId }).populate({
-      path: "items.product",
-      select: "name price images stock",
+    // Re-check every line against the live product so the cart always shows
+    // current prices, and flag anything that can't be ordered as it stands
+    const { items, warnings, totals, coupon, changed } = await validateCart(cart, {
+      userId: req.user ? req.user.userId : null,
     });
 
-    if (!cart) {
-      cart = await Cart.create({ user: userId, items: [] });
+    if (changed) {
+      await cart.save();
     }
 
     res.status(200).json({
       success: true,
-      cart,
+      cart: {
+        _id: cart._id,
+        user: cart.user,
+        items,
+        coupon,
+        totalPrice: totals.total,
+        updatedAt: cart.updatedAt,
+      },
+      totals,
+      warnings,
     });
   } catch (error) {
     res.status(500).json({
@@ -31,66 +84,88 @@ exports.getCart = async (req, res) => {
 // Add item to cart
 exports.addToCart = async (req, res) => {
   try {
-    const { productId, quantity = 1 } = req.body;
-    const userId = req.user.id;
+    const { productId, variantId } = req.body;
+    const quantity = parseInt(req.body.quantity) || 1;
+
+    if (quantity < 1) {
+      return res.status(400).json({
+        success: false,
+        message: "Quantity must be at least 1",
+      });
+    }
 
     // Check if product exists
-    const product = await Product.findById(productId);
-    if (!product) {
+    const product = mongoose.Types.ObjectId.isValid(productId)
+      ? await Product.findById(productId)
+      : null;
+    if (!product || !product.isActive || product.isArchived) {
       return res.status(404).json({
         success: false,
         message: "Product not found",
       });
     }
 
-    // Check stock
-    if (product.stock < quantity) {
-      return res.status(400).json({
-        success: false,
-        message: "Insufficient stock",
-      });
+    // Products sold in variants need one picked
+    let variant = null;
+    if (product.variants.length > 0) {
+      variant = product.getVariant(variantId);
+      if (!variant || !variant.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: variantId
+            ? "Variant not found"
+            : "Please choose an option for this product",
+          options: product.options,
+        });
+      }
     }
 
-    let cart = await Cart.findOne({ user: userId });
+    const price = effectivePrice(product, variant);
+    const variantKey = variant ? variant._id.toString() : null;
 
-    if (!cart) {
-      // Create new cart
-      cart = new Cart({
-        user: userId,
-        items: [
-          {
-            product: productId,
-            quantity,
-            price: product.discountedPrice || product.price,
-          },
-        ],
-      });
+    const { cart, token } = await findOrStartCart(req);
+
+    // Check if this product (and variant) is already in cart
+    const existingItem = cart.items.find(
+      (item) =>
+        item.product.toString() === productId &&
+        (item.variant ? item.variant.toString() : null) === variantKey
+    );
+    const lineQuantity = (existingItem ? existingItem.quantity : 0) + quantity;
+
+    // Check stock, leaving out what other carts are holding
+    const available = await availableStock(product, variant, cart._id);
+    if (available < lineQuantity) {
+      return insufficientStock(res, available);
+    }
+
+    if (existingItem) {
+      existingItem.quantity = lineQuantity;
     } else {
-      // Check if product already in cart
-      const existingItemIndex = cart.items.findIndex(
-        (item) => item.product.toString() === productId
-      );
-
-      if (existingItemIndex > -1) {
-        // Update quantity
-        cart.items[existingItemIndex].quantity += quantity;
-      } else {
-        // Add new item
-        cart.items.push({
-          product: productId,
-          quantity,
-          price: product.discountedPrice || product.price,
-        });
-      }
+      cart.items.push({
+        product: productId,
+        variant: variantKey,
+        quantity,
+        price,
+      });
     }
 
     await cart.save();
+    await StockReservation.hold(cart._id, product._id, variantKey, lineQuantity);
 
-    res.status(200).json({
+    const response = {
       success: true,
       message: "Product added to cart",
       cart,
-    });
+    };
+
+    // A new guest cart: the client keeps this token and sends it back
+    if (token) {
+      res.set(CART_TOKEN_HEADER, token);
+      response.cartToken = token;
+    }
+
+    res.status(200).json(response);
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -104,10 +179,16 @@ exports.addToCart = async (req, res) => {
 exports.updateCartItem = async (req, res) => {
   try {
     const { itemId } = req.params;
-    const { quantity } = req.body;
-    const userId = req.user.id;
+    const quantity = parseInt(req.body.quantity);
 
-    const cart = await Cart.findOne({ user: userId });
+    if (!quantity || quantity < 1) {
+      return res.status(400).json({
+        success: false,
+        message: "Quantity must be at least 1",
+      });
+    }
+
+    const cart = await findCart(req);
 
     if (!cart) {
       return res.status(404).json({
@@ -128,16 +209,31 @@ exports.updateCartItem = async (req, res) => {
     }
 
     // Check stock
-    const product = await Product.findById(cart.items[itemIndex].product);
-    if (product.stock < quantity) {
+    const item = cart.items[itemIndex];
+    const product = await Product.findById(item.product);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    const variant = item.variant ? product.getVariant(item.variant) : null;
+    if (item.variant && !variant) {
       return res.status(400).json({
         success: false,
-        message: "Insufficient stock",
+        message: "Variant not found",
       });
     }
 
+    const available = await availableStock(product, variant, cart._id);
+    if (available < quantity) {
+      return insufficientStock(res, available);
+    }
+
     cart.items[itemIndex].quantity = quantity;
     await cart.save();
+    await StockReservation.hold(cart._id, item.product, item.variant, quantity);
 
     res.status(200).json({
       success: true,
@@ -157,9 +253,8 @@ exports.updateCartItem = async (req, res) => {
 exports.removeFromCart = async (req, res) => {
   try {
     const { itemId } = req.params;
-    const userId = req.user.id;
 
-    const cart = await Cart.findOne({ user: userId });
+    const cart = await findCart(req);
 
     if (!cart) {
       return res.status(404).json({
@@ -168,9 +263,13 @@ exports.removeFromCart = async (req, res) => {
       });
     }
 
+    const removed = cart.items.find((item) => item._id.toString() === itemId);
     cart.items = cart.items.filter((item) => item._id.toString() !== itemId);
 
     await cart.save();
+    if (removed) {
+      await StockReservation.release(cart._id, removed.product, removed.variant);
+    }
 
     res.status(200).json({
       success: true,
@@ -189,9 +288,7 @@ exports.removeFromCart = async (req, res) => {
 // Clear cart
 exports.clearCart = async (req, res) => {
   try {
-    const userId = req.user.id;
-
-    const cart = await Cart.findOne({ user: userId });
+    const cart = await findCart(req);
 
     if (!cart) {
       return res.status(404).json({
@@ -202,6 +299,7 @@ exports.clearCart = async (req, res) => {
 
     cart.items = [];
     await cart.save();
+    await StockReservation.release(cart._id);
 
     res.status(200).json({
       success: true,
@@ -215,3 +313,89 @@ exports.clearCart = async (req, res) => {
     });
   }
 };
+
+// Apply a coupon code to the cart and return the line-by-line breakdown
+exports.applyCoupon = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: "Coupon code is required",
+      });
+    }
+
+    const cart = await findCart(req);
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Your cart is empty",
+      });
+    }
+
+    const coupon = await Coupon.findByCode(code);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: "Coupon not found",
+      });
+    }
+
+    cart.coupon = coupon._id;
+    const result = await validateCart(cart, {
+      userId: req.user ? req.user.userId : null,
+    });
+
+    if (!result.coupon.applied) {
+      return res.status(400).json({
+        success: false,
+        message: result.coupon.message,
+      });
+    }
+
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Coupon ${coupon.code} applied`,
+      coupon: result.coupon,
+      items: result.items,
+      totals: result.totals,
+      warnings: result.warnings,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// Take the coupon off the cart
+exports.removeCoupon = async (req, res) => {
+  try {
+    const cart = await findCart(req);
+
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: "Cart not found",
+      });
+    }
+
+    cart.coupon = null;
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Coupon removed",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
@@ -2,83 +2,99 @@
 const Category = require("../models/Category");
 const Product = require("../models/Product");
 const mongoose = require("mongoose");
+const {
+  getImageUrl,
+  deleteImageFile,
+  saveBase64Image,
+} = require("../utils/images");
+const {
+  updateCategoryProductCount,
+  updateAllCategoryProductCounts,
+} = require("../utils/categoryCounts");
 
 // Get all categories with optional filtering
 exports.getAllCategories = async (req, res) => {
   try {
-    const {
-      includeTree = "false",
-      includeStats = "false",
-      activeOnly = "false",
-      search = "",
-    } = req.query;
+    const { includeInactive, search, parent, includeTree } = req.query;
+
+    let filter = {};
 
-    let query = {};
+    if (!includeInactive || includeInactive === "false") {
+      filter.isActive = true;
+    }
+
+    if (parent === "null" || parent === "none") {
+      filter.parentCategory = null;
+    } else if (parent) {
+      filter.parentCategory = parent;
+    }
 
-    // Search filter
     if (search) {
-      query.$or = [
+      filter.$or = [
         { name: { $regex: search, $options: "i" } },
         { description: { $regex: search, $options: "i" } },
       ];
     }
 
-    // Active only filter
-    if (activeOnly === "true") {
-      query.isActive = true;
-    }
-
     let categories;
 
     if (includeTree === "true") {
-      // Get categories with hierarchical structure
-      categories = await Category.find(query)
+      categories = await Category.find(filter)
         .populate({
           path: "children",
-          match: activeOnly === "true" ? { isActive: true } : {},
-          options: { sort: { name: 1 } },
+          match: { isActive: true },
+          options: { sort: { order: 1, name: 1 } },
         })
-        .sort({ name: 1 });
+        .sort({ order: 1, name: 1 });
 
-      // Filter to get only parent categories for tree view
       categories = categories.filter((cat) => !cat.parentCategory);
     } else {
-      // Get flat list of categories
-      categories = await Category.find(query).sort({ name: 1 });
+      categories = await Category.find(filter).sort({ order: 1, name: 1 });
     }
 
-    // Include product count stats if requested
-    if (includeStats === "true") {
-      const categoriesWithStats = await Promise.all(
-        categories.map(async (category) => {
+    const processedCategories = await Promise.all(
+      categories.map(async (category) => {
+        const categoryObj = category.toObject();
+
+        if (categoryObj.image) {
+          categoryObj.image = getImageUrl(categoryObj.image, "category");
+        }
+
+        if (categoryObj.productCount === undefined || categoryObj.productCount === null) {
           const productCount = await Product.countDocuments({
-            category: category._id,
+            categories: categoryObj._id,
             isActive: true,
           });
-          return {
-            ...category.toObject(),
-            productCount,
-          };
-        })
-      );
+          categoryObj.productCount = productCount;
+        }
 
-      return res.json({
-        success: true,
-        count: categories.length,
-        categories: categoriesWithStats,
-      });
-    }
+        if (includeTree === "true" && categoryObj.children && categoryObj.children.length > 0) {
+          let totalProductCount = categoryObj.productCount || 0;
+          for (const child of categoryObj.children) {
+            const childProductCount = await Product.countDocuments({
+              categories: child._id,
+              isActive: true,
+            });
+            child.productCount = childProductCount;
+            totalProductCount += childProductCount;
+          }
+          categoryObj.totalProductCount = totalProductCount;
+        }
+
+        return categoryObj;
+      })
+    );
 
     res.json({
       success: true,
+      categories: processedCategories,
       count: categories.length,
-      categories,
     });
   } catch (error) {
-    console.error("Get categories error:", error);
+    console.error("❌ Categories error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error while fetching categories",
+      message: "Error fetching categories",
       error: error.message,
     });
   }
@@ -96,7 +112,9 @@ exports.getCategoryById = async (req, res) => {
       });
     }
 
-    const category = await Category.findById(id);
+    const category = await Category.findById(id)
+      .populate("children")
+      .populate("parentCategory");
 
     if (!category) {
       return res.status(404).json({
@@ -105,26 +123,49 @@ exports.getCategoryById = async (req, res) => {
       });
     }
 
-    // Get product count
+    const categoryObj = category.toObject();
+    if (categoryObj.image) {
+      categoryObj.image = getImageUrl(categoryObj.image, "category");
+    }
+
     const productCount = await Product.countDocuments({
-      category: id,
+      categories: id,
       isActive: true,
     });
+    categoryObj.productCount = productCount;
 
-    const categoryWithStats = {
-      ...category.toObject(),
-      productCount,
-    };
+    const recentProducts = await Product.find({
+      categories: id,
+      isActive: true,
+    })
+      .limit(5)
+      .sort({ createdAt: -1 })
+      .select("name price images featured categories");
+
+    const processedRecentProducts = recentProducts.map((product) => {
+      const productObj = product.toObject();
+      if (productObj.images && productObj.images.length > 0) {
+        const firstImage = productObj.images[0];
+        if (firstImage && !firstImage.startsWith("http") && !firstImage.startsWith("/uploads/")) {
+          productObj.imageUrl = getImageUrl(firstImage, "product");
+        } else {
+          productObj.imageUrl = firstImage;
+        }
+      }
+      return productObj;
+    });
 
     res.json({
       success: true,
-      category: categoryWithStats,
+      category: categoryObj,
+      productCount: productCount,
+      recentProducts: processedRecentProducts,
     });
   } catch (error) {
-    console.error("Get category error:", error);
+    console.error("❌ Category error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error while fetching category",
+      message: "Error fetching category",
       error: error.message,
     });
   }
@@ -133,79 +174,104 @@ exports.getCategoryById = async (req, res) => {
 // Create new category
 exports.createCategory = async (req, res) => {
   try {
-    const { name, description, image, parentCategory, isActive } = req.body;
+    const {
+      name,
+      description,
+      parentCategory,
+      isActive = true,
+      order = 0,
+      seoTitle,
+      seoDescription,
+      seoKeywords,
+    } = req.body;
+
+    console.log("📥 Creating category with data:", {
+      name,
+      parentCategory,
+      parentCategoryType: typeof parentCategory,
+    });
 
-    // Validate required fields
-    if (!name || name.trim() === "") {
+    if (!name || !name.trim()) {
       return res.status(400).json({
         success: false,
         message: "Category name is required",
       });
     }
 
-    // Check for duplicate category name at same level
-    const duplicateQuery = {
-      name: { $regex: new RegExp(`^${name.trim()}$`, "i") },
-    };
-
-    if (parentCategory) {
-      if (!mongoose.Types.ObjectId.isValid(parentCategory)) {
-        return res.status(400).json({
-          success: false,
-          message: "Invalid parent category ID",
-        });
-      }
-      duplicateQuery.parentCategory = parentCategory;
-    } else {
-      duplicateQuery.parentCategory = null;
-    }
-
-    const existingCategory = await Category.findOne(duplicateQuery);
-
+    const existingCategory = await Category.findOne({ name: name.trim() });
     if (existingCategory) {
       return res.status(400).json({
         success: false,
-        message: "Category with this name already exists at this level",
+        message: "Category with this name already exists",
       });
     }
 
-    // Validate parent category exists if provided
-    if (parentCategory) {
-      const parentExists = await Category.findById(parentCategory);
-      if (!parentExists) {
-        return res.status(400).json({
-          success: false,
-          message: "Parent category not found",
-        });
+    let imageFilename = "";
+    if (req.file) {
+      imageFilename = req.file.filename;
+    }
+
+    // FIXED: Properly handle parentCategory value
+    let validParentCategory = null;
+    
+    // Check if parentCategory is provided and valid
+    if (parentCategory && parentCategory.trim() !== "") {
+      // Handle different formats
+      if (mongoose.Types.ObjectId.isValid(parentCategory)) {
+        // It's already a valid ObjectId string
+        validParentCategory = parentCategory;
+      } else if (parentCategory === "null" || parentCategory === "undefined") {
+        validParentCategory = null;
+      } else if (typeof parentCategory === "string" && parentCategory.includes("_id")) {
+        // Try to extract ObjectId from stringified object
+        try {
+          // Remove any quotes and parse
+          const cleanParentCategory = parentCategory.replace(/"/g, '');
+          const match = cleanParentCategory.match(/[0-9a-fA-F]{24}/);
+          if (match && mongoose.Types.ObjectId.isValid(match[0])) {
+            validParentCategory = match[0];
+          }
+        } catch (e) {
+          console.warn("Could not extract ObjectId from parentCategory string:", parentCategory);
+        }
+      } else if (parentCategory === "[object Object]") {
+        console.warn("⚠️ Received [object Object] as parentCategory, setting to null");
+        validParentCategory = null;
+      } else {
+        console.warn("⚠️ Invalid parentCategory format:", parentCategory);
+        validParentCategory = null;
       }
     }
 
-    // Create category
+    console.log("📊 Setting parentCategory to:", validParentCategory);
+
     const category = new Category({
       name: name.trim(),
-      description: description?.trim() || "",
-      image: image || "",
-      parentCategory: parentCategory || null,
-      isActive: isActive !== undefined ? isActive : true,
+      description: description ? description.trim() : "",
+      parentCategory: validParentCategory,
+      isActive: isActive,
+      order: order || 0,
+      seoTitle: seoTitle ? seoTitle.trim() : "",
+      seoDescription: seoDescription ? seoDescription.trim() : "",
+      seoKeywords: seoKeywords ? seoKeywords.trim() : "",
+      image: imageFilename,
+      productCount: 0,
     });
 
     await category.save();
 
+    const categoryObj = category.toObject();
+    if (imageFilename) {
+      categoryObj.image = getImageUrl(imageFilename, "category");
+    }
+
     res.status(201).json({
       success: true,
       message: "Category created successfully",
-      category,
+      category: categoryObj,
     });
   } catch (error) {
-    console.error("Create category error:", error);
-
-    if (error.code === 11000) {
-      return res.status(400).json({
-        success: false,
-        message: "Category name already exists",
-      });
-    }
-
+    console.error("❌ Create category error:", error);
     res.status(400).json({
       success: false,
       message: "Error creating category",
@@ -227,7 +293,6 @@ exports.updateCategory = async (req, res) => {
     }
 
     const category = await Category.findById(id);
-
     if (!category) {
       return res.status(404).json({
         success: false,
@@ -235,97 +300,127 @@ exports.updateCategory = async (req, res) => {
       });
     }
 
-    const { name, description, image, parentCategory, isActive } = req.body;
-
-    // Check for duplicate name if name is being updated
-    if (name && name.trim() !== category.name) {
-      const duplicateQuery = {
-        name: { $regex: new RegExp(`^${name.trim()}$`, "i") },
-        _id: { $ne: id },
-      };
-
-      const parentCat =
-        parentCategory !== undefined ? parentCategory : category.parentCategory;
-
-      if (parentCat) {
-        duplicateQuery.parentCategory = parentCat;
-      } else {
-        duplicateQuery.parentCategory = null;
-      }
-
-      const existingCategory = await Category.findOne(duplicateQuery);
+    const {
+      name,
+      description,
+      parentCategory,
+      isActive,
+      order,
+      seoTitle,
+      seoDescription,
+      seoKeywords,
+    } = req.body;
+
+    console.log("📥 Updating category with data:", {
+      name,
+      parentCategory,
+      parentCategoryType: typeof parentCategory,
+    });
 
-      if (existingCategory) {
+    if (name !== undefined) {
+      if (!name.trim()) {
         return res.status(400).json({
           success: false,
-          message: "Category with this name already exists at this level",
+          message: "Category name cannot be empty",
         });
       }
-    }
 
-    // Prevent setting a category as its own parent
-    if (parentCategory && parentCategory.toString() === id) {
-      return res.status(400).json({
-        success: false,
-        message: "Category cannot be its own parent",
+      const existingCategory = await Category.findOne({
+        name: name.trim(),
+        _id: { $ne: id },
       });
-    }
-
-    // Check for circular reference
-    if (parentCategory) {
-      let currentParent = parentCategory;
-      while (currentParent) {
-        if (currentParent.toString() === id) {
-          return res.status(400).json({
-            success: false,
-            message: "Circular reference detected in category hierarchy",
-          });
-        }
-
-        const parentCat = await Category.findById(currentParent);
-        if (!parentCat || !parentCat.parentCategory) break;
-        currentParent = parentCat.parentCategory;
-      }
-    }
-
-    // Validate parent category exists if provided
-    if (parentCategory) {
-      const parentExists = await Category.findById(parentCategory);
-      if (!parentExists) {
+      if (existingCategory) {
         return res.status(400).json({
           success: false,
-          message: "Parent category not found",
+          message: "Category with this name already exists",
         });
       }
+      category.name = name.trim();
     }
 
-    // Update fields
-    if (name !== undefined) category.name = name.trim();
     if (description !== undefined)
-      category.description = description?.trim() || "";
-    if (image !== undefined) category.image = image || "";
+      category.description = description ? description.trim() : "";
+    
+    // FIXED: Properly handle parentCategory in update
     if (parentCategory !== undefined) {
-      category.parentCategory = parentCategory || null;
+      let validParentCategory = null;
+      
+      if (parentCategory && parentCategory.trim() !== "") {
+        // Handle different formats
+        if (mongoose.Types.ObjectId.isValid(parentCategory)) {
+          validParentCategory = parentCategory;
+        } else if (parentCategory === "null" || parentCategory === "undefined") {
+          validParentCategory = null;
+        } else if (typeof parentCategory === "string" && parentCategory.includes("_id")) {
+          // Try to extract ObjectId from stringified object
+          try {
+            const cleanParentCategory = parentCategory.replace(/"/g, '');
+            const match = cleanParentCategory.match(/[0-9a-fA-F]{24}/);
+            if (match && mongoose.Types.ObjectId.isValid(match[0])) {
+              validParentCategory = match[0];
+            }
+          } catch (e) {
+            console.warn("Could not extract ObjectId from parentCategory string:", parentCategory);
+          }
+        } else if (parentCategory === "[object Object]") {
+          console.warn("⚠️ Received [object Object] as parentCategory, setting to null");
+          validParentCategory = null;
+        } else {
+          console.warn("⚠️ Invalid parentCategory format:", parentCategory);
+          validParentCategory = null;
+        }
+      }
+      
+      category.parentCategory = validParentCategory;
+      console.log("📊 Setting parentCategory to:", validParentCategory);
     }
+    
     if (isActive !== undefined) category.isActive = isActive;
+    if (order !== undefined) category.order = order;
+    if (seoTitle !== undefined)
+      category.seoTitle = seoTitle ? seoTitle.trim() : "";
+    if (seoDescription !== undefined)
+      category.seoDescription = seoDescription ? seoDescription.trim() : "";
+    if (seoKeywords !== undefined)
+      category.seoKeywords = seoKeywords ? seoKeywords.trim() : "";
+
+    if (req.file) {
+      if (category.image) {
+        deleteImageFile(category.image);
+      }
+      category.image = req.file.filename;
+    } else if (req.body.removeImage === "true") {
+      if (category.image) {
+        deleteImageFile(category.image);
+        category.image = "";
+      }
+    } else if (req.body.image && req.body.image.startsWith("data:image/")) {
+      if (category.image) {
+        deleteImageFile(category.image);
+      }
+      const filename = saveBase64Image(req.body.image, "category");
+      if (filename) {
+        category.image = filename;
+      }
+    }
 
     await category.save();
 
+    const categoryObj = category.toObject();
+    if (categoryObj.image) {
+      categoryObj.image = getImageUrl(categoryObj.image, "category");
+    }
+
+    await updateCategoryProductCount(id);
+
     res.json({
       success: true,
       message: "Category updated successfully",
-      category,
+      category: categoryObj,
     });
   } catch (error) {
-    console.error("Update category error:", error);
-
-    if (error.code === 11000) {
-      return res.status(400).json({
-        success: false,
-        message: "Category name already exists",
-      });
-    }
-
+    console.error("❌ Update category error:", error);
+    console.error("❌ Error details:", error);
     res.status(400).json({
       success: false,
       message: "Error updating category",
@@ -347,7 +442,6 @@ exports.deleteCategory = async (req, res) => {
     }
 
     const category = await Category.findById(id);
-
     if (!category) {
       return res.status(404).json({
         success: false,
@@ -355,37 +449,47 @@ exports.deleteCategory = async (req, res) => {
       });
     }
 
-    // Check if category has products
-    const productCount = await Product.countDocuments({ category: id });
-
-    if (productCount > 0) {
+    const childCount = await Category.countDocuments({ parentCategory: id });
+    if (childCount > 0) {
       return res.status(400).json({
         success: false,
-        message: `Cannot delete category with ${productCount} product(s). Please reassign products first.`,
+        message:
+          "Cannot delete category with sub-categories. Please delete sub-categories first.",
       });
     }
 
-    // Check if category has children
-    const childCount = await Category.countDocuments({ parentCategory: id });
-
-    if (childCount > 0) {
+    const productCount = await Product.countDocuments({
+      categories: id,
+      isActive: true,
+    });
+    if (productCount > 0) {
       return res.status(400).json({
         success: false,
-        message: `Cannot delete category with ${childCount} sub-category(ies). Please delete or reassign sub-categories first.`,
+        message:
+          "Cannot delete category with products. Please reassign or delete products first.",
+        productCount: productCount,
       });
     }
 
-    await Category.findByIdAndDelete(id);
+    if (category.image) {
+      deleteImageFile(category.image);
+    }
+
+    await category.deleteOne();
+
+    if (category.parentCategory) {
+      await updateCategoryProductCount(category.parentCategory);
+    }
 
     res.json({
       success: true,
       message: "Category deleted successfully",
     });
   } catch (error) {
-    console.error("Delete category error:", error);
+    console.error("❌ Delete category error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error while deleting category",
+      message: "Error deleting category",
       error: error.message,
     });
   }
@@ -633,7 +737,7 @@ exports.getRootCategories = async (req, res) => {
         rootCategories.map(async (category) => {
           // Get product count for this root category
           const productCount = await Product.countDocuments({
-            category: category._id,
+            categories: category._id,
             isActive: true,
           });
 
@@ -690,7 +794,7 @@ exports.getCategoryTree = async (req, res) => {
           
           // Get product count for this category
           const productCount = await Product.countDocuments({
-            category: category._id,
+            categories: category._id,
             isActive: true,
           });
 
@@ -809,24 +913,41 @@ exports.reassignCategoryProducts = async (req, res) => {
       });
     }
 
-    // Reassign products
-    const result = await Product.updateMany(
-      { category: sourceCategoryId },
-      { $set: { category: targetCategoryId } }
-    );
+    // Move every product from the source to the target category, keeping
+    // the target as primary wherever the source was primary
+    const products = await Product.find({ categories: sourceCategoryId });
+    let modifiedCount = 0;
+
+    for (const product of products) {
+      const wasPrimary =
+        product.category &&
+        product.category.toString() === sourceCategoryId.toString();
+
+      product.removeCategory(sourceCategoryId);
+      if (wasPrimary) {
+        product.category = targetCategoryId;
+      } else {
+        product.addCategory(targetCategoryId);
+      }
+
+      await product.save();
+      modifiedCount++;
+    }
+
+    await updateCategoryProductCount(sourceCategoryId);
+    await updateCategoryProductCount(targetCategoryId);
 
-    // Update product count in categories
     const sourceProductCount = await Product.countDocuments({
-      category: sourceCategoryId,
+      categories: sourceCategoryId,
     });
     const targetProductCount = await Product.countDocuments({
-      category: targetCategoryId,
+      categories: targetCategoryId,
     });
 
     res.json({
       success: true,
-      message: `${result.modifiedCount} products reassigned from "${sourceCategory.name}" to "${targetCategory.name}"`,
-      modifiedCount: result.modifiedCount,
+      message: `${modifiedCount} products reassigned from "${sourceCategory.name}" to "${targetCategory.name}"`,
+      modifiedCount,
       counts: {
         sourceCategory: {
           _id: sourceCategoryId,
@@ -960,4 +1081,124 @@ exports.moveCategory = async (req, res) => {
       error: error.message,
     });
   }
-};
\ No newline at end of file
+};
+// Recalculate the product count of every category
+exports.updateProductCounts = async (req, res) => {
+  try {
+    console.log("🔄 Manual request to update category product counts...");
+    const result = await updateAllCategoryProductCounts();
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        message: result.message,
+        totalCategories: result.totalCategories,
+        updated: result.updated,
+        timestamp: new Date().toISOString(),
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: result.message,
+      });
+    }
+  } catch (error) {
+    console.error("❌ Error in update-counts endpoint:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating category product counts",
+      error: error.message,
+    });
+  }
+};
+
+// Link many products to one category
+exports.linkProducts = async (req, res) => {
+  try {
+    const { categoryId } = req.params;
+    const { productIds } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(categoryId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid category ID format",
+      });
+    }
+
+    if (!Array.isArray(productIds) || productIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No product IDs provided",
+      });
+    }
+
+    const category = await Category.findById(categoryId);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    const categoryIdStr = categoryId.toString();
+    const results = [];
+    let linkedCount = 0;
+    let alreadyLinkedCount = 0;
+    let errorCount = 0;
+
+    for (const productId of productIds) {
+      try {
+        if (!mongoose.Types.ObjectId.isValid(productId)) {
+          results.push({ productId, success: false, error: "Invalid product ID format" });
+          errorCount++;
+          continue;
+        }
+
+        const product = await Product.findById(productId);
+        if (!product) {
+          results.push({ productId, success: false, error: "Product not found" });
+          errorCount++;
+          continue;
+        }
+
+        if (product.categories.includes(categoryIdStr)) {
+          results.push({ productId, success: true, message: "Already linked" });
+          alreadyLinkedCount++;
+          continue;
+        }
+
+        product.categories.push(categoryIdStr);
+        await product.save();
+        
+        results.push({ productId, success: true, message: "Linked successfully" });
+        linkedCount++;
+      } catch (error) {
+        console.error(`❌ Error linking product ${productId}:`, error);
+        results.push({ productId, success: false, error: error.message });
+        errorCount++;
+      }
+    }
+
+    // Update product count for the category
+    await updateCategoryProductCount(categoryId);
+
+    res.json({
+      success: true,
+      message: `Bulk linking completed: ${linkedCount} linked, ${alreadyLinkedCount} already linked, ${errorCount} errors`,
+      results: results,
+      summary: {
+        total: productIds.length,
+        linked: linkedCount,
+        alreadyLinked: alreadyLinkedCount,
+        errors: errorCount
+      }
+    });
+  } catch (error) {
+    console.error("❌ Bulk link products to category error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error bulk linking products to category",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,272 @@
+// backend/controllers/couponController.js
+const Coupon = require("../models/Coupon");
+const Order = require("../models/Order");
+const mongoose = require("mongoose");
+const { parseObjectIdArray } = require("../utils/productHelpers");
+
+const SCALAR_FIELDS = ["code", "description", "type", "isActive"];
+const NUMBER_FIELDS = ["value", "maxDiscount", "minSpend", "usageLimit", "perUserLimit"];
+const DATE_FIELDS = ["startsAt", "endsAt"];
+const SCOPE_FIELDS = ["categories", "brands", "products"];
+
+// Copy the coupon fields a create/update request sends onto a coupon.
+// Empty numbers and dates clear the field (no cap, no limit, no window).
+const applyCouponFields = (coupon, body) => {
+  SCALAR_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) coupon[field] = body[field];
+  });
+  NUMBER_FIELDS.forEach((field) => {
+    if (body[field] === undefined) return;
+    coupon[field] =
+      body[field] === null || body[field] === ""
+        ? field === "minSpend"
+          ? 0
+          : null
+        : Number(body[field]);
+  });
+  DATE_FIELDS.forEach((field) => {
+    if (body[field] === undefined) return;
+    coupon[field] = body[field] ? new Date(body[field]) : null;
+  });
+  SCOPE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) coupon[field] = parseObjectIdArray(body[field]);
+  });
+};
+
+const validationMessage = (error) =>
+  error.code === 11000
+    ? "A coupon with this code already exists"
+    : Object.values(error.errors)
+        .map((err) => err.message)
+        .join(", ");
+
+// Get all coupons
+exports.getCoupons = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, search } = req.query;
+    const now = new Date();
+
+    const query = {};
+    if (search) {
+      // Codes are only letters, numbers, dashes and underscores, so
+      // anything else can be dropped instead of escaped
+      query.code = { $regex: String(search).toUpperCase().replace(/[^A-Z0-9_-]/g, "") };
+    }
+    if (status === "active") {
+      query.isActive = true;
+      query.$and = [
+        { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+        { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] },
+      ];
+    } else if (status === "scheduled") {
+      query.isActive = true;
+      query.startsAt = { $gt: now };
+    } else if (status === "expired") {
+      query.endsAt = { $lte: now };
+    } else if (status === "inactive") {
+      query.isActive = false;
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+    const [coupons, total] = await Promise.all([
+      Coupon.find(query).sort({ createdAt: -1 }).skip(skip).limit(Number(limit)),
+      Coupon.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      coupons,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: Number(page),
+    });
+  } catch (error) {
+    console.error("Get coupons error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching coupons",
+      error: error.message,
+    });
+  }
+};
+
+// Get one coupon with what it has given away so far
+exports.getCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid coupon ID format",
+      });
+    }
+
+    const coupon = await Coupon.findById(id)
+      .populate("categories", "name")
+      .populate("brands", "name")
+      .populate("products", "name sku");
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: "Coupon not found",
+      });
+    }
+
+    const [usage] = await Order.aggregate([
+      {
+        $match: {
+          "coupon.coupon": coupon._id,
+          status: { $ne: "cancelled" },
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          orders: { $sum: 1 },
+          customers: { $addToSet: "$user" },
+          discount: { $sum: "$discount" },
+          revenue: { $sum: "$totalPrice" },
+        },
+      },
+    ]);
+
+    res.json({
+      success: true,
+      coupon,
+      usage: {
+        orders: usage ? usage.orders : 0,
+        customers: usage ? usage.customers.length : 0,
+        discount: usage ? usage.discount : 0,
+        revenue: usage ? usage.revenue : 0,
+      },
+    });
+  } catch (error) {
+    console.error("Get coupon error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching coupon",
+      error: error.message,
+    });
+  }
+};
+
+// Create a coupon
+exports.createCoupon = async (req, res) => {
+  try {
+    const coupon = new Coupon({ createdBy: req.user.userId });
+    applyCouponFields(coupon, req.body);
+    await coupon.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Coupon created successfully",
+      coupon,
+    });
+  } catch (error) {
+    console.error("Create coupon error:", error);
+    if (error.name === "ValidationError" || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error),
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error while creating coupon",
+      error: error.message,
+    });
+  }
+};
+
+// Update a coupon. Usage so far can't be edited.
+exports.updateCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid coupon ID format",
+      });
+    }
+
+    const coupon = await Coupon.findById(id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: "Coupon not found",
+      });
+    }
+
+    applyCouponFields(coupon, req.body);
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: "Coupon updated successfully",
+      coupon,
+    });
+  } catch (error) {
+    console.error("Update coupon error:", error);
+    if (error.name === "ValidationError" || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error),
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating coupon",
+      error: error.message,
+    });
+  }
+};
+
+// Delete a coupon. Coupons already used on orders are deactivated instead,
+// so those orders keep pointing at them.
+exports.deleteCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid coupon ID format",
+      });
+    }
+
+    const coupon = await Coupon.findById(id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: "Coupon not found",
+      });
+    }
+
+    const used = await Order.exists({ "coupon.coupon": coupon._id });
+    if (used) {
+      coupon.isActive = false;
+      await coupon.save();
+      return res.json({
+        success: true,
+        message: "Coupon has been used on orders, so it was deactivated instead",
+        coupon,
+      });
+    }
+
+    await coupon.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Coupon deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete coupon error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while deleting coupon",
+      error: error.message,
+    });
+  }
+};
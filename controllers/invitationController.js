@@ -0,0 +1,163 @@
+// backend/controllers/invitationController.js
+const Invitation = require("../models/Invitation");
+const mongoose = require("mongoose");
+const {
+  ROLES,
+  ADMIN_ROLES,
+  hasPermission,
+  isStaffRole,
+} = require("../config/permissions");
+
+const MAX_EXPIRY_HOURS = 24 * 30;
+
+// Create a single-use staff invitation
+exports.createInvitation = async (req, res) => {
+  try {
+    const { role, email, note, expiresInHours = 72 } = req.body;
+
+    if (!role || !ROLES.includes(role) || !isStaffRole(role)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invitations must be for a staff role",
+      });
+    }
+
+    // Only someone who can manage users may hand out admin-level roles
+    if (
+      ADMIN_ROLES.includes(role) &&
+      !hasPermission(req.user.role, "users:manage")
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: `You are not allowed to invite ${role} accounts`,
+      });
+    }
+
+    const hours = Number(expiresInHours);
+    if (isNaN(hours) || hours <= 0 || hours > MAX_EXPIRY_HOURS) {
+      return res.status(400).json({
+        success: false,
+        message: `Expiry must be between 1 and ${MAX_EXPIRY_HOURS} hours`,
+      });
+    }
+
+    const { invitation, token } = await Invitation.createInvite({
+      role,
+      email,
+      note,
+      createdBy: req.user.userId,
+      expiresInHours: hours,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Invitation created. Share the token now; it will not be shown again.",
+      token,
+      invitation,
+    });
+  } catch (error) {
+    console.error("Create invitation error:", error);
+    res.status(400).json({
+      success: false,
+      message: "Error creating invitation",
+      error: error.message,
+    });
+  }
+};
+
+// List invitations, newest first
+exports.getInvitations = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const skip = (Number(page) - 1) * Number(limit);
+    const now = new Date();
+    const query = {};
+
+    if (status === "pending") {
+      query.usedAt = null;
+      query.revokedAt = null;
+      query.expiresAt = { $gt: now };
+    } else if (status === "used") {
+      query.usedAt = { $ne: null };
+    } else if (status === "revoked") {
+      query.revokedAt = { $ne: null };
+    } else if (status === "expired") {
+      query.usedAt = null;
+      query.revokedAt = null;
+      query.expiresAt = { $lte: now };
+    }
+
+    const invitations = await Invitation.find(query)
+      .populate("createdBy", "name email")
+      .populate("usedBy", "name email")
+      .populate("revokedBy", "name email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit));
+
+    const total = await Invitation.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      count: invitations.length,
+      total,
+      totalPages,
+      currentPage: Number(page),
+      invitations,
+    });
+  } catch (error) {
+    console.error("Get invitations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching invitations",
+      error: error.message,
+    });
+  }
+};
+
+// Revoke a pending invitation
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid invitation ID format",
+      });
+    }
+
+    const invitation = await Invitation.findById(id);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: "Invitation not found",
+      });
+    }
+
+    if (invitation.status !== "pending") {
+      return res.status(400).json({
+        success: false,
+        message: `Invitation is already ${invitation.status}`,
+      });
+    }
+
+    invitation.revokedAt = new Date();
+    invitation.revokedBy = req.user.userId;
+    await invitation.save();
+
+    res.json({
+      success: true,
+      message: "Invitation revoked",
+      invitation,
+    });
+  } catch (error) {
+    console.error("Revoke invitation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while revoking invitation",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,307 @@
+const Motorcycle = require('../models/Motorcycle');
+const Brand = require('../models/Brand');
+const Product = require('../models/Product');
+const mongoose = require('mongoose');
+
+// Helper function to refresh a brand's motorcycle count
+const refreshBrandMotorcycleCount = async (brandId) => {
+  if (!brandId) return;
+
+  try {
+    const brand = await Brand.findById(brandId);
+    if (brand) {
+      await brand.updateMotorcycleCount();
+    }
+  } catch (error) {
+    console.error('Error updating brand motorcycle count:', error.message);
+  }
+};
+
+// @desc    Get all motorcycles
+// @route   GET /api/motorcycles
+// @access  Public
+exports.getAllMotorcycles = async (req, res) => {
+  try {
+    const {
+      brand,
+      search = '',
+      year,
+      isActive,
+      page = 1,
+      limit = 50
+    } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Build filter
+    const filter = {};
+
+    if (brand && mongoose.Types.ObjectId.isValid(brand)) {
+      filter.brand = brand;
+    }
+
+    if (search) {
+      filter.name = { $regex: search, $options: 'i' };
+    }
+
+    if (year && !isNaN(year)) {
+      filter.yearFrom = { $lte: Number(year) };
+      filter.$or = [{ yearTo: null }, { yearTo: { $gte: Number(year) } }];
+    }
+
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    } else {
+      filter.isActive = true;
+    }
+
+    const motorcycles = await Motorcycle.find(filter)
+      .populate('brand', 'name slug logo')
+      .sort({ name: 1, yearFrom: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Motorcycle.countDocuments(filter);
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      count: motorcycles.length,
+      total,
+      totalPages,
+      currentPage: parseInt(page),
+      motorcycles
+    });
+  } catch (error) {
+    console.error('Get motorcycles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching motorcycles',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get motorcycle by ID
+// @route   GET /api/motorcycles/:id
+// @access  Public
+exports.getMotorcycleById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid motorcycle ID format'
+      });
+    }
+
+    const motorcycle = await Motorcycle.findById(id).populate('brand', 'name slug logo');
+
+    if (!motorcycle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Motorcycle not found'
+      });
+    }
+
+    const productCount = await Product.countDocuments({
+      fitments: motorcycle._id,
+      isActive: true
+    });
+
+    res.json({
+      success: true,
+      motorcycle,
+      productCount
+    });
+  } catch (error) {
+    console.error('Get motorcycle by ID error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching motorcycle',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create new motorcycle
+// @route   POST /api/motorcycles
+// @access  Private/Admin
+exports.createMotorcycle = async (req, res) => {
+  try {
+    const {
+      brand,
+      name,
+      yearFrom,
+      yearTo,
+      engineDisplacement,
+      isActive = true
+    } = req.body;
+
+    if (!brand || !mongoose.Types.ObjectId.isValid(brand)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid brand ID is required'
+      });
+    }
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Model name is required'
+      });
+    }
+
+    const brandExists = await Brand.findById(brand);
+    if (!brandExists) {
+      return res.status(400).json({
+        success: false,
+        message: 'Brand not found'
+      });
+    }
+
+    const motorcycle = new Motorcycle({
+      brand,
+      name: name.trim(),
+      yearFrom: Number(yearFrom),
+      yearTo: yearTo ? Number(yearTo) : null,
+      engineDisplacement: engineDisplacement ? Number(engineDisplacement) : null,
+      isActive
+    });
+
+    await motorcycle.save();
+    await refreshBrandMotorcycleCount(brand);
+
+    res.status(201).json({
+      success: true,
+      message: 'Motorcycle created successfully',
+      motorcycle
+    });
+  } catch (error) {
+    console.error('Create motorcycle error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'This motorcycle model and year already exists for the brand'
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: 'Error creating motorcycle',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update motorcycle
+// @route   PUT /api/motorcycles/:id
+// @access  Private/Admin
+exports.updateMotorcycle = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid motorcycle ID format'
+      });
+    }
+
+    const motorcycle = await Motorcycle.findById(id);
+    if (!motorcycle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Motorcycle not found'
+      });
+    }
+
+    const oldBrand = motorcycle.brand;
+    const { brand, name, yearFrom, yearTo, engineDisplacement, isActive } = req.body;
+
+    if (brand !== undefined) {
+      if (!mongoose.Types.ObjectId.isValid(brand) || !(await Brand.findById(brand))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Brand not found'
+        });
+      }
+      motorcycle.brand = brand;
+    }
+
+    if (name !== undefined && name.trim() !== '') motorcycle.name = name.trim();
+    if (yearFrom !== undefined) motorcycle.yearFrom = Number(yearFrom);
+    if (yearTo !== undefined) motorcycle.yearTo = yearTo ? Number(yearTo) : null;
+    if (engineDisplacement !== undefined) {
+      motorcycle.engineDisplacement = engineDisplacement ? Number(engineDisplacement) : null;
+    }
+    if (isActive !== undefined) motorcycle.isActive = isActive;
+
+    await motorcycle.save();
+
+    await refreshBrandMotorcycleCount(motorcycle.brand);
+    if (oldBrand && oldBrand.toString() !== motorcycle.brand.toString()) {
+      await refreshBrandMotorcycleCount(oldBrand);
+    }
+
+    res.json({
+      success: true,
+      message: 'Motorcycle updated successfully',
+      motorcycle
+    });
+  } catch (error) {
+    console.error('Update motorcycle error:', error);
+    res.status(400).json({
+      success: false,
+      message: 'Error updating motorcycle',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete motorcycle and remove it from product fitments
+// @route   DELETE /api/motorcycles/:id
+// @access  Private/Admin
+exports.deleteMotorcycle = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid motorcycle ID format'
+      });
+    }
+
+    const motorcycle = await Motorcycle.findById(id);
+    if (!motorcycle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Motorcycle not found'
+      });
+    }
+
+    const result = await Product.updateMany(
+      { fitments: motorcycle._id },
+      { $pull: { fitments: motorcycle._id } }
+    );
+
+    await motorcycle.deleteOne();
+    await refreshBrandMotorcycleCount(motorcycle.brand);
+
+    res.json({
+      success: true,
+      message: 'Motorcycle deleted successfully',
+      productsUpdated: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Delete motorcycle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting motorcycle',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,492 @@
+// backend/controllers/orderController.js
+const Order = require("../models/Order");
+const Cart = require("../models/Cart");
+const Product = require("../models/Product");
+const Coupon = require("../models/Coupon");
+const StockReservation = require("../models/StockReservation");
+const mongoose = require("mongoose");
+const { updateCategoryProductCount } = require("../utils/categoryCounts");
+const { allocateStock, releaseStock } = require("../utils/inventory");
+const { reservationKey } = require("../utils/reservations");
+const { priceWithCoupon } = require("../utils/coupons");
+const { effectivePrice } = require("../utils/salePricing");
+
+// Put back stock taken for an order that was cancelled or never completed
+const restoreStock = async (items, orderId, userId, note, reason = "cancellation") => {
+  for (const item of items) {
+    await releaseStock({
+      product: item.product,
+      variant: item.variant,
+      allocations: item.allocations,
+      quantity: item.quantity,
+      reason,
+      reference: orderId,
+      referenceModel: "Order",
+      user: userId,
+      note,
+    });
+  }
+};
+
+// =================== CUSTOMER CONTROLLERS ===================
+
+// Turn the current user's cart into an order
+exports.checkout = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { shippingAddress, phone, notes } = req.body;
+
+    const cart = await Cart.findOne({ user: userId });
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Your cart is empty",
+      });
+    }
+
+    // Load every product in the cart in one query
+    const productIds = cart.items.map((item) => item.product);
+    const products = await Product.find({ _id: { $in: productIds } });
+    const productMap = new Map(
+      products.map((product) => [product._id.toString(), product])
+    );
+
+    // Stock other carts are holding isn't ours to sell
+    const reservedByOthers = await StockReservation.reservedQuantities(
+      productIds,
+      cart._id
+    );
+
+    // Validate each cart line against the live product
+    const problems = [];
+    const orderItems = [];
+
+    for (const item of cart.items) {
+      const product = productMap.get(item.product.toString());
+
+      if (!product || !product.isActive || product.isArchived) {
+        problems.push({
+          product: item.product,
+          message: "Product is no longer available",
+        });
+        continue;
+      }
+
+      let variant = null;
+      if (item.variant) {
+        variant = product.getVariant(item.variant);
+        if (!variant || !variant.isActive) {
+          problems.push({
+            product: product._id,
+            variant: item.variant,
+            name: product.name,
+            message: "This option is no longer available",
+          });
+          continue;
+        }
+      } else if (product.variants.length > 0) {
+        problems.push({
+          product: product._id,
+          name: product.name,
+          message: "Please choose an option for this product",
+        });
+        continue;
+      }
+
+      const available = Math.max(
+        0,
+        product.stockFor(variant) -
+          (reservedByOthers.get(reservationKey(product._id, item.variant)) || 0)
+      );
+      if (available < item.quantity) {
+        problems.push({
+          product: product._id,
+          variant: item.variant || null,
+          name: product.name,
+          requested: item.quantity,
+          available,
+          message: "Insufficient stock",
+        });
+        continue;
+      }
+
+      const price = effectivePrice(product, variant);
+      orderItems.push({
+        product: product._id,
+        variant: variant ? variant._id : null,
+        variantOptions: variant ? variant.options : {},
+        name: product.name,
+        sku: (variant ? variant.sku : product.sku) || "",
+        price,
+        quantity: item.quantity,
+        subtotal: price * item.quantity,
+      });
+    }
+
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Some items in your cart cannot be ordered",
+        problems,
+      });
+    }
+
+    // Price the cart's coupon over what is being ordered, and count the use
+    // up front so two orders can't both take a coupon's last use
+    let coupon = null;
+    if (cart.coupon) {
+      coupon = await Coupon.findById(cart.coupon);
+      const pricing = coupon
+        ? await priceWithCoupon(
+            coupon,
+            orderItems.map((item) => ({
+              product: productMap.get(item.product.toString()),
+              quantity: item.quantity,
+              price: item.price,
+            })),
+            userId
+          )
+        : { valid: false, message: "This coupon no longer exists" };
+
+      if (!pricing.valid || !(await Coupon.claim(coupon._id))) {
+        return res.status(400).json({
+          success: false,
+          message: `Your coupon can't be used: ${
+            pricing.valid ? "This coupon has been fully redeemed" : pricing.message
+          }`,
+          coupon: coupon ? coupon.code : null,
+        });
+      }
+
+      pricing.lines.forEach((line, index) => {
+        orderItems[index].discount = line.discount;
+      });
+    }
+
+    // Take stock warehouse by warehouse; each decrement is atomic and fails
+    // if another checkout took the last units first. The order ID is fixed
+    // up front so the ledger entries can point at it.
+    const orderId = new mongoose.Types.ObjectId();
+    const decremented = [];
+    for (const item of orderItems) {
+      const allocations = await allocateStock({
+        product: productMap.get(item.product.toString()),
+        variant: item.variant,
+        quantity: item.quantity,
+        reference: orderId,
+        referenceModel: "Order",
+        user: userId,
+      });
+
+      if (!allocations) {
+        await restoreStock(decremented, orderId, userId, "Checkout failed");
+        if (coupon) await Coupon.release(coupon._id);
+        return res.status(409).json({
+          success: false,
+          message: `Insufficient stock for ${item.name}`,
+          product: item.product,
+          variant: item.variant,
+        });
+      }
+
+      item.allocations = allocations;
+      decremented.push(item);
+    }
+
+    let order;
+    try {
+      order = await Order.create({
+        _id: orderId,
+        user: userId,
+        items: orderItems,
+        coupon: coupon ? { coupon: coupon._id, code: coupon.code } : {},
+        shippingAddress: shippingAddress || {},
+        phone: phone || "",
+        notes: notes || "",
+      });
+    } catch (error) {
+      await restoreStock(decremented, orderId, userId, "Checkout failed");
+      if (coupon) await Coupon.release(coupon._id);
+      throw error;
+    }
+
+    cart.items = [];
+    cart.coupon = null;
+    await cart.save();
+    // The stock is taken for real now, so the cart's holds can go
+    await StockReservation.release(cart._id);
+
+    res.status(201).json({
+      success: true,
+      message: "Order placed successfully",
+      orderNumber: order.orderNumber,
+      order,
+    });
+  } catch (error) {
+    console.error("Checkout error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error during checkout",
+      error: error.message,
+    });
+  }
+};
+
+// Get the current user's orders
+exports.getMyOrders = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (Number(page) - 1) * Number(limit);
+    const query = { user: req.user.userId };
+
+    const orders = await Order.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit));
+
+    const total = await Order.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      count: orders.length,
+      total,
+      totalPages,
+      currentPage: Number(page),
+      orders,
+    });
+  } catch (error) {
+    console.error("Get my orders error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching orders",
+      error: error.message,
+    });
+  }
+};
+
+// Get one of the current user's orders by ID or order number
+exports.getMyOrder = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const query = mongoose.Types.ObjectId.isValid(id)
+      ? { _id: id }
+      : { orderNumber: id };
+    query.user = req.user.userId;
+
+    const order = await Order.findOne(query).populate(
+      "items.product",
+      "name images"
+    );
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      order,
+    });
+  } catch (error) {
+    console.error("Get order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching order",
+      error: error.message,
+    });
+  }
+};
+
+// =================== ADMIN CONTROLLERS ===================
+
+// Get all orders for admin
+exports.getAllOrders = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, search } = req.query;
+    const skip = (Number(page) - 1) * Number(limit);
+    const query = {};
+
+    if (status && status !== "all") {
+      query.status = status;
+    }
+
+    if (search) {
+      query.orderNumber = { $regex: search, $options: "i" };
+    }
+
+    const orders = await Order.find(query)
+      .populate("user", "name email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit));
+
+    const total = await Order.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      count: orders.length,
+      total,
+      totalPages,
+      currentPage: Number(page),
+      orders,
+    });
+  } catch (error) {
+    console.error("Get all orders error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching orders",
+      error: error.message,
+    });
+  }
+};
+
+// Get a single order for admin, including its status history
+exports.getOrderById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID format",
+      });
+    }
+
+    const order = await Order.findById(id)
+      .populate("user", "name email phone")
+      .populate("statusHistory.changedBy", "name email");
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      order,
+      allowedTransitions: Order.allowedTransitions(order.status),
+    });
+  } catch (error) {
+    console.error("Get order by ID error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching order",
+      error: error.message,
+    });
+  }
+};
+
+// Move an order to its next status
+exports.updateOrderStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, note } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID format",
+      });
+    }
+
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: "Status is required",
+      });
+    }
+
+    const order = await Order.findById(id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (!order.canTransitionTo(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change order status from ${order.status} to ${status}`,
+        currentStatus: order.status,
+        allowedTransitions: Order.allowedTransitions(order.status),
+      });
+    }
+
+    const previousStatus = order.status;
+    order.changeStatus(status, req.user.userId, note ? String(note).trim() : "");
+
+    // Only move the order if nobody else moved it since we read it, so a
+    // repeated cancel can't restock or release the coupon twice
+    const updated = await Order.findOneAndUpdate(
+      { _id: id, status: previousStatus },
+      {
+        $set: { status },
+        $push: { statusHistory: order.statusHistory[order.statusHistory.length - 1] },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      const current = await Order.findById(id, "status");
+      return res.status(409).json({
+        success: false,
+        message: "Order status was changed by another request, please reload",
+        currentStatus: current ? current.status : null,
+        allowedTransitions: current ? Order.allowedTransitions(current.status) : [],
+      });
+    }
+
+    // Cancelled and returned orders give their stock back
+    if (status === "cancelled" || status === "returned") {
+      await restoreStock(
+        updated.items,
+        updated._id,
+        req.user.userId,
+        note ? String(note).trim() : "",
+        status === "returned" ? "return" : "cancellation"
+      );
+
+      const products = await Product.find(
+        { _id: { $in: updated.items.map((item) => item.product) } },
+        "categories"
+      );
+      const affectedCategories = [
+        ...new Set(
+          products.flatMap((product) =>
+            (product.categories || []).map((cat) => cat.toString())
+          )
+        ),
+      ];
+
+      for (const categoryId of affectedCategories) {
+        await updateCategoryProductCount(categoryId);
+      }
+    }
+
+    // A cancelled order gives its coupon use back. A returned one keeps it:
+    // the order went through
+    if (status === "cancelled" && updated.coupon && updated.coupon.coupon) {
+      await Coupon.release(updated.coupon.coupon);
+    }
+
+    res.json({
+      success: true,
+      message: `Order status updated to ${status}`,
+      order: updated,
+      allowedTransitions: Order.allowedTransitions(updated.status),
+    });
+  } catch (error) {
+    console.error("Update order status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating order status",
+      error: error.message,
+    });
+  }
+};
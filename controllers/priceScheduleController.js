@@ -0,0 +1,240 @@
+// backend/controllers/priceScheduleController.js
+const PriceSchedule = require("../models/PriceSchedule");
+const mongoose = require("mongoose");
+const { parseObjectIdArray } = require("../utils/productHelpers");
+const { refreshPriceSchedules } = require("../utils/salePricing");
+
+const SCALAR_FIELDS = ["name", "description", "discountType", "isActive"];
+const DATE_FIELDS = ["startsAt", "endsAt"];
+const SCOPE_FIELDS = ["products", "categories", "brands"];
+
+// Copy the fields a create/update request sends onto a schedule. A sale
+// moved back into the future goes back to "scheduled" so the scheduler
+// starts it again at its new time.
+const applyScheduleFields = (schedule, body) => {
+  SCALAR_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) schedule[field] = body[field];
+  });
+  if (body.value !== undefined) schedule.value = Number(body.value);
+  DATE_FIELDS.forEach((field) => {
+    if (body[field] === undefined) return;
+    schedule[field] = body[field] ? new Date(body[field]) : null;
+  });
+  SCOPE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) schedule[field] = parseObjectIdArray(body[field]);
+  });
+
+  const now = new Date();
+  if (schedule.status !== "scheduled" && schedule.startsAt > now) {
+    schedule.status = "scheduled";
+    schedule.activatedAt = null;
+    schedule.endedAt = null;
+  } else if (schedule.status === "ended" && schedule.endsAt > now) {
+    schedule.status = "scheduled";
+    schedule.endedAt = null;
+  }
+};
+
+const validationMessage = (error) =>
+  Object.values(error.errors)
+    .map((err) => err.message)
+    .join(", ");
+
+// Get all price schedules
+exports.getPriceSchedules = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, product, category, brand } = req.query;
+
+    const query = {};
+    if (status) {
+      if (!PriceSchedule.STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${PriceSchedule.STATUSES.join(", ")}`,
+        });
+      }
+      query.status = status;
+    }
+    if (product && mongoose.Types.ObjectId.isValid(product)) query.products = product;
+    if (category && mongoose.Types.ObjectId.isValid(category)) query.categories = category;
+    if (brand && mongoose.Types.ObjectId.isValid(brand)) query.brands = brand;
+
+    const skip = (Number(page) - 1) * Number(limit);
+    const [schedules, total] = await Promise.all([
+      PriceSchedule.find(query)
+        .populate("products", "name sku")
+        .populate("categories", "name")
+        .populate("brands", "name")
+        .sort({ startsAt: -1 })
+        .skip(skip)
+        .limit(Number(limit)),
+      PriceSchedule.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      schedules,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: Number(page),
+    });
+  } catch (error) {
+    console.error("Get price schedules error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching price schedules",
+      error: error.message,
+    });
+  }
+};
+
+// Get a single price schedule
+exports.getPriceSchedule = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid price schedule ID format",
+      });
+    }
+
+    const schedule = await PriceSchedule.findById(id)
+      .populate("products", "name sku price discountedPrice")
+      .populate("categories", "name")
+      .populate("brands", "name")
+      .populate("createdBy", "name email");
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: "Price schedule not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      schedule,
+    });
+  } catch (error) {
+    console.error("Get price schedule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching price schedule",
+      error: error.message,
+    });
+  }
+};
+
+// Create a price schedule
+exports.createPriceSchedule = async (req, res) => {
+  try {
+    const schedule = new PriceSchedule({ createdBy: req.user.userId });
+    applyScheduleFields(schedule, req.body);
+    await schedule.save();
+
+    // Pick it up now rather than at the next scheduler run
+    await refreshPriceSchedules();
+
+    res.status(201).json({
+      success: true,
+      message: "Sale scheduled successfully",
+      schedule: await PriceSchedule.findById(schedule._id),
+    });
+  } catch (error) {
+    console.error("Create price schedule error:", error);
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error),
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error while creating price schedule",
+      error: error.message,
+    });
+  }
+};
+
+// Update a price schedule
+exports.updatePriceSchedule = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid price schedule ID format",
+      });
+    }
+
+    const schedule = await PriceSchedule.findById(id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: "Price schedule not found",
+      });
+    }
+
+    applyScheduleFields(schedule, req.body);
+    await schedule.save();
+    await refreshPriceSchedules();
+
+    res.json({
+      success: true,
+      message: "Sale updated successfully",
+      schedule: await PriceSchedule.findById(schedule._id),
+    });
+  } catch (error) {
+    console.error("Update price schedule error:", error);
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error),
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating price schedule",
+      error: error.message,
+    });
+  }
+};
+
+// Delete a price schedule
+exports.deletePriceSchedule = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid price schedule ID format",
+      });
+    }
+
+    const schedule = await PriceSchedule.findByIdAndDelete(id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: "Price schedule not found",
+      });
+    }
+
+    await refreshPriceSchedules();
+
+    res.json({
+      success: true,
+      message: "Sale deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete price schedule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while deleting price schedule",
+      error: error.message,
+    });
+  }
+};
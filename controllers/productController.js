@@ -1,8 +1,73 @@
 // backend/controllers/productController.js
 const Product = require("../models/Product");
 const Category = require("../models/Category");
+const Brand = require("../models/Brand");
+const StockMovement = require("../models/StockMovement");
+const Warehouse = require("../models/Warehouse");
 const mongoose = require("mongoose");
 const { Parser } = require("json2csv");
+const User = require("../models/User");
+const {
+  getImageUrl,
+  deleteImageFile,
+  extractFilename,
+  processImagesArray,
+} = require("../utils/images");
+const {
+  parseObjectIdArray,
+  parseProductOptions,
+  parseProductVariants,
+  processProductForResponse,
+} = require("../utils/productHelpers");
+const { updateCategoryProductCount } = require("../utils/categoryCounts");
+const { attachAvailability } = require("../utils/reservations");
+const {
+  LOW_STOCK_THRESHOLD,
+  resolveWarehouse,
+  changeStock,
+  setStock,
+} = require("../utils/inventory");
+const {
+  updateBrandProductCount,
+  updateBrandProductCounts,
+} = require("../utils/brandCounts");
+
+// Work out the Brand a product belongs to from either a Brand ID (brandRef)
+// or a free-text brand name/slug. Returns { brandRef, brand }, or null when
+// a brandRef was given that doesn't exist. Names that match no Brand are
+// kept as plain text with no link.
+const resolveBrand = async (brandRef, brand) => {
+  if (brandRef && brandRef !== "null") {
+    if (!mongoose.Types.ObjectId.isValid(brandRef)) return null;
+    const linked = await Brand.findById(brandRef);
+    return linked ? { brandRef: linked._id, brand: linked.name } : null;
+  }
+
+  const name = brand ? String(brand).trim() : "";
+  if (!name) {
+    return { brandRef: null, brand: "" };
+  }
+
+  const matched = await Brand.findByNameOrSlug(name);
+  return matched
+    ? { brandRef: matched._id, brand: matched.name }
+    : { brandRef: null, brand: name };
+};
+
+// Apply stock counts entered on the product form at one warehouse, through
+// the stock ledger. Targets are [{ variant, quantity }].
+const applyStockTargets = async (productId, targets, warehouse, userId) => {
+  for (const target of targets) {
+    await setStock({
+      product: productId,
+      variant: target.variant,
+      warehouse,
+      quantity: target.quantity,
+      user: userId,
+      note: "Updated from product form",
+    });
+  }
+};
 
 // =================== PUBLIC CONTROLLERS ===================
 
@@ -10,96 +75,176 @@ const { Parser } = require("json2csv");
 exports.getAllProducts = async (req, res) => {
   try {
     const {
+      page = 1,
+      limit = 20,
       category,
+      search,
       minPrice,
       maxPrice,
-      search,
-      sortBy = "createdAt",
-      order = "desc",
-      page = 1,
-      limit = 12,
       featured,
       inStock,
-      brand,
+      fitsMotorcycle,
+      useGarage,
+      brandId,
+      warehouse,
+      sortBy = "createdAt",
+      sortOrder = "desc",
     } = req.query;
 
-    const query = { isActive: true };
+    const skip = (Number(page) - 1) * Number(limit);
+    const sort = {};
+    sort[sortBy] = sortOrder === "desc" ? -1 : 1;
 
-    // Category filter
-    if (
-      category &&
-      category !== "all" &&
-      mongoose.Types.ObjectId.isValid(category)
-    ) {
-      query.category = category;
+    const filter = { isActive: true };
+
+    if (fitsMotorcycle) {
+      if (!mongoose.Types.ObjectId.isValid(fitsMotorcycle)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid motorcycle ID format",
+        });
+      }
     }
 
-    // Price range filter
-    if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) query.price.$gte = Number(minPrice);
-      if (maxPrice) query.price.$lte = Number(maxPrice);
+    let motorcycleId = fitsMotorcycle || null;
+
+    // Filter by the logged-in customer's default garage vehicle
+    let garageVehicle = null;
+    if (useGarage === "true" && !fitsMotorcycle) {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: "Login required to filter by your garage",
+        });
+      }
+
+      const user = await User.findById(req.user.userId).select("garage");
+      garageVehicle = user ? user.getDefaultVehicle() : null;
+
+      if (garageVehicle) {
+        motorcycleId = garageVehicle.motorcycle;
+      }
+    }
+
+    // A product fits when it or any of its variants lists the motorcycle
+    if (motorcycleId) {
+      filter.$and = [
+        {
+          $or: [
+            { fitments: motorcycleId },
+            { "variants.fitments": motorcycleId },
+          ],
+        },
+      ];
+    }
+
+    if (category && category !== "all" && category !== "null") {
+      filter.categories = category;
+    }
+
+    if (brandId) {
+      if (!mongoose.Types.ObjectId.isValid(brandId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid brand ID format",
+        });
+      }
+      filter.brandRef = brandId;
     }
 
-    // Search filter
     if (search) {
-      query.$or = [
+      filter.$or = [
         { name: { $regex: search, $options: "i" } },
         { description: { $regex: search, $options: "i" } },
         { brand: { $regex: search, $options: "i" } },
       ];
     }
 
-    // Featured filter
-    if (featured === "true") {
-      query.featured = true;
-    } else if (featured === "false") {
-      query.featured = false;
+    if (minPrice || maxPrice) {
+      filter.price = {};
+      if (minPrice) filter.price.$gte = Number(minPrice);
+      if (maxPrice) filter.price.$lte = Number(maxPrice);
     }
 
-    // Stock filter
-    if (inStock === "true") {
-      query.stock = { $gt: 0 };
-    } else if (inStock === "false") {
-      query.stock = 0;
+    if (featured === "true") {
+      filter.featured = true;
     }
 
-    // Brand filter
-    if (brand && brand !== "all") {
-      query.brand = { $regex: brand, $options: "i" };
+    // With a warehouse, stock filters look at that warehouse only
+    let stockWarehouse = null;
+    if (warehouse) {
+      stockWarehouse = await Warehouse.findByCodeOrId(warehouse);
+      if (!stockWarehouse || !stockWarehouse.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: "Warehouse not found",
+        });
+      }
     }
 
-    // Calculate skip for pagination
-    const skip = (Number(page) - 1) * Number(limit);
-
-    // Sort configuration
-    const sortOptions = {};
-    sortOptions[sortBy] = order === "asc" ? 1 : -1;
+    if (stockWarehouse) {
+      const heldHere = {
+        $elemMatch: { warehouse: stockWarehouse._id, quantity: { $gt: 0 } },
+      };
+      if (inStock === "true") {
+        filter.inventory = heldHere;
+      } else if (inStock === "false") {
+        filter.inventory = { $not: heldHere };
+      }
+    } else if (inStock === "true") {
+      filter.stock = { $gt: 0 };
+    } else if (inStock === "false") {
+      filter.stock = 0;
+    }
 
-    // Execute query with population
-    const products = await Product.find(query)
-      .populate("category", "name image")
-      .sort(sortOptions)
+    const products = await Product.find(filter)
       .skip(skip)
-      .limit(Number(limit));
+      .limit(Number(limit))
+      .sort(sort)
+      .populate("categories", "name slug productCount");
 
-    // Get total count for pagination
-    const total = await Product.countDocuments(query);
+    const processedProducts = products.map((product) => {
+      const processed = processProductForResponse(product);
+      if (stockWarehouse) {
+        processed.warehouseStock = product.stockAt(stockWarehouse._id, null);
+      }
+      return processed;
+    });
+    await attachAvailability(processedProducts);
+
+    const total = await Product.countDocuments(filter);
     const totalPages = Math.ceil(total / limit);
 
     res.json({
       success: true,
-      count: products.length,
+      count: processedProducts.length,
       total,
       totalPages,
       currentPage: Number(page),
-      products,
+      products: processedProducts,
+      filters: {
+        category,
+        search,
+        minPrice,
+        maxPrice,
+        featured,
+        inStock,
+        fitsMotorcycle,
+        useGarage,
+        garageVehicle,
+        brandId,
+        warehouse: stockWarehouse
+          ? { _id: stockWarehouse._id, code: stockWarehouse.code, name: stockWarehouse.name }
+          : null,
+        sortBy,
+        sortOrder,
+      },
     });
   } catch (error) {
-    console.error("Get products error:", error);
+    console.error("❌ Error fetching products:", error);
     res.status(500).json({
       success: false,
-      message: "Server error while fetching products",
+      message: "Failed to fetch products from database",
       error: error.message,
     });
   }
@@ -110,7 +255,6 @@ exports.getProductById = async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Validate ObjectId
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
         success: false,
@@ -118,12 +262,17 @@ exports.getProductById = async (req, res) => {
       });
     }
 
-    const product = await Product.findById(id)
-      .populate("category", "name description image")
+    const product = await Product.findOne({
+      _id: id,
+      isActive: true,
+    })
+      .populate("categories", "name slug image productCount description")
+      .populate("brandRef", "name slug logo")
+      .populate("inventory.warehouse", "name code")
       .populate({
-        path: "reviews.user",
-        select: "name email",
-        match: { approved: true }, // Only show approved reviews
+        path: "fitments",
+        select: "name yearFrom yearTo engineDisplacement brand",
+        populate: { path: "brand", select: "name slug" },
       });
 
     if (!product) {
@@ -133,23 +282,32 @@ exports.getProductById = async (req, res) => {
       });
     }
 
-    // Only return active products for non-admin users
-    if (!product.isActive && !req.user?.isAdmin) {
-      return res.status(404).json({
-        success: false,
-        message: "Product not found",
+    const processedProduct = processProductForResponse(product);
+
+    // Customers only see variants that are on sale
+    processedProduct.variants = (processedProduct.variants || []).filter(
+      (variant) => variant.isActive
+    );
+    await attachAvailability([processedProduct]);
+
+    if (processedProduct.categories && Array.isArray(processedProduct.categories)) {
+      processedProduct.categories = processedProduct.categories.map(cat => {
+        if (cat && cat.image) {
+          cat.image = getImageUrl(cat.image, "category");
+        }
+        return cat;
       });
     }
 
     res.json({
       success: true,
-      product,
+      product: processedProduct,
     });
   } catch (error) {
-    console.error("Get product by ID error:", error);
+    console.error("❌ Error fetching product:", error);
     res.status(500).json({
       success: false,
-      message: "Server error while fetching product",
+      message: "Failed to fetch product",
       error: error.message,
     });
   }
@@ -167,10 +325,14 @@ exports.getFeaturedProducts = async (req, res) => {
       .limit(8)
       .sort({ createdAt: -1 });
 
+    const processedProducts = await attachAvailability(
+      products.map((product) => processProductForResponse(product))
+    );
+
     res.json({
       success: true,
-      count: products.length,
-      products,
+      count: processedProducts.length,
+      products: processedProducts,
     });
   } catch (error) {
     console.error("Get featured products error:", error);
@@ -206,10 +368,14 @@ exports.searchProducts = async (req, res) => {
       .populate("category", "name")
       .limit(20);
 
+    const processedProducts = await attachAvailability(
+      products.map((product) => processProductForResponse(product))
+    );
+
     res.json({
       success: true,
-      count: products.length,
-      products,
+      count: processedProducts.length,
+      products: processedProducts,
     });
   } catch (error) {
     console.error("Search products error:", error);
@@ -238,7 +404,7 @@ exports.getProductsByCategory = async (req, res) => {
     const skip = (Number(page) - 1) * Number(limit);
 
     const products = await Product.find({
-      category: categoryId,
+      categories: categoryId,
       isActive: true,
     })
       .populate("category", "name image")
@@ -247,18 +413,22 @@ exports.getProductsByCategory = async (req, res) => {
       .sort({ createdAt: -1 });
 
     const total = await Product.countDocuments({
-      category: categoryId,
+      categories: categoryId,
       isActive: true,
     });
     const totalPages = Math.ceil(total / limit);
 
+    const processedProducts = await attachAvailability(
+      products.map((product) => processProductForResponse(product))
+    );
+
     res.json({
       success: true,
-      count: products.length,
+      count: processedProducts.length,
       total,
       totalPages,
       currentPage: Number(page),
-      products,
+      products: processedProducts,
     });
   } catch (error) {
     console.error("Get products by category error:", error);
@@ -292,7 +462,7 @@ exports.getRelatedProducts = async (req, res) => {
     }
 
     const relatedProducts = await Product.find({
-      category: product.category,
+      categories: { $in: product.categories },
       _id: { $ne: product._id },
       isActive: true,
       stock: { $gt: 0 },
@@ -301,10 +471,14 @@ exports.getRelatedProducts = async (req, res) => {
       .limit(4)
       .sort({ rating: -1 });
 
+    const processedProducts = await attachAvailability(
+      relatedProducts.map((related) => processProductForResponse(related))
+    );
+
     res.json({
       success: true,
-      count: relatedProducts.length,
-      products: relatedProducts,
+      count: processedProducts.length,
+      products: processedProducts,
     });
   } catch (error) {
     console.error("Get related products error:", error);
@@ -321,7 +495,7 @@ exports.addReview = async (req, res) => {
   try {
     const { rating, comment } = req.body;
     const productId = req.params.id;
-    const userId = req.user.id;
+    const userId = req.user.userId;
 
     // Validate ObjectId
     if (!mongoose.Types.ObjectId.isValid(productId)) {
@@ -413,103 +587,200 @@ exports.createProduct = async (req, res) => {
       description,
       price,
       category,
-      images,
-      stock,
-      specifications,
+      categories = "[]",
+      stock = 0,
       brand,
+      brandRef,
       sku,
       discountedPrice,
       weight,
       dimensions,
-      featured,
-      isActive,
+      specifications = {},
+      featured = false,
+      isActive = true,
+      fitments = "[]",
+      options = "[]",
+      variants = "[]",
+      images: imagesInput = "[]",
+      warehouse: warehouseInput,
     } = req.body;
 
-    // Validate required fields
-    if (!name || !price || !description || !category) {
+    if (!name || !description || !price) {
       return res.status(400).json({
         success: false,
-        message: "Name, price, description, and category are required fields",
+        message: "Name, description, and price are required",
       });
     }
 
-    // Validate price
-    if (price < 0) {
+    const priceNum = parseFloat(price);
+    if (isNaN(priceNum) || priceNum <= 0) {
       return res.status(400).json({
         success: false,
-        message: "Price cannot be negative",
+        message: "Price must be a positive number",
       });
     }
 
-    // Validate category if provided
-    if (category) {
-      if (!mongoose.Types.ObjectId.isValid(category)) {
-        return res.status(400).json({
-          success: false,
-          message: "Invalid category ID format",
-        });
+    let imageFilenames = [];
+
+    // Handle uploaded files
+    if (req.files && req.files.length > 0) {
+      imageFilenames = req.files.map((file) => file.filename);
+    }
+
+    // Handle images from request body
+    let bodyImages = [];
+    try {
+      if (imagesInput && imagesInput !== "[]") {
+        if (typeof imagesInput === "string") {
+          if (imagesInput.trim().startsWith("[")) {
+            bodyImages = JSON.parse(imagesInput);
+          } else {
+            bodyImages = [imagesInput];
+          }
+        } else if (Array.isArray(imagesInput)) {
+          bodyImages = imagesInput;
+        }
       }
+    } catch (e) {
+      console.error("📸 Error parsing images from body:", e.message);
+      bodyImages = [];
+    }
 
-      const categoryExists = await Category.findById(category);
-      if (!categoryExists) {
-        return res.status(400).json({
-          success: false,
-          message: "Category not found",
-        });
+    if (Array.isArray(bodyImages) && bodyImages.length > 0) {
+      const processed = processImagesArray(bodyImages, "product");
+      imageFilenames = [...imageFilenames, ...processed];
+    }
+
+    // Remove duplicates
+    imageFilenames = [
+      ...new Set(imageFilenames.filter((img) => img && img.trim() !== "")),
+    ];
+
+    const productBrand = await resolveBrand(brandRef, brand);
+    if (!productBrand) {
+      return res.status(400).json({
+        success: false,
+        message: "Brand not found",
+      });
+    }
+
+    const productSku =
+      sku && sku.trim() !== ""
+        ? sku.trim()
+        : `SKU-${Date.now()}-${Math.random()
+            .toString(36)
+            .substr(2, 6)
+            .toUpperCase()}`;
+
+    // Process categories
+    let productCategories = [];
+    
+    // Parse categories array
+    try {
+      if (categories && categories !== "[]") {
+        if (typeof categories === "string") {
+          if (categories.trim().startsWith("[")) {
+            productCategories = JSON.parse(categories);
+          } else {
+            productCategories = [categories];
+          }
+        } else if (Array.isArray(categories)) {
+          productCategories = categories;
+        }
       }
+    } catch (e) {
+      console.error("📊 Error parsing categories:", e.message);
+      productCategories = [];
     }
 
-    // Check if SKU already exists
-    if (sku) {
-      const existingProduct = await Product.findOne({ sku });
-      if (existingProduct) {
-        return res.status(400).json({
-          success: false,
-          message: "SKU already exists",
-        });
+    // Also add single category if provided for backward compatibility
+    if (category && category !== "null" && category.trim() !== "") {
+      if (!productCategories.includes(category)) {
+        productCategories.push(category);
+      }
+    }
+
+    // Drop duplicates and anything that isn't a category ID
+    productCategories = [
+      ...new Set(productCategories
+        .filter((cat) => cat && mongoose.Types.ObjectId.isValid(cat))
+        .map(cat => cat.toString()) // Dedupe on the string form
+      ),
+    ];
+
+    // Opening stock goes into a warehouse through the stock ledger once the
+    // product exists
+    const productVariants = parseProductVariants(variants);
+    const stockTargets = [];
+    for (const variant of productVariants) {
+      variant._id = new mongoose.Types.ObjectId();
+      if (variant.stock > 0) {
+        stockTargets.push({ variant: variant._id, quantity: variant.stock });
       }
+      variant.stock = 0;
+    }
+    if (productVariants.length === 0 && parseInt(stock) > 0) {
+      stockTargets.push({ variant: null, quantity: parseInt(stock) });
     }
 
-    // Generate SKU if not provided
-    const generatedSku =
-      sku ||
-      `SKU-${Date.now()}-${Math.random()
-        .toString(36)
-        .substr(2, 6)
-        .toUpperCase()}`;
+    const warehouse =
+      stockTargets.length > 0 ? await resolveWarehouse(warehouseInput) : null;
+    if (stockTargets.length > 0 && !warehouse) {
+      return res.status(400).json({
+        success: false,
+        message: "Warehouse not found",
+      });
+    }
 
-    // Create product
     const product = new Product({
-      name,
-      description,
-      price,
-      category,
-      images: images || [],
-      stock: stock || 0,
+      name: name.trim(),
+      description: description.trim(),
+      price: priceNum,
+      categories: productCategories,
+      category: productCategories.length > 0 ? productCategories[0] : null,
+      images: imageFilenames,
+      stock: 0,
+      brand: productBrand.brand,
+      brandRef: productBrand.brandRef,
+      sku: productSku,
+      discountedPrice:
+        discountedPrice && !isNaN(discountedPrice) && discountedPrice > 0
+          ? parseFloat(discountedPrice)
+          : null,
+      weight: weight ? weight.trim() : "",
+      dimensions: dimensions ? dimensions.trim() : "",
       specifications: specifications || {},
-      brand,
-      sku: generatedSku,
-      discountedPrice,
-      weight,
-      dimensions,
-      featured: featured || false,
-      isActive: isActive !== undefined ? isActive : true,
+      fitments: parseObjectIdArray(fitments),
+      options: parseProductOptions(options),
+      variants: productVariants,
+      featured: !!featured,
+      isActive: !!isActive,
     });
 
     await product.save();
 
-    const populatedProduct = await Product.findById(product._id).populate(
-      "category",
-      "name"
+    await applyStockTargets(product._id, stockTargets, warehouse, req.user.userId);
+
+    await updateBrandProductCount(product.brandRef);
+
+    // Update product counts for all categories
+    if (productCategories.length > 0) {
+      for (const catId of productCategories) {
+        await updateCategoryProductCount(catId);
+      }
+    }
+
+    const processedProduct = processProductForResponse(
+      stockTargets.length > 0 ? await Product.findById(product._id) : product
     );
 
     res.status(201).json({
       success: true,
       message: "Product created successfully",
-      product: populatedProduct,
+      product: processedProduct,
     });
   } catch (error) {
-    console.error("Create product error:", error);
+    console.error("❌ Create product error:", error);
     res.status(400).json({
       success: false,
       message: "Error creating product",
@@ -523,7 +794,6 @@ exports.updateProduct = async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Validate ObjectId
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
         success: false,
@@ -539,60 +809,334 @@ exports.updateProduct = async (req, res) => {
       });
     }
 
-    // Check if SKU is being updated and already exists
-    if (req.body.sku && req.body.sku !== product.sku) {
-      const existingProduct = await Product.findOne({ sku: req.body.sku });
-      if (existingProduct) {
-        return res.status(400).json({
-          success: false,
-          message: "SKU already exists",
-        });
+    const {
+      name,
+      description,
+      price,
+      category,
+      categories,
+      stock,
+      brand,
+      brandRef,
+      sku,
+      discountedPrice,
+      weight,
+      dimensions,
+      specifications,
+      featured,
+      isActive,
+      fitments,
+      options,
+      variants,
+      images = "[]",
+      removeImages = "[]",
+      warehouse: warehouseInput,
+    } = req.body;
+
+    // Store old categories for product count update
+    const oldCategories = [...(product.categories || [])];
+
+    // Update fields if provided
+    if (name !== undefined && name.trim() !== "") product.name = name.trim();
+    if (description !== undefined) product.description = description.trim();
+    if (price !== undefined) {
+      const priceNum = parseFloat(price);
+      if (!isNaN(priceNum) && priceNum > 0) {
+        product.price = priceNum;
+      }
+    }
+    
+    if (categories !== undefined) {
+      // Parse categories array
+      let newCategories = [];
+      try {
+        if (categories && categories !== "[]") {
+          if (typeof categories === "string") {
+            if (categories.trim().startsWith("[")) {
+              newCategories = JSON.parse(categories);
+            } else {
+              newCategories = [categories];
+            }
+          } else if (Array.isArray(categories)) {
+            newCategories = categories;
+          }
+        }
+      } catch (e) {
+        console.error("📊 Error parsing categories:", e);
+        newCategories = [];
+      }
+      
+      // Also add single category if provided for backward compatibility
+      if (category && category !== "null" && category.trim() !== "") {
+        if (!newCategories.includes(category)) {
+          newCategories.push(category);
+        }
+      }
+      
+      // Drop duplicates and anything that isn't a category ID
+      product.categories = [
+        ...new Set(newCategories
+          .filter((cat) => cat && mongoose.Types.ObjectId.isValid(cat))
+          .map(cat => cat.toString()) // Dedupe on the string form
+        ),
+      ];
+      
+      // Update single category for backward compatibility
+      if (product.categories.length > 0) {
+        product.category = product.categories[0];
+      } else {
+        product.category = null;
+      }
+    } else if (category !== undefined) {
+      // For backward compatibility - single category update
+      if (category && category !== "null" && category.trim() !== "") {
+        const categoryStr = category.toString();
+        if (!product.categories.includes(categoryStr)) {
+          product.categories.push(categoryStr);
+        }
+        product.category = categoryStr;
+      } else {
+        product.category = null;
       }
     }
 
-    // Validate category if being updated
-    if (
-      req.body.category &&
-      req.body.category !== product.category.toString()
-    ) {
-      if (!mongoose.Types.ObjectId.isValid(req.body.category)) {
-        return res.status(400).json({
-          success: false,
-          message: "Invalid category ID format",
-        });
+    // Stock is never written by the save itself: counts entered on the form
+    // are applied at one warehouse through the stock ledger once the
+    // product is saved
+    const stockTargets = [];
+    const outgoingStock = [];
+    const warehouse =
+      variants !== undefined || stock !== undefined
+        ? await resolveWarehouse(warehouseInput)
+        : null;
+    if ((variants !== undefined || stock !== undefined) && !warehouse) {
+      return res.status(400).json({
+        success: false,
+        message: "Warehouse not found",
+      });
+    }
+
+    if (variants !== undefined) {
+      const previousStock = new Map(
+        product.variants.map((variant) => [variant._id.toString(), variant.stock])
+      );
+      const parsedVariants = parseProductVariants(variants, product.variants);
+
+      for (const variant of parsedVariants) {
+        const before = variant._id
+          ? previousStock.get(variant._id.toString())
+          : undefined;
+
+        if (before === undefined) {
+          variant._id = new mongoose.Types.ObjectId();
+        } else {
+          previousStock.delete(variant._id.toString());
+        }
+        if (variant.stock !== null) {
+          stockTargets.push({ variant: variant._id, quantity: variant.stock });
+        }
+        variant.stock = before || 0;
       }
 
-      const categoryExists = await Category.findById(req.body.category);
-      if (!categoryExists) {
+      // Stock held by variants that are going away, or by a product that is
+      // switching to variants, leaves the books before the save (once the
+      // rest of the update is known to be valid)
+      const switchingToVariants =
+        product.variants.length === 0 && parsedVariants.length > 0;
+      product.inventory
+        .filter((entry) =>
+          switchingToVariants
+            ? !entry.variant
+            : entry.variant && previousStock.has(entry.variant.toString())
+        )
+        .forEach((entry) =>
+          outgoingStock.push({
+            variant: entry.variant,
+            warehouse: entry.warehouse,
+            quantity: entry.quantity,
+            note: switchingToVariants ? "Stock moved to variants" : "Variant removed",
+          })
+        );
+
+      product.variants = parsedVariants;
+    }
+
+    if (stock !== undefined && product.variants.length === 0) {
+      stockTargets.push({ variant: null, quantity: parseInt(stock) || 0 });
+    }
+
+    const oldBrandRef = product.brandRef;
+    if (brand !== undefined || brandRef !== undefined) {
+      const productBrand = await resolveBrand(brandRef, brand);
+      if (!productBrand) {
         return res.status(400).json({
           success: false,
-          message: "Category not found",
+          message: "Brand not found",
         });
       }
+      product.brand = productBrand.brand;
+      product.brandRef = productBrand.brandRef;
     }
+    if (sku !== undefined && sku.trim() !== "") product.sku = sku.trim();
 
-    // Update fields
-    Object.keys(req.body).forEach((key) => {
-      if (req.body[key] !== undefined) {
-        product[key] = req.body[key];
+    if (discountedPrice !== undefined) {
+      product.discountedPrice =
+        discountedPrice && !isNaN(discountedPrice) && discountedPrice > 0
+          ? parseFloat(discountedPrice)
+          : null;
+    }
+
+    if (weight !== undefined) product.weight = weight ? weight.trim() : "";
+    if (dimensions !== undefined)
+      product.dimensions = dimensions ? dimensions.trim() : "";
+    if (specifications !== undefined) {
+      try {
+        const specs =
+          typeof specifications === "string" && specifications.trim() !== ""
+            ? JSON.parse(specifications)
+            : specifications;
+        product.specifications = specs || {};
+      } catch (e) {
+        console.error("❌ Error parsing specifications:", e);
+        product.specifications = {};
       }
-    });
+    }
+    if (featured !== undefined) product.featured = !!featured;
+    if (isActive !== undefined) product.isActive = !!isActive;
+    if (fitments !== undefined) product.fitments = parseObjectIdArray(fitments);
+    if (options !== undefined) product.options = parseProductOptions(options);
+
+    // Handle images update
+    let updatedImages = [...product.images];
+
+    // Parse images from request body
+    let imagesArray = [];
+    try {
+      if (images && images.trim() !== "" && images !== "[]") {
+        if (typeof images === "string") {
+          if (images.trim().startsWith("[")) {
+            imagesArray = JSON.parse(images);
+          } else {
+            imagesArray = [images];
+          }
+        } else if (Array.isArray(images)) {
+          imagesArray = images;
+        }
+      }
+    } catch (e) {
+      console.error("❌ Error parsing images:", e);
+      imagesArray = [];
+    }
 
+    // Process images (convert base64 to files, extract filenames)
+    if (Array.isArray(imagesArray) && imagesArray.length > 0) {
+      const processed = processImagesArray(imagesArray, "product");
+      updatedImages = [...processed];
+    }
+
+    // Remove specified images
+    try {
+      let imagesToRemove = [];
+      if (removeImages && removeImages.trim() !== "" && removeImages !== "[]") {
+        if (typeof removeImages === "string") {
+          if (removeImages.trim().startsWith("[")) {
+            imagesToRemove = JSON.parse(removeImages);
+          } else {
+            imagesToRemove = [removeImages];
+          }
+        } else if (Array.isArray(removeImages)) {
+          imagesToRemove = removeImages;
+        }
+        
+        if (Array.isArray(imagesToRemove)) {
+          imagesToRemove.forEach((imageToRemove) => {
+            const filename = extractFilename(imageToRemove);
+            if (filename) {
+              // Remove from array
+              updatedImages = updatedImages.filter((img) => img !== filename);
+              // Delete from server
+              deleteImageFile(filename);
+            }
+          });
+        }
+      }
+    } catch (e) {
+      console.error("❌ Error parsing removeImages:", e);
+    }
+
+    // Add new uploaded images
+    if (req.files && req.files.length > 0) {
+      const newImages = req.files.map((file) => file.filename);
+      updatedImages = [...updatedImages, ...newImages];
+    }
+
+    // Remove duplicates and empty values
+    updatedImages = [
+      ...new Set(updatedImages.filter((img) => img && img.trim() !== "")),
+    ];
+
+    product.images = updatedImages;
     product.updatedAt = Date.now();
+
+    // Nothing touches the stock ledger until the update is known to save
+    await product.validate();
+    if (
+      product.isModified("sku") &&
+      (await Product.exists({ sku: product.sku, _id: { $ne: product._id } }))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `SKU ${product.sku} is already in use`,
+      });
+    }
+
+    for (const entry of outgoingStock) {
+      if (entry.quantity <= 0) continue;
+      await changeStock({
+        product: product._id,
+        variant: entry.variant,
+        warehouse: entry.warehouse,
+        delta: -entry.quantity,
+        reason: "adjustment",
+        user: req.user.userId,
+        note: entry.note,
+      });
+    }
+
+    // The ledger updates inventory atomically in the database; save on top
+    // of the current counts, not the ones loaded with the product
+    const current = await Product.findById(product._id, "inventory");
+    product.inventory = current ? current.inventory.map((entry) => entry.toObject()) : [];
+
     await product.save();
 
-    const updatedProduct = await Product.findById(product._id).populate(
-      "category",
-      "name"
+    await applyStockTargets(product._id, stockTargets, warehouse, req.user.userId);
+
+    // Update product counts for all affected categories
+    const allAffectedCategories = [
+      ...new Set(
+        [...oldCategories, ...product.categories].map((cat) => cat.toString())
+      ),
+    ];
+    
+    for (const catId of allAffectedCategories) {
+      await updateCategoryProductCount(catId);
+    }
+
+    // Both brands may change: the product moved, or its active flag did
+    await updateBrandProductCounts([oldBrandRef, product.brandRef]);
+
+    const processedProduct = processProductForResponse(
+      stockTargets.length > 0 ? await Product.findById(product._id) : product
     );
 
     res.json({
       success: true,
       message: "Product updated successfully",
-      product: updatedProduct,
+      product: processedProduct,
     });
   } catch (error) {
-    console.error("Update product error:", error);
+    console.error("❌ Update product error:", error);
     res.status(400).json({
       success: false,
       message: "Error updating product",
@@ -606,7 +1150,6 @@ exports.deleteProduct = async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Validate ObjectId
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
         success: false,
@@ -622,20 +1165,37 @@ exports.deleteProduct = async (req, res) => {
       });
     }
 
-    // Soft delete by setting isActive to false
+    const categories = [...(product.categories || [])];
+
+    if (product.images && Array.isArray(product.images)) {
+      product.images.forEach((image) => {
+        const filename = extractFilename(image);
+        if (filename) {
+          deleteImageFile(filename);
+        }
+      });
+    }
+
     product.isActive = false;
     product.updatedAt = Date.now();
     await product.save();
 
+    // Update product counts for all categories this product was in
+    for (const categoryId of categories) {
+      await updateCategoryProductCount(categoryId);
+    }
+
+    await updateBrandProductCount(product.brandRef);
+
     res.json({
       success: true,
       message: "Product deleted successfully",
     });
   } catch (error) {
-    console.error("Delete product error:", error);
+    console.error("❌ Delete product error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error while deleting product",
+      message: "Error deleting product",
       error: error.message,
     });
   }
@@ -645,7 +1205,7 @@ exports.deleteProduct = async (req, res) => {
 exports.updateStock = async (req, res) => {
   try {
     const { id } = req.params;
-    const { quantity } = req.body;
+    const { quantity, variantId, warehouse: warehouseInput, note } = req.body;
 
     // Validate ObjectId
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -663,21 +1223,63 @@ exports.updateStock = async (req, res) => {
       });
     }
 
-    if (quantity === undefined || quantity === null) {
+    if (quantity === undefined || quantity === null || isNaN(Number(quantity))) {
       return res.status(400).json({
         success: false,
         message: "Quantity is required",
       });
     }
 
-    product.stock = Math.max(0, Number(quantity));
-    product.updatedAt = Date.now();
-    await product.save();
+    // Products with variants keep stock per variant; the total follows
+    let variant = null;
+    if (variantId) {
+      variant = product.getVariant(variantId);
+      if (!variant) {
+        return res.status(404).json({
+          success: false,
+          message: "Variant not found",
+        });
+      }
+    } else if (product.variants.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "This product has variants; pass variantId to set its stock",
+      });
+    }
+
+    const warehouse = await resolveWarehouse(warehouseInput);
+    if (!warehouse) {
+      return res.status(400).json({
+        success: false,
+        message: "Warehouse not found",
+      });
+    }
+
+    const updated = await setStock({
+      product: product._id,
+      variant: variant ? variant._id : null,
+      warehouse,
+      quantity,
+      user: req.user.userId,
+      note: note ? String(note).trim() : "",
+    });
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
 
     res.json({
       success: true,
       message: "Stock updated successfully",
-      stock: product.stock,
+      stock: updated.stock,
+      warehouse: { _id: warehouse._id, code: warehouse.code, name: warehouse.name },
+      warehouseStock: updated.stockAt(warehouse._id, variant ? variant._id : null),
+      ...(variant && {
+        variantId: variant._id,
+        variantStock: updated.variants.id(variant._id).stock,
+      }),
     });
   } catch (error) {
     console.error("Update stock error:", error);
@@ -689,6 +1291,147 @@ exports.updateStock = async (req, res) => {
   }
 };
 
+// Get the stock ledger for a product, newest first
+exports.getStockHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      page = 1,
+      limit = 50,
+      reason,
+      variantId,
+      warehouse,
+      from,
+      to,
+    } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid product ID format",
+      });
+    }
+
+    const product = await Product.findById(
+      id,
+      "name sku stock variants inventory"
+    ).populate("inventory.warehouse", "name code");
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    const query = { product: product._id };
+
+    if (reason) {
+      if (!StockMovement.REASONS.includes(reason)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid reason. Use one of: ${StockMovement.REASONS.join(", ")}`,
+        });
+      }
+      query.reason = reason;
+    }
+
+    if (variantId) {
+      if (!mongoose.Types.ObjectId.isValid(variantId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid variant ID format",
+        });
+      }
+      query.variant = new mongoose.Types.ObjectId(variantId);
+    }
+
+    if (warehouse) {
+      const stockWarehouse = await Warehouse.findByCodeOrId(warehouse);
+      if (!stockWarehouse) {
+        return res.status(400).json({
+          success: false,
+          message: "Warehouse not found",
+        });
+      }
+      query.warehouse = stockWarehouse._id;
+    }
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const movements = await StockMovement.find(query)
+      .populate("user", "name email")
+      .populate("warehouse", "name code")
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(Number(limit));
+
+    const total = await StockMovement.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    // Net movement per reason over the whole filtered range
+    const byReason = await StockMovement.aggregate([
+      { $match: query },
+      {
+        $group: {
+          _id: "$reason",
+          in: { $sum: { $cond: [{ $gt: ["$delta", 0] }, "$delta", 0] } },
+          out: { $sum: { $cond: [{ $lt: ["$delta", 0] }, "$delta", 0] } },
+          net: { $sum: "$delta" },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    res.json({
+      success: true,
+      product: {
+        _id: product._id,
+        name: product.name,
+        sku: product.sku,
+        stock: product.stock,
+        variants: product.variants.map((variant) => ({
+          _id: variant._id,
+          sku: variant.sku,
+          stock: variant.stock,
+        })),
+        inventory: product.inventory,
+      },
+      summary: byReason.map(({ _id, ...totals }) => ({ reason: _id, ...totals })),
+      count: movements.length,
+      total,
+      totalPages,
+      currentPage: Number(page),
+      movements,
+    });
+  } catch (error) {
+    console.error("Get stock history error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching stock history",
+      error: error.message,
+    });
+  }
+};
+
+// Fields bulkUpdateProducts may set. Brand and category changes go through
+// updateProduct, which keeps the linked fields and product counts in step
+const BULK_UPDATE_FIELDS = [
+  "price",
+  "discountedPrice",
+  "fitments",
+  "weight",
+  "dimensions",
+  "featured",
+  "isActive",
+];
+
 // Bulk update products
 exports.bulkUpdateProducts = async (req, res) => {
   try {
@@ -712,12 +1455,43 @@ exports.bulkUpdateProducts = async (req, res) => {
       });
     }
 
+    // Only plain catalog fields can be bulk set. Stock, inventory and
+    // variants only change through the stock ledger
+    if (!updateData || typeof updateData !== "object" || Array.isArray(updateData)) {
+      return res.status(400).json({
+        success: false,
+        message: "Update data is required",
+      });
+    }
+    const rejectedFields = Object.keys(updateData).filter(
+      (field) => !BULK_UPDATE_FIELDS.includes(field)
+    );
+    if (rejectedFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `These fields can't be bulk updated: ${rejectedFields.join(", ")}`,
+        allowedFields: BULK_UPDATE_FIELDS,
+      });
+    }
+
     // Update all products
     const result = await Product.updateMany(
       { _id: { $in: productIds } },
       { $set: updateData, updatedAt: Date.now() }
     );
 
+    // Counts only include active products
+    if ("isActive" in updateData) {
+      const [brandIds, categoryIds] = await Promise.all([
+        Product.distinct("brandRef", { _id: { $in: productIds } }),
+        Product.distinct("categories", { _id: { $in: productIds } }),
+      ]);
+      await updateBrandProductCounts(brandIds);
+      for (const categoryId of categoryIds) {
+        await updateCategoryProductCount(categoryId);
+      }
+    }
+
     res.json({
       success: true,
       message: `${result.modifiedCount} products updated successfully`,
@@ -761,6 +1535,9 @@ exports.bulkDeleteProducts = async (req, res) => {
       { _id: { $in: productIds } },
       { $set: { isActive: false, updatedAt: Date.now() } }
     );
+    await updateBrandProductCounts(
+      await Product.distinct("brandRef", { _id: { $in: productIds } })
+    );
 
     res.json({
       success: true,
@@ -811,6 +1588,9 @@ exports.bulkUpdateStatus = async (req, res) => {
       { _id: { $in: productIds } },
       { $set: { isActive, updatedAt: Date.now() } }
     );
+    await updateBrandProductCounts(
+      await Product.distinct("brandRef", { _id: { $in: productIds } })
+    );
 
     res.json({
       success: true,
@@ -879,7 +1659,7 @@ exports.getProductStats = async (req, res) => {
                       {
                         $and: [
                           { $gt: ["$stock", 0] },
-                          { $lte: ["$stock", 10] },
+                          { $lte: ["$stock", LOW_STOCK_THRESHOLD] },
                           { $eq: ["$isActive", true] },
                         ],
                       },
@@ -1011,7 +1791,68 @@ exports.getProductStats = async (req, res) => {
 // Get low stock products
 exports.getLowStockProducts = async (req, res) => {
   try {
-    const threshold = parseInt(req.query.threshold) || 10;
+    const threshold = parseInt(req.query.threshold) || LOW_STOCK_THRESHOLD;
+    const { warehouse } = req.query;
+
+    if (warehouse) {
+      const stockWarehouse = await Warehouse.findByCodeOrId(warehouse);
+      if (!stockWarehouse) {
+        return res.status(400).json({
+          success: false,
+          message: "Warehouse not found",
+        });
+      }
+
+      const products = await Product.find({
+        inventory: {
+          $elemMatch: {
+            warehouse: stockWarehouse._id,
+            quantity: { $gt: 0, $lte: threshold },
+          },
+        },
+        isActive: true,
+      }).populate("category", "name");
+
+      // One row per product (or variant) running low at this warehouse
+      const items = products
+        .flatMap((product) =>
+          product.inventory
+            .filter(
+              (entry) =>
+                entry.warehouse.toString() === stockWarehouse._id.toString() &&
+                entry.quantity > 0 &&
+                entry.quantity <= threshold
+            )
+            .map((entry) => {
+              const variant = entry.variant
+                ? product.variants.id(entry.variant)
+                : null;
+              return {
+                product: product._id,
+                name: product.name,
+                sku: (variant ? variant.sku : product.sku) || "",
+                variant: variant ? variant._id : null,
+                variantOptions: variant ? Object.fromEntries(variant.options) : null,
+                category: product.category,
+                warehouseStock: entry.quantity,
+                totalStock: variant ? variant.stock : product.stock,
+              };
+            })
+        )
+        .sort((a, b) => a.warehouseStock - b.warehouseStock);
+
+      return res.json({
+        success: true,
+        count: items.length,
+        threshold,
+        warehouse: {
+          _id: stockWarehouse._id,
+          code: stockWarehouse.code,
+          name: stockWarehouse.name,
+        },
+        items,
+      });
+    }
 
     const products = await Product.find({
       stock: { $gt: 0, $lte: threshold },
@@ -1269,6 +2110,7 @@ exports.toggleActive = async (req, res) => {
     product.isActive = !product.isActive;
     product.updatedAt = Date.now();
     await product.save();
+    await updateBrandProductCount(product.brandRef);
 
     res.json({
       success: true,
@@ -1288,22 +2130,13 @@ exports.toggleActive = async (req, res) => {
 // Get all products for admin (including inactive)
 exports.getAllProductsForAdmin = async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 20,
-      sortBy = "createdAt",
-      order = "desc",
-      search,
-      status,
-      featured,
-      category,
-    } = req.query;
+    const { page = 1, limit = 100, search = "", category = "" } = req.query;
+    const skip = (Number(page) - 1) * Number(limit);
 
-    const query = {};
+    const filter = {};
 
-    // Search filter
     if (search) {
-      query.$or = [
+      filter.$or = [
         { name: { $regex: search, $options: "i" } },
         { description: { $regex: search, $options: "i" } },
         { brand: { $regex: search, $options: "i" } },
@@ -1311,61 +2144,36 @@ exports.getAllProductsForAdmin = async (req, res) => {
       ];
     }
 
-    // Status filter
-    if (status === "active") {
-      query.isActive = true;
-    } else if (status === "inactive") {
-      query.isActive = false;
-    } else if (status === "out_of_stock") {
-      query.stock = 0;
-    } else if (status === "low_stock") {
-      query.stock = { $gt: 0, $lte: 10 };
-    } else if (status === "in_stock") {
-      query.stock = { $gt: 10 };
+    if (category && category !== "all" && category !== "null") {
+      filter.categories = category;
     }
 
-    // Featured filter
-    if (featured === "true") {
-      query.featured = true;
-    } else if (featured === "false") {
-      query.featured = false;
-    }
-
-    // Category filter
-    if (
-      category &&
-      category !== "all" &&
-      mongoose.Types.ObjectId.isValid(category)
-    ) {
-      query.category = category;
-    }
-
-    const skip = (Number(page) - 1) * Number(limit);
-    const sortOptions = {};
-    sortOptions[sortBy] = order === "asc" ? 1 : -1;
-
-    const products = await Product.find(query)
-      .populate("category", "name")
-      .sort(sortOptions)
+    const products = await Product.find(filter)
       .skip(skip)
-      .limit(Number(limit));
+      .limit(Number(limit))
+      .sort({ createdAt: -1 })
+      .populate("categories", "name productCount");
 
-    const total = await Product.countDocuments(query);
+    const processedProducts = await attachAvailability(
+      products.map((product) => processProductForResponse(product))
+    );
+
+    const total = await Product.countDocuments(filter);
     const totalPages = Math.ceil(total / limit);
 
     res.json({
       success: true,
-      count: products.length,
+      count: processedProducts.length,
       total,
       totalPages,
       currentPage: Number(page),
-      products,
+      products: processedProducts,
     });
   } catch (error) {
-    console.error("Get all products for admin error:", error);
+    console.error("❌ Admin products error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error while fetching products for admin",
+      message: "Error fetching admin products",
       error: error.message,
     });
   }
@@ -1466,3 +2274,116 @@ exports.updateReviewStatus = async (req, res) => {
     });
   }
 };
+
+// Link a product to a category
+exports.linkCategory = async (req, res) => {
+  try {
+    const { productId, categoryId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(productId) || !mongoose.Types.ObjectId.isValid(categoryId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid product or category ID format",
+      });
+    }
+
+    const product = await Product.findById(productId);
+    const category = await Category.findById(categoryId);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    // Add category to product's categories array if not already present
+    const categoryIdStr = categoryId.toString();
+    if (!product.categories.includes(categoryIdStr)) {
+      product.categories.push(categoryIdStr);
+      await product.save();
+      
+      // Update product count for the category
+      await updateCategoryProductCount(categoryId);
+    }
+
+    const processedProduct = processProductForResponse(product);
+
+    res.json({
+      success: true,
+      message: "Product linked to category successfully",
+      product: processedProduct,
+    });
+  } catch (error) {
+    console.error("❌ Link product to category error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error linking product to category",
+      error: error.message,
+    });
+  }
+};
+
+// Unlink a product from a category
+exports.unlinkCategory = async (req, res) => {
+  try {
+    const { productId, categoryId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(productId) || !mongoose.Types.ObjectId.isValid(categoryId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid product or category ID format",
+      });
+    }
+
+    const product = await Product.findById(productId);
+    const category = await Category.findById(categoryId);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    // Remove category from product's categories array
+    const categoryIdStr = categoryId.toString();
+    const index = product.categories.indexOf(categoryIdStr);
+    if (index > -1) {
+      product.categories.splice(index, 1);
+      await product.save();
+      
+      // Update product count for the category
+      await updateCategoryProductCount(categoryId);
+    }
+
+    const processedProduct = processProductForResponse(product);
+
+    res.json({
+      success: true,
+      message: "Product unlinked from category successfully",
+      product: processedProduct,
+    });
+  } catch (error) {
+    console.error("❌ Unlink product from category error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error unlinking product from category",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,828 @@
+// backend/controllers/purchaseOrderController.js
+const PurchaseOrder = require("../models/PurchaseOrder");
+const Supplier = require("../models/Supplier");
+const Product = require("../models/Product");
+const Warehouse = require("../models/Warehouse");
+const mongoose = require("mongoose");
+const {
+  LOW_STOCK_THRESHOLD,
+  resolveWarehouse,
+  changeStock,
+} = require("../utils/inventory");
+
+// Turn the items of a create/update request into purchase order lines.
+// Returns { items } or { error } describing the first bad line.
+const buildItems = async (input) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: "At least one item is required" };
+  }
+
+  const productIds = input
+    .map((line) => line && line.productId)
+    .filter((id) => mongoose.Types.ObjectId.isValid(id));
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productMap = new Map(products.map((product) => [product._id.toString(), product]));
+
+  const items = [];
+  for (const [index, line] of input.entries()) {
+    const product = line && productMap.get(String(line.productId));
+    if (!product) {
+      return { error: `Item ${index + 1}: product not found` };
+    }
+
+    let variant = null;
+    if (product.variants.length > 0) {
+      variant = product.getVariant(line.variantId);
+      if (!variant) {
+        return { error: `Item ${index + 1}: choose a variant of ${product.name}` };
+      }
+    }
+
+    const quantity = parseInt(line.quantity);
+    if (!quantity || quantity < 1) {
+      return { error: `Item ${index + 1}: quantity must be at least 1` };
+    }
+
+    const unitCost = parseFloat(line.unitCost);
+    if (isNaN(unitCost) || unitCost < 0) {
+      return { error: `Item ${index + 1}: unit cost must be zero or more` };
+    }
+
+    items.push({
+      product: product._id,
+      variant: variant ? variant._id : null,
+      name: product.name,
+      sku: (variant ? variant.sku : product.sku) || "",
+      unitCost,
+      quantityOrdered: quantity,
+    });
+  }
+
+  return { items };
+};
+
+// Key for a product or one of its variants
+const stockKey = (productId, variantId) =>
+  `${productId}:${variantId ? variantId.toString() : ""}`;
+
+// =================== SUPPLIERS ===================
+
+// Get all suppliers
+exports.getSuppliers = async (req, res) => {
+  try {
+    const { search, isActive } = req.query;
+    const query = {};
+
+    if (search) {
+      query.name = { $regex: search, $options: "i" };
+    }
+    if (isActive !== undefined) {
+      query.isActive = isActive === "true";
+    }
+
+    const suppliers = await Supplier.find(query).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: suppliers.length,
+      suppliers,
+    });
+  } catch (error) {
+    console.error("Get suppliers error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching suppliers",
+      error: error.message,
+    });
+  }
+};
+
+// Create a supplier
+exports.createSupplier = async (req, res) => {
+  try {
+    const { name, contactName, email, phone, address, leadTimeDays, notes } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Supplier name is required",
+      });
+    }
+
+    const supplier = await Supplier.create({
+      name,
+      contactName,
+      email,
+      phone,
+      address: address || {},
+      leadTimeDays:
+        leadTimeDays !== undefined && leadTimeDays !== null && leadTimeDays !== ""
+          ? parseInt(leadTimeDays)
+          : null,
+      notes,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Supplier created successfully",
+      supplier,
+    });
+  } catch (error) {
+    console.error("Create supplier error:", error);
+    if (error.name === "ValidationError" || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message:
+          error.code === 11000
+            ? "A supplier with this name already exists"
+            : Object.values(error.errors)
+                .map((err) => err.message)
+                .join(", "),
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error while creating supplier",
+      error: error.message,
+    });
+  }
+};
+
+// Update a supplier
+exports.updateSupplier = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid supplier ID format",
+      });
+    }
+
+    const supplier = await Supplier.findById(id);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: "Supplier not found",
+      });
+    }
+
+    const fields = ["name", "contactName", "email", "phone", "address", "notes", "isActive"];
+    fields.forEach((field) => {
+      if (req.body[field] !== undefined) supplier[field] = req.body[field];
+    });
+    if (req.body.leadTimeDays !== undefined) {
+      supplier.leadTimeDays =
+        req.body.leadTimeDays === null || req.body.leadTimeDays === ""
+          ? null
+          : parseInt(req.body.leadTimeDays);
+    }
+
+    await supplier.save();
+
+    res.json({
+      success: true,
+      message: "Supplier updated successfully",
+      supplier,
+    });
+  } catch (error) {
+    console.error("Update supplier error:", error);
+    if (error.name === "ValidationError" || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message:
+          error.code === 11000
+            ? "A supplier with this name already exists"
+            : Object.values(error.errors)
+                .map((err) => err.message)
+                .join(", "),
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating supplier",
+      error: error.message,
+    });
+  }
+};
+
+// =================== PURCHASE ORDERS ===================
+
+// Get all purchase orders
+exports.getPurchaseOrders = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, supplier, product, search } = req.query;
+    const skip = (Number(page) - 1) * Number(limit);
+    const query = {};
+
+    if (status && status !== "all") {
+      query.status = status;
+    }
+    if (supplier && mongoose.Types.ObjectId.isValid(supplier)) {
+      query.supplier = supplier;
+    }
+    if (product && mongoose.Types.ObjectId.isValid(product)) {
+      query["items.product"] = product;
+    }
+    if (search) {
+      query.poNumber = { $regex: search, $options: "i" };
+    }
+
+    const purchaseOrders = await PurchaseOrder.find(query)
+      .populate("supplier", "name")
+      .populate("warehouse", "name code")
+      .select("-receipts")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit));
+
+    const total = await PurchaseOrder.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      count: purchaseOrders.length,
+      total,
+      totalPages,
+      currentPage: Number(page),
+      purchaseOrders,
+    });
+  } catch (error) {
+    console.error("Get purchase orders error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching purchase orders",
+      error: error.message,
+    });
+  }
+};
+
+// Get a single purchase order with its receipts
+exports.getPurchaseOrderById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid purchase order ID format",
+      });
+    }
+
+    const purchaseOrder = await PurchaseOrder.findById(id)
+      .populate("supplier")
+      .populate("warehouse", "name code")
+      .populate("receipts.warehouse", "name code")
+      .populate("receipts.receivedBy", "name email")
+      .populate("createdBy", "name email");
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: "Purchase order not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      purchaseOrder,
+      allowedTransitions: PurchaseOrder.allowedTransitions(purchaseOrder.status),
+    });
+  } catch (error) {
+    console.error("Get purchase order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching purchase order",
+      error: error.message,
+    });
+  }
+};
+
+// Create a purchase order (as a draft)
+exports.createPurchaseOrder = async (req, res) => {
+  try {
+    const { supplier: supplierId, warehouse, expectedAt, notes, items } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(supplierId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid supplier ID format",
+      });
+    }
+
+    const supplier = await Supplier.findById(supplierId);
+    if (!supplier || !supplier.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Supplier not found",
+      });
+    }
+
+    const destination = await resolveWarehouse(warehouse);
+    if (!destination) {
+      return res.status(400).json({
+        success: false,
+        message: "Warehouse not found",
+      });
+    }
+
+    const { items: lines, error } = await buildItems(items);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const purchaseOrder = await PurchaseOrder.create({
+      supplier: supplier._id,
+      warehouse: destination._id,
+      items: lines,
+      expectedAt: expectedAt ? new Date(expectedAt) : null,
+      notes: notes || "",
+      createdBy: req.user.userId,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Purchase order created successfully",
+      purchaseOrder,
+    });
+  } catch (error) {
+    console.error("Create purchase order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while creating purchase order",
+      error: error.message,
+    });
+  }
+};
+
+// Update a draft purchase order
+exports.updatePurchaseOrder = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid purchase order ID format",
+      });
+    }
+
+    const purchaseOrder = await PurchaseOrder.findById(id);
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: "Purchase order not found",
+      });
+    }
+
+    if (purchaseOrder.status !== "draft") {
+      return res.status(400).json({
+        success: false,
+        message: "Only draft purchase orders can be edited",
+      });
+    }
+
+    const { supplier: supplierId, warehouse, expectedAt, notes, items } = req.body;
+
+    if (supplierId !== undefined) {
+      const supplier = mongoose.Types.ObjectId.isValid(supplierId)
+        ? await Supplier.findById(supplierId)
+        : null;
+      if (!supplier || !supplier.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: "Supplier not found",
+        });
+      }
+      purchaseOrder.supplier = supplier._id;
+    }
+
+    if (warehouse !== undefined) {
+      const destination = await Warehouse.findByCodeOrId(warehouse);
+      if (!destination || !destination.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: "Warehouse not found",
+        });
+      }
+      purchaseOrder.warehouse = destination._id;
+    }
+
+    if (items !== undefined) {
+      const { items: lines, error } = await buildItems(items);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      purchaseOrder.items = lines;
+    }
+
+    if (expectedAt !== undefined) {
+      purchaseOrder.expectedAt = expectedAt ? new Date(expectedAt) : null;
+    }
+    if (notes !== undefined) purchaseOrder.notes = notes || "";
+
+    await purchaseOrder.save();
+
+    res.json({
+      success: true,
+      message: "Purchase order updated successfully",
+      purchaseOrder,
+    });
+  } catch (error) {
+    console.error("Update purchase order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating purchase order",
+      error: error.message,
+    });
+  }
+};
+
+// Place, cancel or close a purchase order. Receiving statuses are set by
+// posting receipts.
+exports.updatePurchaseOrderStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid purchase order ID format",
+      });
+    }
+
+    if (!["ordered", "cancelled", "closed"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Status must be ordered, cancelled or closed",
+      });
+    }
+
+    const purchaseOrder = await PurchaseOrder.findById(id).populate(
+      "supplier",
+      "leadTimeDays"
+    );
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: "Purchase order not found",
+      });
+    }
+
+    if (!purchaseOrder.canTransitionTo(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change purchase order status from ${purchaseOrder.status} to ${status}`,
+        currentStatus: purchaseOrder.status,
+        allowedTransitions: PurchaseOrder.allowedTransitions(purchaseOrder.status),
+      });
+    }
+
+    if (status === "cancelled" && purchaseOrder.receipts.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Stock has already been received; close the order instead",
+      });
+    }
+
+    if (status === "ordered") {
+      purchaseOrder.orderedAt = new Date();
+      const leadTimeDays = purchaseOrder.supplier?.leadTimeDays;
+      if (!purchaseOrder.expectedAt && leadTimeDays !== null && leadTimeDays !== undefined) {
+        purchaseOrder.expectedAt = new Date(Date.now() + leadTimeDays * 24 * 60 * 60 * 1000);
+      }
+    }
+    purchaseOrder.status = status;
+    await purchaseOrder.save();
+
+    res.json({
+      success: true,
+      message: `Purchase order status updated to ${status}`,
+      purchaseOrder,
+      allowedTransitions: PurchaseOrder.allowedTransitions(purchaseOrder.status),
+    });
+  } catch (error) {
+    console.error("Update purchase order status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating purchase order status",
+      error: error.message,
+    });
+  }
+};
+
+// Post a delivery against a purchase order. Body:
+// { lines: [{ itemId, quantity }], warehouse?, note? }
+// Each line adds stock at the receiving warehouse through the stock ledger.
+exports.receivePurchaseOrder = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { lines, warehouse, note } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid purchase order ID format",
+      });
+    }
+
+    const purchaseOrder = await PurchaseOrder.findById(id);
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: "Purchase order not found",
+      });
+    }
+
+    if (!PurchaseOrder.RECEIVABLE_STATUSES.includes(purchaseOrder.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot receive stock on a ${purchaseOrder.status} purchase order`,
+      });
+    }
+
+    if (!Array.isArray(lines) || lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one line is required",
+      });
+    }
+
+    const destination = warehouse
+      ? await Warehouse.findByCodeOrId(warehouse)
+      : await Warehouse.findById(purchaseOrder.warehouse);
+    if (!destination || !destination.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Warehouse not found",
+      });
+    }
+
+    // Check every line before touching stock
+    const receiving = new Map();
+    for (const line of lines) {
+      const item = line && purchaseOrder.items.id(line.itemId);
+      const quantity = parseInt(line && line.quantity);
+
+      if (!item) {
+        return res.status(400).json({
+          success: false,
+          message: `Line ${line && line.itemId} is not on this purchase order`,
+        });
+      }
+      if (!quantity || quantity < 1) {
+        return res.status(400).json({
+          success: false,
+          message: `Quantity for ${item.name} must be at least 1`,
+        });
+      }
+
+      const total = (receiving.get(item._id.toString()) || 0) + quantity;
+      if (total > purchaseOrder.remainingFor(item)) {
+        return res.status(400).json({
+          success: false,
+          message: `Only ${purchaseOrder.remainingFor(item)} of ${item.name} left to receive`,
+        });
+      }
+      receiving.set(item._id.toString(), total);
+    }
+
+    // Claim every line's quantity on the order first, so two receipts sent
+    // at once can't both add the same units, and a retried receipt finds
+    // them already counted
+    const claimed = [];
+    for (const [itemId, quantity] of receiving) {
+      const item = purchaseOrder.items.id(itemId);
+      const claim = await PurchaseOrder.claimReceived(purchaseOrder._id, item, quantity);
+      if (!claim) {
+        for (const done of claimed) {
+          await PurchaseOrder.releaseReceived(purchaseOrder._id, done.item._id, done.quantity);
+        }
+        return res.status(409).json({
+          success: false,
+          message: `${item.name} was received by another request, please reload`,
+        });
+      }
+      claimed.push({ item, quantity });
+    }
+
+    const receiptLines = [];
+    const problems = [];
+
+    for (const { item, quantity } of claimed) {
+      const updated = await changeStock({
+        product: item.product,
+        variant: item.variant,
+        warehouse: destination._id,
+        delta: quantity,
+        reason: "receipt",
+        reference: purchaseOrder._id,
+        referenceModel: "PurchaseOrder",
+        user: req.user.userId,
+        note: note ? String(note).trim() : purchaseOrder.poNumber,
+      });
+
+      if (!updated) {
+        await PurchaseOrder.releaseReceived(purchaseOrder._id, item._id, quantity);
+        problems.push({
+          item: item._id,
+          name: item.name,
+          message: "Product or variant no longer exists; stock not added",
+        });
+        continue;
+      }
+
+      receiptLines.push({ item: item._id, quantity });
+    }
+
+    // Record the delivery on the order as it now stands
+    const received = await PurchaseOrder.findById(purchaseOrder._id);
+    if (receiptLines.length > 0) {
+      received.receipts.push({
+        warehouse: destination._id,
+        lines: receiptLines,
+        receivedBy: req.user.userId,
+        note: note ? String(note).trim() : "",
+      });
+      received.updateReceivingStatus();
+      await received.save();
+    }
+
+    res.status(receiptLines.length > 0 ? 200 : 400).json({
+      success: receiptLines.length > 0,
+      message:
+        receiptLines.length > 0
+          ? `Received ${receiptLines.reduce((sum, line) => sum + line.quantity, 0)} units into ${destination.name}`
+          : "Nothing was received",
+      purchaseOrder: received,
+      ...(problems.length > 0 && { problems }),
+    });
+  } catch (error) {
+    console.error("Receive purchase order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while receiving stock",
+      error: error.message,
+    });
+  }
+};
+
+// Suggest what to reorder: every active product (or variant) at or below
+// the low-stock threshold, topped up to a target level less what is
+// already on order. Optional ?warehouse= looks at one warehouse's stock.
+exports.getReorderSuggestions = async (req, res) => {
+  try {
+    const threshold = parseInt(req.query.threshold) || LOW_STOCK_THRESHOLD;
+    const target = Math.max(parseInt(req.query.target) || threshold * 2, threshold);
+
+    let stockWarehouse = null;
+    if (req.query.warehouse) {
+      stockWarehouse = await Warehouse.findByCodeOrId(req.query.warehouse);
+      if (!stockWarehouse) {
+        return res.status(400).json({
+          success: false,
+          message: "Warehouse not found",
+        });
+      }
+    }
+
+    const filter = { isActive: true, isArchived: false };
+    if (stockWarehouse) {
+      filter.inventory = {
+        $elemMatch: { warehouse: stockWarehouse._id, quantity: { $lte: threshold } },
+      };
+    } else {
+      filter.$or = [
+        { stock: { $lte: threshold } },
+        { "variants.stock": { $lte: threshold } },
+      ];
+    }
+
+    const products = await Product.find(filter).select(
+      "name sku stock variants inventory category"
+    );
+
+    // One row per product, or per variant for products sold in variants
+    const rows = [];
+    for (const product of products) {
+      const units = product.variants.length > 0
+        ? product.variants.filter((variant) => variant.isActive)
+        : [null];
+
+      for (const variant of units) {
+        const variantId = variant ? variant._id : null;
+        const current = stockWarehouse
+          ? product.stockAt(stockWarehouse._id, variantId)
+          : product.stockFor(variant);
+        if (current > threshold) continue;
+
+        rows.push({
+          product: product._id,
+          variant: variantId,
+          name: product.name,
+          sku: (variant ? variant.sku : product.sku) || "",
+          variantOptions: variant ? Object.fromEntries(variant.options) : null,
+          currentStock: current,
+        });
+      }
+    }
+
+    const productIds = [...new Set(rows.map((row) => row.product.toString()))].map(
+      (id) => new mongoose.Types.ObjectId(id)
+    );
+
+    // Units already on open purchase orders
+    const onOrderMatch = {
+      status: { $in: PurchaseOrder.RECEIVABLE_STATUSES },
+      "items.product": { $in: productIds },
+    };
+    if (stockWarehouse) onOrderMatch.warehouse = stockWarehouse._id;
+
+    const onOrder = await PurchaseOrder.aggregate([
+      { $match: onOrderMatch },
+      { $unwind: "$items" },
+      { $match: { "items.product": { $in: productIds } } },
+      {
+        $group: {
+          _id: { product: "$items.product", variant: "$items.variant" },
+          quantity: {
+            $sum: { $subtract: ["$items.quantityOrdered", "$items.quantityReceived"] },
+          },
+        },
+      },
+    ]);
+    const onOrderByKey = new Map(
+      onOrder.map((entry) => [stockKey(entry._id.product, entry._id.variant), entry.quantity])
+    );
+
+    // Who we last bought each item from, and at what cost
+    const lastPurchases = await PurchaseOrder.aggregate([
+      { $match: { status: { $ne: "cancelled" }, "items.product": { $in: productIds } } },
+      { $sort: { createdAt: -1 } },
+      { $unwind: "$items" },
+      { $match: { "items.product": { $in: productIds } } },
+      {
+        $group: {
+          _id: { product: "$items.product", variant: "$items.variant" },
+          supplier: { $first: "$supplier" },
+          unitCost: { $first: "$items.unitCost" },
+        },
+      },
+    ]);
+    const suppliers = await Supplier.find(
+      { _id: { $in: lastPurchases.map((entry) => entry.supplier) } },
+      "name"
+    );
+    const supplierNames = new Map(
+      suppliers.map((supplier) => [supplier._id.toString(), supplier.name])
+    );
+    const lastByKey = new Map(
+      lastPurchases.map((entry) => [stockKey(entry._id.product, entry._id.variant), entry])
+    );
+
+    const suggestions = rows
+      .map((row) => {
+        const key = stockKey(row.product, row.variant);
+        const inbound = onOrderByKey.get(key) || 0;
+        const last = lastByKey.get(key);
+
+        return {
+          ...row,
+          onOrder: inbound,
+          suggestedQuantity: Math.max(0, target - row.currentStock - inbound),
+          lastSupplier: last
+            ? { _id: last.supplier, name: supplierNames.get(last.supplier.toString()) || "" }
+            : null,
+          lastUnitCost: last ? last.unitCost : null,
+        };
+      })
+      .filter((suggestion) => suggestion.suggestedQuantity > 0)
+      .sort((a, b) => a.currentStock - b.currentStock);
+
+    res.json({
+      success: true,
+      count: suggestions.length,
+      threshold,
+      target,
+      warehouse: stockWarehouse
+        ? { _id: stockWarehouse._id, code: stockWarehouse.code, name: stockWarehouse.name }
+        : null,
+      suggestions,
+    });
+  } catch (error) {
+    console.error("Get reorder suggestions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while building reorder suggestions",
+      error: error.message,
+    });
+  }
+};
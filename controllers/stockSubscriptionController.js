@@ -0,0 +1,193 @@
+// backend/controllers/stockSubscriptionController.js
+const StockSubscription = require("../models/StockSubscription");
+const Product = require("../models/Product");
+const User = require("../models/User");
+const mongoose = require("mongoose");
+
+// The email a request subscribes with: the logged-in user's own (unless
+// they give another), otherwise the one in the body
+const subscriberEmail = async (req) => {
+  if (req.body.email) return String(req.body.email).toLowerCase().trim();
+  if (!req.user) return null;
+  const user = await User.findById(req.user.userId, "email");
+  return user ? user.email : null;
+};
+
+// Subscribe to a back-in-stock notice for a product (optionally one
+// variant). Works for guests with an email and for logged-in customers.
+exports.subscribe = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { variantId } = req.body;
+
+    const product = mongoose.Types.ObjectId.isValid(id)
+      ? await Product.findById(id, "name stock variants isActive isArchived")
+      : null;
+    if (!product || !product.isActive || product.isArchived) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    let variant = null;
+    if (variantId) {
+      variant = product.getVariant(variantId);
+      if (!variant) {
+        return res.status(400).json({
+          success: false,
+          message: "Variant not found",
+        });
+      }
+    }
+
+    if (product.stockFor(variant) > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "This item is in stock now",
+      });
+    }
+
+    const email = await subscriberEmail(req);
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required",
+      });
+    }
+
+    const subscription = await StockSubscription.create({
+      product: product._id,
+      variant: variant ? variant._id : null,
+      user: req.user ? req.user.userId : null,
+      email,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "We'll email you when it's back in stock",
+      subscription,
+    });
+  } catch (error) {
+    // Already waiting on this one - that's fine, one notice will go out
+    if (error.code === 11000) {
+      return res.status(200).json({
+        success: true,
+        message: "You're already on the list for this item",
+      });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message,
+      });
+    }
+    console.error("Subscribe to restock error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while subscribing",
+      error: error.message,
+    });
+  }
+};
+
+// Cancel a pending back-in-stock subscription
+exports.unsubscribe = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { variantId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    const email = await subscriberEmail(req);
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required",
+      });
+    }
+
+    const result = await StockSubscription.updateMany(
+      {
+        product: id,
+        variant: mongoose.Types.ObjectId.isValid(variantId) ? variantId : null,
+        email,
+        status: "pending",
+      },
+      { $set: { status: "cancelled", updatedAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: "You won't be emailed about this item",
+      cancelled: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Unsubscribe from restock error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while unsubscribing",
+      error: error.message,
+    });
+  }
+};
+
+// Get a product's back-in-stock subscriptions with their delivery status
+exports.getProductSubscriptions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, page = 1, limit = 20 } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    const query = { product: id };
+    if (status) {
+      if (!StockSubscription.STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${StockSubscription.STATUSES.join(", ")}`,
+        });
+      }
+      query.status = status;
+    }
+
+    const [subscriptions, total, byStatus] = await Promise.all([
+      StockSubscription.find(query)
+        .populate("user", "name email")
+        .sort({ createdAt: -1 })
+        .skip((Number(page) - 1) * Number(limit))
+        .limit(Number(limit)),
+      StockSubscription.countDocuments(query),
+      StockSubscription.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(id) } },
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    res.json({
+      success: true,
+      subscriptions,
+      summary: Object.fromEntries(byStatus.map((entry) => [entry._id, entry.count])),
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: Number(page),
+    });
+  } catch (error) {
+    console.error("Get restock subscriptions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching subscriptions",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,153 @@
+// backend/controllers/uploadController.js
+const path = require("path");
+const fs = require("fs");
+const {
+  categoryUploadsDir,
+  productUploadsDir,
+  saveBase64Image,
+} = require("../utils/images");
+
+// Check whether an uploaded image exists and where it is served from
+exports.checkImage = (req, res) => {
+  const { filename } = req.params;
+  const productPath = path.join(productUploadsDir, filename);
+  const categoryPath = path.join(categoryUploadsDir, filename);
+  
+  if (fs.existsSync(productPath)) {
+    res.json({
+      success: true,
+      message: "Image exists in products directory",
+      url: `/uploads/products/${filename}`,
+      accessible: true
+    });
+  } else if (fs.existsSync(categoryPath)) {
+    res.json({
+      success: true,
+      message: "Image exists in categories directory",
+      url: `/uploads/categories/${filename}`,
+      accessible: true
+    });
+  } else {
+    res.status(404).json({
+      success: false,
+      message: "Image not found",
+      accessible: false
+    });
+  }
+};
+
+// Upload a single product image (multer puts it on req.file)
+exports.uploadProductImage = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "No image file uploaded",
+      });
+    }
+
+    const imageUrl = `/uploads/products/${req.file.filename}`;
+
+    res.json({
+      success: true,
+      message: "Image uploaded successfully",
+      image: {
+        url: imageUrl,
+        filename: req.file.filename,
+        path: req.file.path,
+        size: req.file.size,
+        mimetype: req.file.mimetype,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Image upload error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to upload image",
+      error: error.message,
+    });
+  }
+};
+
+// Upload a category image
+exports.uploadCategoryImage = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "No image file uploaded",
+      });
+    }
+
+    const imageUrl = `/uploads/categories/${req.file.filename}`;
+
+    res.json({
+      success: true,
+      message: "Category image uploaded successfully",
+      image: {
+        url: imageUrl,
+        filename: req.file.filename,
+        path: req.file.path,
+        size: req.file.size,
+        mimetype: req.file.mimetype,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Category image upload error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to upload category image",
+      error: error.message,
+    });
+  }
+};
+
+// Save a base64 data URL as a product or category image
+exports.uploadBase64Image = async (req, res) => {
+  try {
+    if (!req.body || !req.body.image) {
+      return res.status(400).json({
+        success: false,
+        message: "No image data provided",
+      });
+    }
+
+    const { image, type = "product" } = req.body;
+
+    if (!image.startsWith("data:image/")) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid base64 image data",
+      });
+    }
+
+    const filename = saveBase64Image(image, type);
+    if (!filename) {
+      return res.status(400).json({
+        success: false,
+        message: "Failed to save image",
+      });
+    }
+
+    const imageUrl =
+      type === "category"
+        ? `/uploads/categories/${filename}`
+        : `/uploads/products/${filename}`;
+
+    res.json({
+      success: true,
+      message: "Base64 image uploaded successfully",
+      image: {
+        url: imageUrl,
+        filename: filename,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Base64 image upload error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to upload base64 image",
+      error: error.message,
+    });
+  }
+};
@@ -1,6 +1,69 @@
-// Import User model (database template) and JWT for making tokens
+// Import User model (database template) and token storage
 const User = require("../models/User");
-const jwt = require("jsonwebtoken");
+const RefreshToken = require("../models/RefreshToken");
+const LoginThrottle = require("../models/LoginThrottle");
+const AuditLog = require("../models/AuditLog");
+const Invitation = require("../models/Invitation");
+const Motorcycle = require("../models/Motorcycle");
+const mongoose = require("mongoose");
+const { ROLES, getPermissions } = require("../config/permissions");
+const { sendMail } = require("../utils/mailer");
+const { guestTokenFrom, mergeGuestCart } = require("../utils/guestCart");
+
+// Helper: make a short-lived login ticket and a refresh ticket.
+// Pass the family when rotating so reuse can be traced back to a login.
+const issueTokens = async (user, req, family) => {
+  const token = user.generateAuthToken();
+  const refreshToken = await user.generateRefreshToken({
+    family,
+    ip: req.ip,
+    userAgent: req.get("User-Agent"),
+  });
+
+  return {
+    token, // Login ticket (send as "Bearer <token>")
+    refreshToken, // Use with POST /users/refresh when the token expires
+    expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || "15m",
+  };
+};
+
+// Helper: email a "please verify your email" link.
+// Mail problems are logged, not thrown, so sign-up still works.
+const sendVerificationEmail = async (user, req) => {
+  try {
+    const token = user.createEmailVerificationToken();
+    await user.save();
+
+    const link = `${req.protocol}://${req.get("host")}/api/v1/users/verify/${token}`;
+    await sendMail({
+      to: user.email,
+      subject: "Verify your Federal Parts email",
+      text: `Hi ${user.name},\n\nPlease verify your email by opening this link:\n${link}\n\nThis link expires in 24 hours.`,
+    });
+  } catch (error) {
+    console.error("Verification email error:", error.message);
+  }
+};
+
+// Helper: count a failed login against the account and the IP, and write
+// an audit entry whenever that starts a lockout
+const recordFailedLogin = async (throttleKeys, user, req) => {
+  for (const key of throttleKeys) {
+    const { throttle, locked } = await LoginThrottle.registerFailure(key);
+    if (locked) {
+      await AuditLog.record({
+        action: "login_lockout",
+        targetUser: key.startsWith("account:") && user ? user._id : null,
+        ip: req.ip,
+        details: {
+          key,
+          failures: throttle.failures,
+          lockUntil: throttle.lockUntil,
+        },
+      });
+    }
+  }
+};
 
 // ==============================================
 // 1. REGISTER FUNCTION - Create new account
@@ -8,7 +71,7 @@ const jwt = require("jsonwebtoken");
 exports.register = async (req, res) => {
   try {
     // Step 1: Get info from sign-up form
-    const { name, email, password } = req.body;
+    const { name, email, password, inviteToken } = req.body;
 
     // Step 2: Check if email is already taken
     const existingUser = await User.findOne({ email });
@@ -19,33 +82,59 @@ exports.register = async (req, res) => {
       });
     }
 
-    // Step 3: Create new user account
-    const user = new User({ name, email, password });
-    await user.save(); // Save to database
+    // Step 3: Staff sign-up - use up their invitation to get the role
+    let invitation = null;
+    if (inviteToken) {
+      invitation = await Invitation.claim(inviteToken, email);
+      if (!invitation) {
+        return res.status(403).json({
+          success: false,
+          message: "❌ Invitation is invalid, expired, or already used!",
+        });
+      }
+    }
 
-    // Step 4: Create login ticket (lasts 24 hours)
-    const token = jwt.sign(
-      {
-        userId: user._id, // User's ID number
-        email: user.email, // User's email
-        role: user.role, // User or admin
-        name: user.name, // User's name
-      },
-      process.env.JWT_SECRET, // Secret key to sign ticket
-      { expiresIn: "24h" } // Ticket expires in 24 hours
-    );
+    // Step 4: Create new user account (customer unless invited)
+    const user = new User({
+      name,
+      email,
+      password,
+      role: invitation ? invitation.role : "customer",
+    });
+
+    try {
+      await user.save(); // Save to database
+    } catch (error) {
+      if (invitation) await invitation.release(); // Let them try again
+      throw error;
+    }
+
+    if (invitation) {
+      invitation.usedBy = user._id;
+      await invitation.save();
+    }
+
+    // Step 5: Create login ticket + refresh ticket
+    const tokens = await issueTokens(user, req);
+
+    // Step 5b: Email them a link to verify their email address
+    await sendVerificationEmail(user, req);
 
-    // Step 5: Send success response
+    // Step 5c: Bring over anything they put in a guest cart
+    const cartMerge = await mergeGuestCart(guestTokenFrom(req), user._id);
+
+    // Step 6: Send success response
     res.status(201).json({
       success: true,
       message: "✅ Account created successfully!",
-      token, // Give them the login ticket
+      ...tokens, // Give them the login + refresh tickets
       user: {
         id: user._id, // User ID
         name: user.name, // User's name
         email: user.email, // User's email
         role: user.role, // User's role
       },
+      cartMerge, // null when there was no guest cart
     });
   } catch (error) {
     console.error("Registration error:", error);
@@ -65,47 +154,53 @@ exports.login = async (req, res) => {
     // Step 1: Get login info
     const { email, password } = req.body;
 
-    // Step 2: Find user by email
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(401).json({
+    // Step 1b: Too many wrong tries from this account or this IP? Wait.
+    const throttleKeys = LoginThrottle.keysFor(email, req.ip);
+    const lock = await LoginThrottle.findActiveLock(throttleKeys);
+    if (lock) {
+      const retryAfter = Math.ceil((lock.lockUntil - Date.now()) / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
         success: false,
-        message: "❌ Wrong email or password!",
+        message: `🔒 Too many failed logins! Try again in ${retryAfter} seconds.`,
+        retryAfter,
       });
     }
 
+    // Step 2: Find user by email
+    const user = await User.findOne({ email });
+
     // Step 3: Check password (using model's comparePassword)
-    const isPasswordValid = await user.comparePassword(password);
+    const isPasswordValid = user ? await user.comparePassword(password) : false;
     if (!isPasswordValid) {
+      await recordFailedLogin(throttleKeys, user, req);
       return res.status(401).json({
         success: false,
         message: "❌ Wrong email or password!",
       });
     }
 
-    // Step 4: Create new login ticket
-    const token = jwt.sign(
-      {
-        userId: user._id,
-        email: user.email,
-        role: user.role,
-        name: user.name,
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: "24h" }
-    );
+    // Step 3b: Good password - forget this account's failed tries
+    await LoginThrottle.clear(throttleKeys[0]);
+
+    // Step 4: Create new login ticket + refresh ticket (new session)
+    const tokens = await issueTokens(user, req);
+
+    // Step 4b: Merge their guest cart (if any) into their own cart
+    const cartMerge = await mergeGuestCart(guestTokenFrom(req), user._id);
 
     // Step 5: Send success
     res.json({
       success: true,
       message: "✅ Login successful!",
-      token, // New login ticket
+      ...tokens, // New login + refresh tickets
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
       },
+      cartMerge, // What came over from the guest cart, and any conflicts
     });
   } catch (error) {
     console.error("Login error:", error);
@@ -117,6 +212,302 @@ exports.login = async (req, res) => {
   }
 };
 
+// ==============================================
+// 2b. REFRESH - Swap a refresh ticket for new tickets
+// ==============================================
+exports.refresh = async (req, res) => {
+  try {
+    // Step 1: Get the refresh ticket
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Refresh token is required!",
+      });
+    }
+
+    // Step 2: Use it up (only works once)
+    const used = await RefreshToken.consume(refreshToken);
+    if (!used) {
+      // Step 2a: Already used or revoked? Someone may have stolen it -
+      // log out every session that came from the same login
+      const existing = await RefreshToken.findByToken(refreshToken);
+      if (existing) {
+        await RefreshToken.revokeFamily(existing.family, "reuse_detected");
+        console.warn(
+          `⚠️ Refresh token reuse detected for user ${existing.user}, family ${existing.family} revoked`
+        );
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: "❌ Session is no longer valid. Please login again!",
+      });
+    }
+
+    // Step 3: Expired tickets don't count
+    if (used.expiresAt <= new Date()) {
+      return res.status(401).json({
+        success: false,
+        message: "⌛ Session expired! Login again!",
+      });
+    }
+
+    const user = await User.findById(used.user);
+    if (!user) {
+      await RefreshToken.revokeFamily(used.family, "logout");
+      return res.status(401).json({
+        success: false,
+        message: "❓ User not found!",
+      });
+    }
+
+    // Step 4: Give new tickets from the same login "family"
+    const tokens = await issueTokens(user, req, used.family);
+    const next = await RefreshToken.findByToken(tokens.refreshToken);
+    used.replacedBy = next._id;
+    await used.save();
+
+    // Step 5: Send them back
+    res.json({
+      success: true,
+      ...tokens,
+    });
+  } catch (error) {
+    console.error("Refresh error:", error);
+    res.status(500).json({
+      success: false,
+      message: "⚠️ Server error! Please try again.",
+      error: error.message,
+    });
+  }
+};
+
+// ==============================================
+// 2c. LOGOUT - End this session (or every session)
+// ==============================================
+exports.logout = async (req, res) => {
+  try {
+    // Step 1: Get the refresh ticket for this session
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Refresh token is required!",
+      });
+    }
+
+    // Step 2: Revoke every ticket from the same login
+    const existing = await RefreshToken.findByToken(refreshToken);
+    if (existing) {
+      await RefreshToken.revokeFamily(existing.family, "logout");
+    }
+
+    // Step 3: Always say yes (don't reveal whether the ticket existed)
+    res.json({
+      success: true,
+      message: "👋 Logged out!",
+    });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({
+      success: false,
+      message: "⚠️ Server error!",
+      error: error.message,
+    });
+  }
+};
+
+exports.logoutAll = async (req, res) => {
+  try {
+    // Revoke every refresh ticket this user has, on every device
+    const result = await RefreshToken.revokeAllForUser(
+      req.user.userId,
+      "logout_all"
+    );
+
+    res.json({
+      success: true,
+      message: "👋 Logged out of all devices!",
+      sessionsRevoked: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({
+      success: false,
+      message: "⚠️ Server error!",
+      error: error.message,
+    });
+  }
+};
+
+// ==============================================
+// 2d. FORGOT PASSWORD - Email a reset link
+// ==============================================
+exports.forgotPassword = async (req, res) => {
+  try {
+    // Step 1: Get their email
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Please enter your email!",
+      });
+    }
+
+    // Step 2: If we know them, make a reset token and email it
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (user) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+
+      const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+      const link = `${frontendUrl}/reset-password?token=${token}`;
+      await sendMail({
+        to: user.email,
+        subject: "Reset your Federal Parts password",
+        text: `Hi ${user.name},\n\nSomeone asked to reset your password. If it was you, open this link:\n${link}\n\nThis link expires in 1 hour. If it wasn't you, you can ignore this email.`,
+      });
+    }
+
+    // Step 3: Same answer either way (don't reveal who has an account)
+    res.json({
+      success: true,
+      message: "📧 If that email is registered, a reset link is on its way!",
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "⚠️ Server error! Please try again.",
+      error: error.message,
+    });
+  }
+};
+
+// ==============================================
+// 2e. RESET PASSWORD - Set a new password with the emailed token
+// ==============================================
+exports.resetPassword = async (req, res) => {
+  try {
+    // Step 1: Get token and new password
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Token and new password are required!",
+      });
+    }
+
+    if (String(password).length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Password must be at least 6 characters!",
+      });
+    }
+
+    // Step 2: Find the user with this token (if it hasn't expired)
+    const user = await User.findByPasswordResetToken(token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Reset link is invalid or expired!",
+      });
+    }
+
+    // Step 3: Save new password (model encrypts it) and use up the token
+    user.password = password;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    user.emailVerified = true; // They proved they can read this inbox
+    await user.save();
+
+    // Step 4: Log out every existing session
+    await RefreshToken.revokeAllForUser(user._id, "password_reset");
+
+    res.json({
+      success: true,
+      message: "✅ Password changed! Please login with your new password.",
+    });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "⚠️ Server error! Please try again.",
+      error: error.message,
+    });
+  }
+};
+
+// ==============================================
+// 2f. VERIFY EMAIL - Open the link from the email
+// ==============================================
+exports.verifyEmail = async (req, res) => {
+  try {
+    // Step 1: Find the user with this token (if it hasn't expired)
+    const user = await User.findByEmailVerificationToken(req.params.token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Verification link is invalid or expired!",
+      });
+    }
+
+    // Step 2: Mark as verified and use up the token
+    user.emailVerified = true;
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "✅ Email verified! Thanks!",
+    });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    res.status(500).json({
+      success: false,
+      message: "⚠️ Server error! Please try again.",
+      error: error.message,
+    });
+  }
+};
+
+// ==============================================
+// 2g. RESEND VERIFICATION - Send a fresh verify link
+// ==============================================
+exports.resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "❓ User not found!",
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "✅ Your email is already verified!",
+      });
+    }
+
+    await sendVerificationEmail(user, req);
+
+    res.json({
+      success: true,
+      message: "📧 Verification email sent!",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "⚠️ Server error!",
+      error: error.message,
+    });
+  }
+};
+
 // ==============================================
 // 3. GET PROFILE - View your account info
 // ==============================================
@@ -133,10 +524,11 @@ exports.getProfile = async (req, res) => {
       });
     }
 
-    // Step 2: Send user info (without password)
+    // Step 2: Send user info (without password) and what they can do
     res.json({
       success: true,
       user,
+      permissions: getPermissions(user.role),
     });
   } catch (error) {
     res.status(500).json({
@@ -149,17 +541,19 @@ exports.getProfile = async (req, res) => {
 // ==============================================
 // 4. UPDATE PROFILE - Change your info
 // ==============================================
+const PROFILE_FIELDS = ["name", "phone", "address"];
+
 exports.updateProfile = async (req, res) => {
   try {
-    // Step 1: Get new info from request
-    const updates = req.body;
-
-    // Step 2: Protect important fields (can't change these)
-    delete updates.password; // Can't change password here
-    delete updates.email; // Can't change email
-    delete updates.role; // Can't change role
+    // Step 1: Keep only the fields people may edit themselves. Password,
+    // email, role, garage and the verification/reset tokens all have their
+    // own endpoints
+    const updates = {};
+    PROFILE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
 
-    // Step 3: Update user in database
+    // Step 2: Update user in database
     const user = await User.findByIdAndUpdate(
       req.user.userId, // Which user to update
       updates, // New info
@@ -169,7 +563,7 @@ exports.updateProfile = async (req, res) => {
       }
     ).select("-password"); // Don't include password
 
-    // Step 4: Send success
+    // Step 3: Send success
     res.json({
       success: true,
       message: "✅ Profile updated!",
@@ -206,3 +600,350 @@ exports.getAllUsers = async (req, res) => {
     });
   }
 };
+
+// ==============================================
+// 5b. UPDATE USER ROLE - Super admin only
+// ==============================================
+exports.updateUserRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    // Step 1: Check the role is one we know about
+    if (!role || !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `❌ Role must be one of: ${ROLES.join(", ")}`,
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Invalid user ID!",
+      });
+    }
+
+    // Step 2: Don't let someone lock themselves out
+    if (id === String(req.user.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ You can't change your own role!",
+      });
+    }
+
+    // Step 3: Save new role
+    const user = await User.findByIdAndUpdate(
+      id,
+      { role },
+      { new: true, runValidators: true }
+    ).select("-password");
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "❓ User not found!",
+      });
+    }
+
+    // Step 4: Send success (new role applies on their next login)
+    res.json({
+      success: true,
+      message: `✅ ${user.name} is now ${role}!`,
+      user,
+      permissions: getPermissions(role),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "⚠️ Server error!",
+      error: error.message,
+    });
+  }
+};
+
+// ==============================================
+// 5c. LOCKED ACCOUNTS - Admin view of current lockouts
+// ==============================================
+exports.getLockedAccounts = async (req, res) => {
+  try {
+    // Step 1: Find every lock that hasn't run out yet
+    const locks = await LoginThrottle.find({
+      lockUntil: { $gt: new Date() },
+    }).sort({ lockUntil: -1 });
+
+    // Step 2: Send the list
+    res.json({
+      success: true,
+      count: locks.length,
+      locks,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "⚠️ Server error!",
+      error: error.message,
+    });
+  }
+};
+
+// ==============================================
+// 5d. UNLOCK ACCOUNT - Admin clears a login lockout
+// ==============================================
+exports.unlockAccount = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Invalid user ID!",
+      });
+    }
+
+    // Step 1: Find the user
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "❓ User not found!",
+      });
+    }
+
+    // Step 2: Forget their failed tries (and the IP's, if one is given)
+    await LoginThrottle.clear(LoginThrottle.accountKey(user.email));
+    if (req.body && req.body.ip) {
+      await LoginThrottle.clear(LoginThrottle.keysFor(user.email, req.body.ip)[1]);
+    }
+
+    // Step 3: Write down who unlocked whom
+    await AuditLog.record({
+      action: "account_unlock",
+      actor: req.user.userId,
+      targetUser: user._id,
+      ip: req.ip,
+      details: { unlockedIp: req.body?.ip || null },
+    });
+
+    res.json({
+      success: true,
+      message: `🔓 ${user.email} can login again!`,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "⚠️ Server error!",
+      error: error.message,
+    });
+  }
+};
+
+// ==============================================
+// 6. GET GARAGE - List your saved motorcycles
+// ==============================================
+exports.getGarage = async (req, res) => {
+  try {
+    // Step 1: Find user and fill in motorcycle + brand details
+    const user = await User.findById(req.user.userId)
+      .select("garage")
+      .populate({
+        path: "garage.motorcycle",
+        select: "name yearFrom yearTo engineDisplacement brand",
+        populate: { path: "brand", select: "name slug logo" },
+      });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "❓ User not found!",
+      });
+    }
+
+    // Step 2: Send the garage
+    res.json({
+      success: true,
+      count: user.garage.length,
+      garage: user.garage,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "⚠️ Server error!",
+      error: error.message,
+    });
+  }
+};
+
+// ==============================================
+// 7. ADD TO GARAGE - Save a motorcycle to your profile
+// ==============================================
+exports.addGarageVehicle = async (req, res) => {
+  try {
+    // Step 1: Get bike info from request
+    const { motorcycleId, year, nickname, isDefault } = req.body;
+
+    if (!motorcycleId || !mongoose.Types.ObjectId.isValid(motorcycleId)) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ Please choose a valid motorcycle!",
+      });
+    }
+
+    // Step 2: Make sure the motorcycle exists and the year fits it
+    const motorcycle = await Motorcycle.findById(motorcycleId);
+    if (!motorcycle || !motorcycle.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "❓ Motorcycle not found!",
+      });
+    }
+
+    const modelYear = year ? Number(year) : motorcycle.yearFrom;
+    if (!motorcycle.coversYear(modelYear)) {
+      return res.status(400).json({
+        success: false,
+        message: `❌ ${motorcycle.name} is only available for ${motorcycle.yearRange}!`,
+      });
+    }
+
+    // Step 3: Find the user
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "❓ User not found!",
+      });
+    }
+
+    // Step 4: Don't save the same bike and year twice
+    const alreadySaved = user.garage.some(
+      (vehicle) =>
+        vehicle.motorcycle.toString() === motorcycleId &&
+        vehicle.year === modelYear
+    );
+    if (alreadySaved) {
+      return res.status(400).json({
+        success: false,
+        message: "❌ This motorcycle is already in your garage!",
+      });
+    }
+
+    // Step 5: New default replaces the old one (first bike is default too)
+    const makeDefault = !!isDefault || user.garage.length === 0;
+    if (makeDefault) {
+      user.garage.forEach((vehicle) => {
+        vehicle.isDefault = false;
+      });
+    }
+
+    user.garage.push({
+      motorcycle: motorcycleId,
+      year: modelYear,
+      nickname: nickname || "",
+      isDefault: makeDefault,
+    });
+    await user.save();
+
+    // Step 6: Send updated garage
+    res.status(201).json({
+      success: true,
+      message: "✅ Motorcycle added to your garage!",
+      garage: user.garage,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "⚠️ Server error!",
+      error: error.message,
+    });
+  }
+};
+
+// ==============================================
+// 8. UPDATE GARAGE VEHICLE - Rename or set as default
+// ==============================================
+exports.updateGarageVehicle = async (req, res) => {
+  try {
+    // Step 1: Find the user and the saved bike
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "❓ User not found!",
+      });
+    }
+
+    const vehicle = user.garage.id(req.params.vehicleId);
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: "❓ Vehicle not found in your garage!",
+      });
+    }
+
+    // Step 2: Apply changes
+    const { nickname, isDefault } = req.body;
+    if (nickname !== undefined) vehicle.nickname = nickname;
+    if (isDefault === true || isDefault === "true") {
+      user.garage.forEach((other) => {
+        other.isDefault = other._id.equals(vehicle._id);
+      });
+    }
+
+    await user.save();
+
+    // Step 3: Send updated garage
+    res.json({
+      success: true,
+      message: "✅ Garage updated!",
+      garage: user.garage,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "⚠️ Server error!",
+      error: error.message,
+    });
+  }
+};
+
+// ==============================================
+// 9. REMOVE FROM GARAGE - Delete a saved motorcycle
+// ==============================================
+exports.removeGarageVehicle = async (req, res) => {
+  try {
+    // Step 1: Find the user
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "❓ User not found!",
+      });
+    }
+
+    // Step 2: Remove the bike (model picks a new default if needed)
+    const vehicle = user.garage.id(req.params.vehicleId);
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: "❓ Vehicle not found in your garage!",
+      });
+    }
+
+    user.garage.pull(vehicle._id);
+    await user.save();
+
+    // Step 3: Send updated garage
+    res.json({
+      success: true,
+      message: "✅ Motorcycle removed from your garage!",
+      garage: user.garage,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "⚠️ Server error!",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,341 @@
+// backend/controllers/warehouseController.js
+const Warehouse = require("../models/Warehouse");
+const StockTransfer = require("../models/StockTransfer");
+const Product = require("../models/Product");
+const mongoose = require("mongoose");
+const { transferStock } = require("../utils/inventory");
+
+// Get all warehouses with the units each one holds
+exports.getAllWarehouses = async (req, res) => {
+  try {
+    const warehouses = await Warehouse.find({}).sort({ isDefault: -1, name: 1 });
+
+    const totals = await Product.aggregate([
+      { $unwind: "$inventory" },
+      {
+        $group: {
+          _id: "$inventory.warehouse",
+          units: { $sum: "$inventory.quantity" },
+          products: {
+            $addToSet: {
+              $cond: [{ $gt: ["$inventory.quantity", 0] }, "$_id", "$$REMOVE"],
+            },
+          },
+        },
+      },
+    ]);
+    const totalsById = new Map(totals.map((total) => [total._id.toString(), total]));
+
+    res.json({
+      success: true,
+      count: warehouses.length,
+      warehouses: warehouses.map((warehouse) => {
+        const total = totalsById.get(warehouse._id.toString());
+        return {
+          ...warehouse.toObject(),
+          totalUnits: total ? total.units : 0,
+          productCount: total ? total.products.length : 0,
+        };
+      }),
+    });
+  } catch (error) {
+    console.error("Get warehouses error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching warehouses",
+      error: error.message,
+    });
+  }
+};
+
+// Create a warehouse
+exports.createWarehouse = async (req, res) => {
+  try {
+    const { name, code, address, phone, isDefault, isActive } = req.body;
+
+    if (!name || !code) {
+      return res.status(400).json({
+        success: false,
+        message: "Name and code are required",
+      });
+    }
+
+    const existing = await Warehouse.findOne({ code: String(code).toLowerCase().trim() });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: "A warehouse with this code already exists",
+      });
+    }
+
+    // The first warehouse becomes the default
+    const isFirst = (await Warehouse.countDocuments()) === 0;
+
+    const warehouse = await Warehouse.create({
+      name,
+      code,
+      address: address || {},
+      phone: phone || "",
+      isDefault: isFirst || !!isDefault,
+      isActive: isActive !== undefined ? !!isActive : true,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Warehouse created successfully",
+      warehouse,
+    });
+  } catch (error) {
+    console.error("Create warehouse error:", error);
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)
+          .map((err) => err.message)
+          .join(", "),
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error while creating warehouse",
+      error: error.message,
+    });
+  }
+};
+
+// Update a warehouse
+exports.updateWarehouse = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid warehouse ID format",
+      });
+    }
+
+    const warehouse = await Warehouse.findById(id);
+    if (!warehouse) {
+      return res.status(404).json({
+        success: false,
+        message: "Warehouse not found",
+      });
+    }
+
+    const { name, code, address, phone, isDefault, isActive } = req.body;
+
+    if (code !== undefined && String(code).toLowerCase().trim() !== warehouse.code) {
+      const existing = await Warehouse.findOne({ code: String(code).toLowerCase().trim() });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          message: "A warehouse with this code already exists",
+        });
+      }
+      warehouse.code = code;
+    }
+
+    // Stock can't be left in a warehouse nobody can use
+    if (isActive !== undefined && !isActive && warehouse.isActive) {
+      const stocked = await Product.exists({
+        inventory: { $elemMatch: { warehouse: warehouse._id, quantity: { $gt: 0 } } },
+      });
+      if (stocked) {
+        return res.status(400).json({
+          success: false,
+          message: "Transfer this warehouse's stock out before deactivating it",
+        });
+      }
+    }
+
+    if (warehouse.isDefault && (isDefault === false || isActive === false)) {
+      return res.status(400).json({
+        success: false,
+        message: "Make another warehouse the default first",
+      });
+    }
+
+    if (name !== undefined) warehouse.name = name;
+    if (address !== undefined) warehouse.address = address || {};
+    if (phone !== undefined) warehouse.phone = phone || "";
+    if (isDefault !== undefined) warehouse.isDefault = !!isDefault;
+    if (isActive !== undefined) warehouse.isActive = !!isActive;
+
+    await warehouse.save();
+
+    res.json({
+      success: true,
+      message: "Warehouse updated successfully",
+      warehouse,
+    });
+  } catch (error) {
+    console.error("Update warehouse error:", error);
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)
+          .map((err) => err.message)
+          .join(", "),
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating warehouse",
+      error: error.message,
+    });
+  }
+};
+
+// Move stock of a product (or variant) from one warehouse to another
+exports.createTransfer = async (req, res) => {
+  try {
+    const { productId, variantId, from, to, note } = req.body;
+    const quantity = parseInt(req.body.quantity);
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid product ID format",
+      });
+    }
+
+    if (!quantity || quantity < 1) {
+      return res.status(400).json({
+        success: false,
+        message: "Quantity must be at least 1",
+      });
+    }
+
+    const [fromWarehouse, toWarehouse] = await Promise.all([
+      Warehouse.findByCodeOrId(from),
+      Warehouse.findByCodeOrId(to),
+    ]);
+    if (!fromWarehouse || !toWarehouse) {
+      return res.status(400).json({
+        success: false,
+        message: "Both a source and a destination warehouse are required",
+      });
+    }
+    if (fromWarehouse._id.equals(toWarehouse._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Source and destination warehouses must be different",
+      });
+    }
+    if (!toWarehouse.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Destination warehouse is inactive",
+      });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    let variant = null;
+    if (product.variants.length > 0) {
+      variant = product.getVariant(variantId);
+      if (!variant) {
+        return res.status(400).json({
+          success: false,
+          message: "This product has variants; pass a valid variantId",
+        });
+      }
+    }
+
+    const transfer = await transferStock({
+      product: product._id,
+      variant: variant ? variant._id : null,
+      from: fromWarehouse._id,
+      to: toWarehouse._id,
+      quantity,
+      user: req.user.userId,
+      note: note ? String(note).trim() : "",
+    });
+
+    if (!transfer) {
+      return res.status(409).json({
+        success: false,
+        message: `Not enough stock at ${fromWarehouse.name}`,
+        available: product.stockAt(fromWarehouse._id, variant ? variant._id : null),
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Moved ${quantity} from ${fromWarehouse.name} to ${toWarehouse.name}`,
+      transfer,
+    });
+  } catch (error) {
+    console.error("Create transfer error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while transferring stock",
+      error: error.message,
+    });
+  }
+};
+
+// List stock transfers, newest first
+exports.getTransfers = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, product, warehouse } = req.query;
+    const skip = (Number(page) - 1) * Number(limit);
+    const query = {};
+
+    if (product) {
+      if (!mongoose.Types.ObjectId.isValid(product)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid product ID format",
+        });
+      }
+      query.product = product;
+    }
+
+    if (warehouse) {
+      const stockWarehouse = await Warehouse.findByCodeOrId(warehouse);
+      if (!stockWarehouse) {
+        return res.status(400).json({
+          success: false,
+          message: "Warehouse not found",
+        });
+      }
+      query.$or = [{ from: stockWarehouse._id }, { to: stockWarehouse._id }];
+    }
+
+    const transfers = await StockTransfer.find(query)
+      .populate("product", "name sku")
+      .populate("from", "name code")
+      .populate("to", "name code")
+      .populate("user", "name email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit));
+
+    const total = await StockTransfer.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      count: transfers.length,
+      total,
+      totalPages,
+      currentPage: Number(page),
+      transfers,
+    });
+  } catch (error) {
+    console.error("Get transfers error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching transfers",
+      error: error.message,
+    });
+  }
+};
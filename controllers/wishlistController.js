@@ -0,0 +1,506 @@
+// backend/controllers/wishlistController.js
+const Wishlist = require("../models/Wishlist");
+const Cart = require("../models/Cart");
+const Product = require("../models/Product");
+const StockReservation = require("../models/StockReservation");
+const mongoose = require("mongoose");
+const { availableStock, attachAvailability } = require("../utils/reservations");
+const { processProductForResponse } = require("../utils/productHelpers");
+const { effectivePrice } = require("../utils/salePricing");
+
+const PRODUCT_FIELDS =
+  "name price discountedPrice images stock options variants sku " +
+  "categories brand brandRef isActive isArchived";
+
+// Find one of the user's lists by ID. Replies 404 and returns null when it
+// isn't theirs or doesn't exist.
+const findOwnList = async (req, res) => {
+  const { id } = req.params;
+  const wishlist = mongoose.Types.ObjectId.isValid(id)
+    ? await Wishlist.findOne({ _id: id, user: req.user.userId })
+    : null;
+
+  if (!wishlist) {
+    res.status(404).json({
+      success: false,
+      message: "Wishlist not found",
+    });
+  }
+  return wishlist;
+};
+
+// Lists with their products filled in and each item's live availability
+const formatWishlists = async (wishlists) => {
+  const productIds = [
+    ...new Set(
+      wishlists.flatMap((wishlist) => wishlist.items.map((item) => item.product.toString()))
+    ),
+  ];
+  const products = await Product.find({ _id: { $in: productIds } }, PRODUCT_FIELDS);
+  const processed = await attachAvailability(products.map(processProductForResponse));
+  const productMap = new Map(processed.map((product) => [product._id.toString(), product]));
+
+  return wishlists.map((wishlist) => ({
+    _id: wishlist._id,
+    name: wishlist.name,
+    isDefault: wishlist.isDefault,
+    itemCount: wishlist.items.length,
+    items: wishlist.items.map((item) => {
+      const product = productMap.get(item.product.toString()) || null;
+      const variant =
+        product && item.variant
+          ? product.variants.find((v) => v._id.toString() === item.variant.toString())
+          : null;
+      const purchasable = Boolean(
+        product && product.isActive && !product.isArchived && (!item.variant || variant)
+      );
+      const available = purchasable ? (variant || product).available : 0;
+
+      return {
+        _id: item._id,
+        product,
+        variant: variant || item.variant,
+        quantity: item.quantity,
+        note: item.note,
+        addedAt: item.addedAt,
+        purchasable,
+        available,
+        inStock: available > 0,
+      };
+    }),
+    createdAt: wishlist.createdAt,
+    updatedAt: wishlist.updatedAt,
+  }));
+};
+
+// Get the user's wishlists
+exports.getMyWishlists = async (req, res) => {
+  try {
+    const wishlists = await Wishlist.find({ user: req.user.userId }).sort({
+      isDefault: -1,
+      createdAt: 1,
+    });
+
+    res.json({
+      success: true,
+      count: wishlists.length,
+      wishlists: await formatWishlists(wishlists),
+    });
+  } catch (error) {
+    console.error("Get wishlists error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching wishlists",
+      error: error.message,
+    });
+  }
+};
+
+// Get one wishlist
+exports.getWishlist = async (req, res) => {
+  try {
+    const wishlist = await findOwnList(req, res);
+    if (!wishlist) return;
+
+    const [formatted] = await formatWishlists([wishlist]);
+    res.json({
+      success: true,
+      wishlist: formatted,
+    });
+  } catch (error) {
+    console.error("Get wishlist error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching wishlist",
+      error: error.message,
+    });
+  }
+};
+
+// Create a named list
+exports.createWishlist = async (req, res) => {
+  try {
+    const name = String(req.body.name || "").trim();
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: "List name is required",
+      });
+    }
+
+    const count = await Wishlist.countDocuments({ user: req.user.userId });
+    if (count >= Wishlist.MAX_LISTS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can keep up to ${Wishlist.MAX_LISTS} lists`,
+      });
+    }
+
+    const wishlist = await Wishlist.create({
+      user: req.user.userId,
+      name,
+      isDefault: count === 0,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Wishlist created",
+      wishlist,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "You already have a list with that name",
+      });
+    }
+    console.error("Create wishlist error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while creating wishlist",
+      error: error.message,
+    });
+  }
+};
+
+// Rename a list, or make it the default
+exports.updateWishlist = async (req, res) => {
+  try {
+    const wishlist = await findOwnList(req, res);
+    if (!wishlist) return;
+
+    if (req.body.name !== undefined) {
+      const name = String(req.body.name).trim();
+      if (!name) {
+        return res.status(400).json({
+          success: false,
+          message: "List name is required",
+        });
+      }
+      wishlist.name = name;
+    }
+
+    if (req.body.isDefault === true && !wishlist.isDefault) {
+      await Wishlist.updateMany(
+        { user: req.user.userId, _id: { $ne: wishlist._id } },
+        { $set: { isDefault: false } }
+      );
+      wishlist.isDefault = true;
+    }
+
+    await wishlist.save();
+
+    res.json({
+      success: true,
+      message: "Wishlist updated",
+      wishlist,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "You already have a list with that name",
+      });
+    }
+    console.error("Update wishlist error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating wishlist",
+      error: error.message,
+    });
+  }
+};
+
+// Delete a list and everything on it
+exports.deleteWishlist = async (req, res) => {
+  try {
+    const wishlist = await findOwnList(req, res);
+    if (!wishlist) return;
+
+    await wishlist.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Wishlist deleted",
+    });
+  } catch (error) {
+    console.error("Delete wishlist error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while deleting wishlist",
+      error: error.message,
+    });
+  }
+};
+
+// Add a product (optionally a specific variant) to a list. Adding one that
+// is already there updates its quantity and note.
+exports.addItem = async (req, res) => {
+  try {
+    const { productId, variantId, note } = req.body;
+    const quantity = parseInt(req.body.quantity) || 1;
+
+    if (quantity < 1) {
+      return res.status(400).json({
+        success: false,
+        message: "Quantity must be at least 1",
+      });
+    }
+
+    const wishlist = await findOwnList(req, res);
+    if (!wishlist) return;
+
+    const product = mongoose.Types.ObjectId.isValid(productId)
+      ? await Product.findById(productId, "variants isActive isArchived")
+      : null;
+    if (!product || !product.isActive || product.isArchived) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    // Picking a variant is optional here; it's needed when moving to the cart
+    let variantKey = null;
+    if (variantId) {
+      const variant = product.getVariant(variantId);
+      if (!variant) {
+        return res.status(400).json({
+          success: false,
+          message: "Variant not found",
+        });
+      }
+      variantKey = variant._id.toString();
+    }
+
+    const existingItem = wishlist.findItem(product._id, variantKey);
+    if (existingItem) {
+      existingItem.quantity = quantity;
+      if (note !== undefined) existingItem.note = note;
+    } else {
+      wishlist.items.push({
+        product: product._id,
+        variant: variantKey,
+        quantity,
+        note: note || "",
+      });
+    }
+
+    await wishlist.save();
+
+    res.status(existingItem ? 200 : 201).json({
+      success: true,
+      message: existingItem ? "Wishlist item updated" : "Added to wishlist",
+      wishlist,
+    });
+  } catch (error) {
+    console.error("Add wishlist item error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while adding to wishlist",
+      error: error.message,
+    });
+  }
+};
+
+// Remove an item from a list
+exports.removeItem = async (req, res) => {
+  try {
+    const wishlist = await findOwnList(req, res);
+    if (!wishlist) return;
+
+    const item = wishlist.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: "Item not found in wishlist",
+      });
+    }
+
+    item.deleteOne();
+    await wishlist.save();
+
+    res.json({
+      success: true,
+      message: "Removed from wishlist",
+      wishlist,
+    });
+  } catch (error) {
+    console.error("Remove wishlist item error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while removing from wishlist",
+      error: error.message,
+    });
+  }
+};
+
+// Move a wishlist item into the cart. Quantity defaults to the one saved
+// on the item; products sold in variants need one picked, either on the
+// item already or as variantId in the body.
+exports.moveToCart = async (req, res) => {
+  try {
+    const wishlist = await findOwnList(req, res);
+    if (!wishlist) return;
+
+    const item = wishlist.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: "Item not found in wishlist",
+      });
+    }
+
+    const quantity = parseInt(req.body.quantity) || item.quantity;
+    if (quantity < 1) {
+      return res.status(400).json({
+        success: false,
+        message: "Quantity must be at least 1",
+      });
+    }
+
+    const product = await Product.findById(item.product);
+    if (!product || !product.isActive || product.isArchived) {
+      return res.status(404).json({
+        success: false,
+        message: "This product is no longer available",
+      });
+    }
+
+    let variant = null;
+    if (product.variants.length > 0) {
+      variant = product.getVariant(req.body.variantId || item.variant);
+      if (!variant || !variant.isActive) {
+        return res.status(400).json({
+          success: false,
+          message:
+            req.body.variantId || item.variant
+              ? "Variant not found"
+              : "Please choose an option for this product",
+          options: product.options,
+        });
+      }
+    }
+    const variantKey = variant ? variant._id.toString() : null;
+
+    let cart = await Cart.findOne({ user: req.user.userId });
+    if (!cart) {
+      cart = new Cart({ user: req.user.userId, items: [] });
+    }
+
+    const existingItem = cart.items.find(
+      (line) =>
+        line.product.toString() === product._id.toString() &&
+        (line.variant ? line.variant.toString() : null) === variantKey
+    );
+    const lineQuantity = (existingItem ? existingItem.quantity : 0) + quantity;
+
+    // Check stock, leaving out what other carts are holding
+    const available = await availableStock(product, variant, cart._id);
+    if (available < lineQuantity) {
+      return res.status(400).json({
+        success: false,
+        message:
+          available > 0
+            ? `Only ${available} available`
+            : "This item is currently out of stock",
+        available,
+      });
+    }
+
+    if (existingItem) {
+      existingItem.quantity = lineQuantity;
+    } else {
+      cart.items.push({
+        product: product._id,
+        variant: variantKey,
+        quantity,
+        price: effectivePrice(product, variant),
+      });
+    }
+
+    await cart.save();
+    await StockReservation.hold(cart._id, product._id, variantKey, lineQuantity);
+
+    item.deleteOne();
+    await wishlist.save();
+
+    res.json({
+      success: true,
+      message: "Moved to cart",
+      cart,
+      wishlist,
+    });
+  } catch (error) {
+    console.error("Move to cart error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while moving to cart",
+      error: error.message,
+    });
+  }
+};
+
+// Move a cart line onto a wishlist (the default "Saved for later" list
+// unless wishlistId is given), freeing the stock it was holding
+exports.moveFromCart = async (req, res) => {
+  try {
+    const { itemId, wishlistId } = req.body;
+    const userId = req.user.userId;
+
+    const cart = await Cart.findOne({ user: userId });
+    const line = cart ? cart.items.id(itemId) : null;
+    if (!line) {
+      return res.status(404).json({
+        success: false,
+        message: "Item not found in cart",
+      });
+    }
+
+    let wishlist;
+    if (wishlistId) {
+      wishlist = mongoose.Types.ObjectId.isValid(wishlistId)
+        ? await Wishlist.findOne({ _id: wishlistId, user: userId })
+        : null;
+      if (!wishlist) {
+        return res.status(404).json({
+          success: false,
+          message: "Wishlist not found",
+        });
+      }
+    } else {
+      wishlist = await Wishlist.getDefault(userId);
+    }
+
+    const existingItem = wishlist.findItem(line.product, line.variant);
+    if (existingItem) {
+      existingItem.quantity = line.quantity;
+    } else {
+      wishlist.items.push({
+        product: line.product,
+        variant: line.variant,
+        quantity: line.quantity,
+      });
+    }
+    await wishlist.save();
+
+    const { product, variant } = line;
+    line.deleteOne();
+    await cart.save();
+    await StockReservation.release(cart._id, product, variant);
+
+    res.json({
+      success: true,
+      message: `Moved to "${wishlist.name}"`,
+      cart,
+      wishlist,
+    });
+  } catch (error) {
+    console.error("Move from cart error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while moving to wishlist",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,35 @@
+// Marks every response from a deprecated API prefix so clients can see it
+// is going away: a Deprecation header, a Sunset date (RFC 8594) and a Link
+// to the same resource under the prefix that replaces it.
+//
+// The sunset date comes from API_SUNSET_DATE (any date Date can parse).
+const DEFAULT_SUNSET_DATE = "2027-06-30T00:00:00Z";
+
+const deprecatedApi = ({ successor, sunset } = {}) => {
+  const sunsetDate = new Date(
+    sunset || process.env.API_SUNSET_DATE || DEFAULT_SUNSET_DATE
+  );
+  const sunsetHeader = isNaN(sunsetDate.getTime())
+    ? new Date(DEFAULT_SUNSET_DATE).toUTCString()
+    : sunsetDate.toUTCString();
+
+  return (req, res, next) => {
+    // Requests for a versioned path only reach the alias when nothing under
+    // that version matched; they are not using the deprecated prefix
+    if (/^\/v\d+(\/|$)/.test(req.path)) {
+      return next();
+    }
+
+    const query = req.originalUrl.includes("?")
+      ? req.originalUrl.slice(req.originalUrl.indexOf("?"))
+      : "";
+    const successorPath = `${successor}${req.path === "/" ? "" : req.path}`;
+
+    res.set("Deprecation", "true");
+    res.set("Sunset", sunsetHeader);
+    res.set("Link", `<${successorPath}${query}>; rel="successor-version"`);
+    next();
+  };
+};
+
+module.exports = { deprecatedApi };
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// Append-only record of security-relevant events (lockouts, unlocks, ...)
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Who did it (null for system events such as an automatic lockout)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  // Which account it was about, if any
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  ip: {
+    type: String,
+    default: "",
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Static helper that never throws - auditing must not break the request
+auditLogSchema.statics.record = async function (entry) {
+  try {
+    return await this.create(entry);
+  } catch (error) {
+    console.error("❌ Error writing audit log:", error.message);
+    return null;
+  }
+};
+
+// Indexes for better performance
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetUser: 1, createdAt: -1 });
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
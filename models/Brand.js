@@ -136,7 +136,7 @@ const brandSchema = new mongoose.Schema({
 brandSchema.virtual('products', {
   ref: 'Product',
   localField: '_id',
-  foreignField: 'brand',
+  foreignField: 'brandRef',
   justOne: false
 });
 
@@ -148,14 +148,18 @@ brandSchema.virtual('motorcycles', {
   justOne: false
 });
 
+// Turn a brand name into its slug ("Kawasaki Motors" -> "kawasaki-motors")
+const toSlug = (name) =>
+  String(name)
+    .toLowerCase()
+    .replace(/[^\w\s]/gi, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-');
+
 // Pre-save middleware to generate slug
 brandSchema.pre('save', function(next) {
   if (this.name && (!this.slug || this.isModified('name'))) {
-    this.slug = this.name
-      .toLowerCase()
-      .replace(/[^\w\s]/gi, '')
-      .replace(/\s+/g, '-')
-      .replace(/-+/g, '-');
+    this.slug = toSlug(this.name);
   }
   next();
 });
@@ -172,6 +176,21 @@ brandSchema.statics.findBySlug = function(slug) {
   return this.findOne({ slug }).populate('categories');
 };
 
+brandSchema.statics.toSlug = toSlug;
+
+// Static method to find a brand from free text, matching its name
+// (case-insensitive) or its slug
+brandSchema.statics.findByNameOrSlug = function(value) {
+  const raw = String(value || '').trim();
+  const escaped = raw.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return this.findOne({
+    $or: [
+      { name: { $regex: `^${escaped}$`, $options: 'i' } },
+      { slug: toSlug(raw) }
+    ]
+  });
+};
+
 // Static method to get active brands only
 brandSchema.statics.getActiveBrands = function() {
   return this.find({ isActive: true }).sort({ order: 1, name: 1 });
@@ -195,7 +214,7 @@ brandSchema.methods.toggleStatus = function() {
 brandSchema.methods.updateProductCount = async function() {
   const Product = mongoose.model('Product');
   const count = await Product.countDocuments({ 
-    brand: this._id, 
+    brandRef: this._id, 
     isActive: true 
   });
   this.productCount = count;
@@ -204,7 +223,7 @@ brandSchema.methods.updateProductCount = async function() {
 
 // Instance method to update motorcycle count
 brandSchema.methods.updateMotorcycleCount = async function() {
-  const Motorcycle = mongoose.model('Motorcycle');
+  const Motorcycle = require('./Motorcycle');
   const count = await Motorcycle.countDocuments({ 
     brand: this._id, 
     isActive: true 
@@ -1,4 +1,13 @@
 const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// Guest carts are dropped this long after they were last changed
+const GUEST_CART_TTL_DAYS = Number(process.env.GUEST_CART_TTL_DAYS) || 30;
+
+// Guest carts are found by an opaque token the client keeps (sent back in
+// the X-Cart-Token header). Only its SHA-256 hash is stored.
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
 
 const cartItemSchema = new mongoose.Schema({
   product: {
@@ -6,6 +15,11 @@ const cartItemSchema = new mongoose.Schema({
     ref: "Product",
     required: true,
   },
+  // Variant subdocument ID, for products sold in variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
   quantity: {
     type: Number,
     required: true,
@@ -18,14 +32,29 @@ const cartItemSchema = new mongoose.Schema({
   },
 });
 
+// A cart belongs to either a user or a guest token, never both
 const cartSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
-    required: true,
-    unique: true,
+    default: null,
+  },
+  guestTokenHash: {
+    type: String,
+    default: null,
+  },
+  // Only set on guest carts; the TTL index below removes them
+  expiresAt: {
+    type: Date,
+    default: null,
   },
   items: [cartItemSchema],
+  // Coupon the shopper applied; priced (and re-checked) on every fetch
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Coupon",
+    default: null,
+  },
   totalPrice: {
     type: Number,
     default: 0,
@@ -38,6 +67,13 @@ const cartSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+}, {
+  toJSON: {
+    transform: function (doc, ret) {
+      delete ret.guestTokenHash; // Never send the hash back
+      return ret;
+    },
+  },
 });
 
 // Calculate total price before saving
@@ -46,7 +82,46 @@ cartSchema.pre("save", function (next) {
     return total + item.price * item.quantity;
   }, 0);
   this.updatedAt = new Date();
+  if (!this.user) {
+    this.expiresAt = new Date(
+      this.updatedAt.getTime() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000
+    );
+  }
+  next();
+});
+
+cartSchema.pre("validate", function (next) {
+  if (!this.user && !this.guestTokenHash) {
+    this.invalidate("user", "A cart needs a user or a guest token");
+  }
   next();
 });
 
+// Make a new, unsaved guest cart. Returns { token, cart }; the raw token
+// goes to the client and only its hash is kept on the cart.
+cartSchema.statics.newGuest = function () {
+  const token = crypto.randomBytes(32).toString("hex");
+  const cart = new this({ guestTokenHash: hashToken(token), items: [] });
+  return { token, cart };
+};
+
+cartSchema.statics.findByGuestToken = function (token) {
+  if (!token) return Promise.resolve(null);
+  return this.findOne({ guestTokenHash: hashToken(token), user: null });
+};
+
+cartSchema.statics.GUEST_CART_TTL_DAYS = GUEST_CART_TTL_DAYS;
+
+// One cart per user and per guest token. Partial indexes so the many carts
+// without a user (or without a token) don't collide.
+cartSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { user: { $type: "objectId" } } }
+);
+cartSchema.index(
+  { guestTokenHash: 1 },
+  { unique: true, partialFilterExpression: { guestTokenHash: { $type: "string" } } }
+);
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
 module.exports = mongoose.model("Cart", cartSchema);
@@ -151,7 +151,7 @@ categorySchema.statics.calculateProductCount = async function(categoryId, includ
     
     // Count products in all categories
     const productCount = await Product.countDocuments({
-      category: { $in: allCategoryIds },
+      categories: { $in: allCategoryIds },
       isActive: true,
     });
 
@@ -159,7 +159,7 @@ categorySchema.statics.calculateProductCount = async function(categoryId, includ
   } else {
     // Count only products directly in this category
     const productCount = await Product.countDocuments({
-      category: categoryId,
+      categories: categoryId,
       isActive: true,
     });
 
@@ -270,7 +270,7 @@ categorySchema.methods.getProducts = async function(options = {}) {
 
   // Build filter
   const filter = {
-    category: { $in: categoryIds },
+    categories: { $in: categoryIds },
     isActive: true,
     ...queryOptions,
   };
@@ -0,0 +1,174 @@
+const mongoose = require("mongoose");
+
+const COUPON_TYPES = ["percentage", "fixed"];
+
+// A discount code shoppers apply to their cart. Percentage coupons take
+// `value`% off (capped at maxDiscount when set); fixed coupons take `value`
+// pesos off. Scoping by category, brand or product limits which lines the
+// discount applies to; with no scope it applies to every line.
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Coupon code is required"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [
+        /^[A-Z0-9_-]+$/,
+        "Code may only contain letters, numbers, dashes and underscores",
+      ],
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    type: {
+      type: String,
+      enum: COUPON_TYPES,
+      required: [true, "Coupon type is required"],
+    },
+    value: {
+      type: Number,
+      required: [true, "Coupon value is required"],
+      min: [0, "Value cannot be negative"],
+    },
+    // Most a percentage coupon may take off; null for no cap
+    maxDiscount: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    // Cart subtotal needed before the coupon applies
+    minSpend: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    categories: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+      },
+    ],
+    brands: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Brand",
+      },
+    ],
+    products: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+      },
+    ],
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+    endsAt: {
+      type: Date,
+      default: null,
+    },
+    // Orders the coupon may be used on in total, and per customer; null
+    // means no limit
+    usageLimit: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    perUserLimit: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    // Orders placed with the coupon (cancelled ones are given back)
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+couponSchema.pre("validate", function (next) {
+  if (this.type === "percentage" && this.value > 100) {
+    this.invalidate("value", "A percentage coupon cannot take off more than 100%");
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate("endsAt", "End date must be after the start date");
+  }
+  next();
+});
+
+// Why the coupon can't be used right now, or null if it can. Per-user
+// limits need the user's order count, so they are checked by the caller.
+couponSchema.methods.unavailableReason = function (now = new Date()) {
+  if (!this.isActive) return "This coupon is no longer active";
+  if (this.startsAt && this.startsAt > now) return "This coupon isn't valid yet";
+  if (this.endsAt && this.endsAt <= now) return "This coupon has expired";
+  if (this.usageLimit !== null && this.usedCount >= this.usageLimit) {
+    return "This coupon has been fully redeemed";
+  }
+  return null;
+};
+
+// Whether a product falls inside the coupon's scope
+couponSchema.methods.appliesTo = function (product) {
+  const scoped =
+    this.categories.length > 0 || this.brands.length > 0 || this.products.length > 0;
+  if (!scoped) return true;
+
+  const has = (ids, id) =>
+    Boolean(id) && ids.some((entry) => entry.toString() === id.toString());
+  return (
+    has(this.products, product._id) ||
+    has(this.brands, product.brandRef && (product.brandRef._id || product.brandRef)) ||
+    (product.categories || []).some((category) =>
+      has(this.categories, category._id || category)
+    )
+  );
+};
+
+couponSchema.statics.findByCode = function (code) {
+  return this.findOne({ code: String(code || "").toUpperCase().trim() });
+};
+
+// Count one use, unless the coupon is already at its usage limit. Returns
+// the updated coupon, or null when the limit was reached first.
+couponSchema.statics.claim = function (couponId) {
+  return this.findOneAndUpdate(
+    {
+      _id: couponId,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+};
+
+// Give back a use (order cancelled or checkout failed)
+couponSchema.statics.release = function (couponId) {
+  return this.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+};
+
+couponSchema.statics.TYPES = COUPON_TYPES;
+
+// Indexes for better performance
+couponSchema.index({ isActive: 1, endsAt: 1 });
+
+module.exports = mongoose.model("Coupon", couponSchema);
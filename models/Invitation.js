@@ -0,0 +1,138 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { ROLES } = require("../config/permissions");
+
+// Only the SHA-256 hash of an invite token is stored; the raw token is
+// shown once to the admin who created it.
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const invitationSchema = new mongoose.Schema(
+  {
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    role: {
+      type: String,
+      enum: ROLES,
+      required: true,
+    },
+    // Optional: lock the invite to one email address
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: "",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    usedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.tokenHash; // Never send the hash back
+        return ret;
+      },
+    },
+  }
+);
+
+// Virtual status: pending, used, revoked or expired
+invitationSchema.virtual("status").get(function () {
+  if (this.revokedAt) return "revoked";
+  if (this.usedAt) return "used";
+  if (this.expiresAt <= new Date()) return "expired";
+  return "pending";
+});
+
+// Create an invite and return { invitation, token }. The raw token is not
+// stored anywhere, so it must be handed to the new staff member now.
+invitationSchema.statics.createInvite = async function ({
+  role,
+  email,
+  note,
+  createdBy,
+  expiresInHours = 72,
+}) {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  const invitation = await this.create({
+    tokenHash: hashToken(token),
+    role,
+    email: email || null,
+    note: note || "",
+    createdBy,
+    expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000),
+  });
+
+  return { invitation, token };
+};
+
+// Atomically claim a pending invite so it can't be used twice.
+// Returns the invitation, or null if the token is unknown, used, revoked,
+// expired or locked to a different email.
+invitationSchema.statics.claim = async function (token, email) {
+  if (!token) return null;
+
+  const filter = {
+    tokenHash: hashToken(token),
+    usedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+    $or: [{ email: null }, { email: String(email || "").toLowerCase().trim() }],
+  };
+
+  return this.findOneAndUpdate(
+    filter,
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Give a claimed invite back (e.g. registration failed after claiming)
+invitationSchema.methods.release = function () {
+  this.usedAt = null;
+  this.usedBy = null;
+  return this.save();
+};
+
+// Indexes for better performance
+invitationSchema.index({ createdAt: -1 });
+invitationSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model("Invitation", invitationSchema);
@@ -0,0 +1,109 @@
+const mongoose = require("mongoose");
+
+// Failed-login counters, one document per key. Keys look like
+// "account:<email>" or "ip:<address>". A key is locked by its
+// lockAfterFailures-th failure in a row (the 5th for an account, so the 6th
+// try is refused), and every further failure locks it for twice as long as
+// the last one.
+const LIMITS = {
+  account: { lockAfterFailures: 5, baseLockSeconds: 60, maxLockSeconds: 60 * 60 },
+  ip: { lockAfterFailures: 20, baseLockSeconds: 60, maxLockSeconds: 60 * 60 },
+};
+
+// Counters are forgotten after a day without failures
+const RESET_AFTER_MS = 24 * 60 * 60 * 1000;
+
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  type: {
+    type: String,
+    enum: Object.keys(LIMITS),
+    required: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lockUntil: {
+    type: Date,
+    default: null,
+  },
+  lastFailureAt: {
+    type: Date,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+const accountKey = (email) =>
+  `account:${String(email || "").toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip || "unknown"}`;
+
+// Lock length for the given failure count, or 0 if it doesn't lock yet
+const lockSecondsFor = (type, failures) => {
+  const { lockAfterFailures, baseLockSeconds, maxLockSeconds } = LIMITS[type];
+  if (failures < lockAfterFailures) return 0;
+  const exponent = failures - lockAfterFailures;
+  return Math.min(baseLockSeconds * 2 ** exponent, maxLockSeconds);
+};
+
+loginThrottleSchema.statics.keysFor = function (email, ip) {
+  return [accountKey(email), ipKey(ip)];
+};
+
+loginThrottleSchema.statics.accountKey = accountKey;
+
+// Return the active lock with the longest wait for any of the keys, or null
+loginThrottleSchema.statics.findActiveLock = function (keys) {
+  return this.findOne({
+    key: { $in: keys },
+    lockUntil: { $gt: new Date() },
+  }).sort({ lockUntil: -1 });
+};
+
+// Count a failed login for a key. Returns { throttle, locked } where locked
+// is true when this failure started a new lock.
+loginThrottleSchema.statics.registerFailure = async function (key) {
+  const type = key.split(":")[0];
+  const now = new Date();
+
+  const throttle = await this.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: {
+        type,
+        lastFailureAt: now,
+        expiresAt: new Date(now.getTime() + RESET_AFTER_MS),
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  const lockSeconds = lockSecondsFor(type, throttle.failures);
+  if (lockSeconds === 0) {
+    return { throttle, locked: false };
+  }
+
+  throttle.lockUntil = new Date(now.getTime() + lockSeconds * 1000);
+  await throttle.save();
+  return { throttle, locked: true };
+};
+
+// Forget failures for a key (successful login or admin unlock)
+loginThrottleSchema.statics.clear = function (key) {
+  return this.deleteOne({ key });
+};
+
+// Let MongoDB clean up quiet counters
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginThrottleSchema.index({ lockUntil: 1 });
+
+module.exports = mongoose.model("LoginThrottle", loginThrottleSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const motorcycleSchema = new mongoose.Schema({
+  brand: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand',
+    required: [true, 'Brand is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Model name is required'],
+    trim: true,
+    maxlength: [100, 'Model name cannot exceed 100 characters']
+  },
+  yearFrom: {
+    type: Number,
+    required: [true, 'Start year is required'],
+    min: [1900, 'Start year must be after 1900']
+  },
+  // Null means the model is still in production
+  yearTo: {
+    type: Number,
+    default: null,
+    validate: {
+      validator: function(value) {
+        return value === null || value >= this.yearFrom;
+      },
+      message: 'End year cannot be before start year'
+    }
+  },
+  engineDisplacement: {
+    type: Number,
+    min: [0, 'Engine displacement cannot be negative'],
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for getting all products that fit this motorcycle
+motorcycleSchema.virtual('products', {
+  ref: 'Product',
+  localField: '_id',
+  foreignField: 'fitments',
+  justOne: false
+});
+
+// Virtual for a readable year range, e.g. "2016-2020" or "2021-present"
+motorcycleSchema.virtual('yearRange').get(function() {
+  return `${this.yearFrom}-${this.yearTo || 'present'}`;
+});
+
+// Indexes for better performance
+motorcycleSchema.index({ brand: 1, name: 1, yearFrom: 1 }, { unique: true });
+motorcycleSchema.index({ isActive: 1 });
+
+// Instance method to check whether a given model year is covered
+motorcycleSchema.methods.coversYear = function(year) {
+  const y = Number(year);
+  return y >= this.yearFrom && (this.yearTo === null || y <= this.yearTo);
+};
+
+const Motorcycle = mongoose.model('Motorcycle', motorcycleSchema);
+
+module.exports = Motorcycle;
@@ -0,0 +1,260 @@
+const mongoose = require("mongoose");
+
+// Order lifecycle. Each status lists the statuses it may move to next;
+// cancelled and returned are terminal.
+const ORDER_TRANSITIONS = {
+  pending: ["paid", "cancelled"],
+  paid: ["packed", "cancelled"],
+  packed: ["shipped", "cancelled"],
+  shipped: ["delivered", "returned"],
+  delivered: ["returned"],
+  cancelled: [],
+  returned: [],
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Snapshot of a cart line at checkout time. Product name, SKU, price and
+// variant options are copied so later product edits don't rewrite order
+// history.
+const orderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  // Variant subdocument ID, for products sold in variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  variantOptions: {
+    type: Map,
+    of: String,
+    default: {},
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  sku: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // This line's share of the coupon discount
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Warehouses the stock was taken from, so a cancellation can put it back
+  allocations: [
+    {
+      _id: false,
+      warehouse: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Warehouse",
+      },
+      quantity: Number,
+    },
+  ],
+});
+
+// One entry per status change, recorded by changeStatus()
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...ORDER_STATUSES, null],
+    default: null,
+  },
+  to: {
+    type: String,
+    enum: ORDER_STATUSES,
+    required: true,
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const orderSchema = new mongoose.Schema(
+  {
+    orderNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    items: {
+      type: [orderItemSchema],
+      validate: {
+        validator: (items) => Array.isArray(items) && items.length > 0,
+        message: "Order must contain at least one item",
+      },
+    },
+    totalQuantity: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Coupon used on the order; its code is copied so it survives edits
+    coupon: {
+      coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Coupon",
+        default: null,
+      },
+      code: {
+        type: String,
+        default: null,
+      },
+    },
+    discount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Amount to pay: item subtotals less the discount
+    totalPrice: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: ORDER_STATUSES,
+      default: "pending",
+    },
+    statusHistory: [statusHistorySchema],
+    shippingAddress: {
+      street: String,
+      city: String,
+      state: String,
+      zipCode: String,
+      country: String,
+    },
+    phone: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+      default: "",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Generate order number if not provided, e.g. FP-20240131-K3J9ZQ
+orderSchema.pre("validate", function (next) {
+  if (!this.orderNumber) {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+    this.orderNumber = `FP-${date}-${Math.random()
+      .toString(36)
+      .substr(2, 6)
+      .toUpperCase()}`;
+  }
+  next();
+});
+
+// Record the initial status on new orders
+orderSchema.pre("save", function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status });
+  }
+  next();
+});
+
+// Calculate totals before saving
+orderSchema.pre("save", function (next) {
+  this.totalQuantity = this.items.reduce(
+    (total, item) => total + item.quantity,
+    0
+  );
+  this.discount = this.items.reduce(
+    (total, item) => total + (item.discount || 0),
+    0
+  );
+  this.totalPrice = this.items.reduce(
+    (total, item) => total + item.subtotal - (item.discount || 0),
+    0
+  );
+  next();
+});
+
+// Static list of allowed next statuses for a given status
+orderSchema.statics.allowedTransitions = function (status) {
+  return ORDER_TRANSITIONS[status] || [];
+};
+
+// Check whether the order may move to the given status
+orderSchema.methods.canTransitionTo = function (status) {
+  return ORDER_TRANSITIONS[this.status]?.includes(status) || false;
+};
+
+// Move the order to a new status and record who did it. Throws on an
+// illegal transition; the caller is responsible for saving.
+orderSchema.methods.changeStatus = function (status, changedBy, note = "") {
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(
+      `Cannot change order status from ${this.status} to ${status}`
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    changedBy: changedBy || null,
+    note,
+    changedAt: new Date(),
+  });
+  this.status = status;
+  return this;
+};
+
+// Indexes for better performance
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ status: 1 });
+orderSchema.index({ "coupon.coupon": 1, user: 1 });
+
+module.exports = mongoose.model("Order", orderSchema);
@@ -0,0 +1,139 @@
+const mongoose = require("mongoose");
+
+const DISCOUNT_TYPES = ["percentage", "fixed"];
+
+// Set by the sale scheduler as schedules start and end
+const SCHEDULE_STATUSES = ["scheduled", "active", "ended"];
+
+// A timed sale (Payday, 11.11...) on some products, categories or brands.
+// Between startsAt and endsAt matching products sell at their regular
+// price less `value`% (percentage) or less `value` pesos (fixed). When a
+// product also has a discountedPrice, or several sales match, shoppers get
+// whichever price is lowest.
+const priceScheduleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Sale name is required"],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    discountType: {
+      type: String,
+      enum: DISCOUNT_TYPES,
+      required: [true, "Discount type is required"],
+    },
+    value: {
+      type: Number,
+      required: [true, "Discount value is required"],
+      min: [0, "Value cannot be negative"],
+    },
+    products: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+      },
+    ],
+    categories: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+      },
+    ],
+    brands: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Brand",
+      },
+    ],
+    startsAt: {
+      type: Date,
+      required: [true, "Start date is required"],
+    },
+    endsAt: {
+      type: Date,
+      required: [true, "End date is required"],
+    },
+    // Switch a sale off early without deleting it
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    status: {
+      type: String,
+      enum: SCHEDULE_STATUSES,
+      default: "scheduled",
+    },
+    activatedAt: {
+      type: Date,
+      default: null,
+    },
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+priceScheduleSchema.pre("validate", function (next) {
+  if (this.discountType === "percentage" && this.value > 100) {
+    this.invalidate("value", "A percentage sale cannot take off more than 100%");
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate("endsAt", "End date must be after the start date");
+  }
+  if (
+    this.products.length === 0 &&
+    this.categories.length === 0 &&
+    this.brands.length === 0
+  ) {
+    this.invalidate("products", "Pick at least one product, category or brand");
+  }
+  next();
+});
+
+// Whether the sale is running at the given time
+priceScheduleSchema.methods.isLiveAt = function (now = new Date()) {
+  return this.isActive && this.startsAt <= now && this.endsAt > now;
+};
+
+// Whether a product (document or plain object) is covered by the sale
+priceScheduleSchema.methods.appliesTo = function (product) {
+  const has = (ids, id) =>
+    Boolean(id) && ids.some((entry) => entry.toString() === id.toString());
+  return (
+    has(this.products, product._id) ||
+    has(this.brands, product.brandRef && (product.brandRef._id || product.brandRef)) ||
+    (product.categories || []).some((category) =>
+      has(this.categories, category._id || category)
+    )
+  );
+};
+
+// Sale price for a regular price
+priceScheduleSchema.methods.salePrice = function (regularPrice) {
+  const discount =
+    this.discountType === "percentage" ? (regularPrice * this.value) / 100 : this.value;
+  return Math.max(0, Math.round((regularPrice - discount) * 100) / 100);
+};
+
+priceScheduleSchema.statics.DISCOUNT_TYPES = DISCOUNT_TYPES;
+priceScheduleSchema.statics.STATUSES = SCHEDULE_STATUSES;
+
+// Indexes for better performance
+priceScheduleSchema.index({ isActive: 1, endsAt: 1 });
+priceScheduleSchema.index({ status: 1, startsAt: 1 });
+
+module.exports = mongoose.model("PriceSchedule", priceScheduleSchema);
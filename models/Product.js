@@ -26,6 +26,89 @@ const reviewSchema = new mongoose.Schema({
   },
 });
 
+// An option axis such as "Size" or "Color" and the values it can take
+const optionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+    values: [
+      {
+        type: String,
+        trim: true,
+        maxlength: 50,
+      },
+    ],
+  },
+  { _id: false }
+);
+
+// One sellable version of a product, e.g. the 90/90-17 tire or the red
+// seat cover. Options map each axis name to one of its values.
+const variantSchema = new mongoose.Schema({
+  options: {
+    type: Map,
+    of: String,
+    default: {},
+  },
+  sku: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+  },
+  // Overrides the product price when set
+  price: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  images: [
+    {
+      type: String,
+    },
+  ],
+  // Motorcycles this variant fits, on top of the product's own fitments
+  fitments: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Motorcycle",
+    },
+  ],
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+// Stock held at one warehouse, for the product or one of its variants
+const inventorySchema = new mongoose.Schema(
+  {
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+      required: true,
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    quantity: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
 const productSchema = new mongoose.Schema(
   {
     name: {
@@ -49,16 +132,17 @@ const productSchema = new mongoose.Schema(
       min: 0,
       default: null,
     },
-    // UPDATED: Changed from single category to array of categories
+    // All categories the product is listed under
     categories: [
       {
-        type: String, // Category IDs as strings
-        default: [],
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
       },
     ],
-    // Keep the old category field for backward compatibility
+    // Primary category, always kept equal to categories[0]
     category: {
-      type: String,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
       required: false,
       default: null,
     },
@@ -68,17 +152,35 @@ const productSchema = new mongoose.Schema(
         default: [],
       },
     ],
+    // Total across all warehouses (and variants); computed from inventory
     stock: {
       type: Number,
       required: true,
       default: 0,
       min: 0,
     },
+    // Per-warehouse stock, one entry per warehouse and variant
+    inventory: [inventorySchema],
+    options: [optionSchema],
+    variants: [variantSchema],
+    // Display name of the brand; kept equal to the linked Brand's name
     brand: {
       type: String,
       trim: true,
       maxlength: 100,
     },
+    brandRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Brand",
+      default: null,
+    },
+    // Motorcycles this part is compatible with
+    fitments: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Motorcycle",
+      },
+    ],
     sku: {
       type: String,
       unique: true,
@@ -136,21 +238,26 @@ const productSchema = new mongoose.Schema(
 productSchema.pre("save", function (next) {
   this.updatedAt = Date.now();
   
-  // Ensure categories is an array
-  if (!Array.isArray(this.categories)) {
-    this.categories = [];
+  // A newly set primary category moves to the front of the list
+  if (this.category && this.isModified("category")) {
+    const primary = this.category.toString();
+    this.categories = [
+      this.category,
+      ...this.categories.filter((cat) => cat && cat.toString() !== primary),
+    ];
   }
-  
+
   // Remove duplicates from categories array
-  if (Array.isArray(this.categories)) {
-    this.categories = [...new Set(this.categories.filter(cat => cat && cat.trim() !== ""))];
-  }
-  
-  // For backward compatibility, set category to the first category if not already set
-  if (this.categories.length > 0 && (!this.category || this.category === "")) {
-    this.category = this.categories[0];
-  }
-  
+  const seen = new Set();
+  this.categories = this.categories.filter((cat) => {
+    if (!cat || seen.has(cat.toString())) return false;
+    seen.add(cat.toString());
+    return true;
+  });
+
+  // Primary category is always the first one
+  this.category = this.categories.length > 0 ? this.categories[0] : null;
+
   next();
 });
 
@@ -165,6 +272,89 @@ productSchema.pre("save", function (next) {
   next();
 });
 
+// Variant options must use the product's axes, and no two variants may
+// share the same combination of options or the same SKU
+productSchema.pre("validate", function (next) {
+  if (!this.variants || this.variants.length === 0) return next();
+
+  const axes = new Map(
+    (this.options || []).map((option) => [option.name, option.values])
+  );
+  const combinations = new Set();
+  const skus = new Set();
+
+  for (const variant of this.variants) {
+    const options = variant.options || new Map();
+
+    for (const [name, value] of options) {
+      if (!axes.has(name)) {
+        return next(new Error(`Unknown variant option "${name}"`));
+      }
+      if (!axes.get(name).includes(value)) {
+        return next(new Error(`"${value}" is not a valid ${name}`));
+      }
+    }
+
+    const combination = [...axes.keys()]
+      .map((name) => options.get(name) || "")
+      .join("|");
+    if (combinations.has(combination)) {
+      return next(new Error(`Duplicate variant for options ${combination}`));
+    }
+    combinations.add(combination);
+
+    if (variant.sku) {
+      if (skus.has(variant.sku)) {
+        return next(new Error(`Duplicate variant SKU ${variant.sku}`));
+      }
+      skus.add(variant.sku);
+    }
+  }
+
+  next();
+});
+
+// Give variants without a SKU one based on the product SKU
+productSchema.pre("save", function (next) {
+  for (const variant of this.variants || []) {
+    if (!variant.sku) {
+      const suffix = [...(variant.options || new Map()).values()]
+        .join("-")
+        .toUpperCase()
+        .replace(/[^A-Z0-9-]+/g, "");
+      variant.sku = `${this.sku}-${suffix || variant._id.toString().slice(-6)}`
+        .substr(0, 50);
+    }
+  }
+  next();
+});
+
+// Keep stock totals equal to the per-warehouse inventory. Entries for
+// variants that no longer exist (or product-level entries once a product
+// has variants) are dropped; move their stock out through the ledger first.
+productSchema.pre("save", function (next) {
+  const hasVariants = this.variants && this.variants.length > 0;
+
+  if (this.inventory.length > 0) {
+    const variantIds = new Set(this.variants.map((variant) => variant._id.toString()));
+    this.inventory = this.inventory.filter((entry) =>
+      hasVariants
+        ? entry.variant && variantIds.has(entry.variant.toString())
+        : !entry.variant
+    );
+
+    for (const variant of this.variants) {
+      variant.stock = this.stockAt(null, variant._id);
+    }
+    this.stock = this.stockAt(null, null);
+  } else if (hasVariants) {
+    // Not yet moved to warehouses; the total is still the variant sum
+    this.stock = this.variants.reduce((total, variant) => total + variant.stock, 0);
+  }
+
+  next();
+});
+
 // Custom setter for category to handle empty strings
 productSchema.path("category").set(function (value) {
   // If value is empty string, return null
@@ -180,8 +370,8 @@ productSchema.methods.addCategory = function(categoryId) {
     this.categories.push(categoryId);
   }
   // Update the main category if it's empty
-  if (!this.category || this.category === "" || this.category === null) {
-    this.category = categoryId;
+  if (!this.category) {
+    this.category = this.categories[0];
   }
 };
 
@@ -192,11 +382,125 @@ productSchema.methods.removeCategory = function(categoryId) {
     this.categories.splice(index, 1);
   }
   // Update the main category if we removed it
-  if (this.category === categoryId && this.categories.length > 0) {
-    this.category = this.categories[0];
-  } else if (this.category === categoryId && this.categories.length === 0) {
-    this.category = null;
+  if (this.category && this.category.toString() === categoryId.toString()) {
+    this.category = this.categories.length > 0 ? this.categories[0] : null;
+  }
+};
+
+// Find a variant by ID, or null
+productSchema.methods.getVariant = function (variantId) {
+  if (!variantId || !mongoose.Types.ObjectId.isValid(variantId)) return null;
+  return this.variants.id(variantId) || null;
+};
+
+// Unit price for the product or one of its variants
+productSchema.methods.priceFor = function (variant) {
+  if (variant && variant.price !== null && variant.price !== undefined) {
+    return variant.price;
+  }
+  return this.discountedPrice || this.price;
+};
+
+// Stock available for the product or one of its variants
+productSchema.methods.stockFor = function (variant) {
+  return variant ? variant.stock : this.stock;
+};
+
+// Stock held at a warehouse (or everywhere when warehouseId is null), for
+// one variant (or the whole product when variantId is null)
+productSchema.methods.stockAt = function (warehouseId, variantId) {
+  return this.inventory
+    .filter(
+      (entry) =>
+        (!warehouseId || entry.warehouse.toString() === warehouseId.toString()) &&
+        (!variantId ||
+          (entry.variant && entry.variant.toString() === variantId.toString()))
+    )
+    .reduce((total, entry) => total + entry.quantity, 0);
+};
+
+// Give a product saved before stock was kept per warehouse its inventory:
+// the product stock (or each variant's stock) placed at one warehouse, as
+// scripts/migrate-warehouse-stock.js does. A single conditional update, so
+// it happens at most once and from the stock as it stands in the database.
+productSchema.statics.moveStockToWarehouse = function (productId, warehouseId) {
+  const warehouse = new mongoose.Types.ObjectId(warehouseId);
+  const units = (value) => ({ $max: [0, { $ifNull: [value, 0] }] });
+
+  return this.updateOne(
+    {
+      _id: productId,
+      $or: [{ inventory: { $exists: false } }, { inventory: { $size: 0 } }],
+    },
+    [
+      {
+        $set: {
+          inventory: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ["$variants", []] } }, 0] },
+              {
+                $map: {
+                  input: "$variants",
+                  as: "variant",
+                  in: {
+                    warehouse,
+                    variant: "$$variant._id",
+                    quantity: units("$$variant.stock"),
+                  },
+                },
+              },
+              [{ warehouse, variant: null, quantity: units("$stock") }],
+            ],
+          },
+        },
+      },
+    ]
+  );
+};
+
+// Atomically change the stock a product (or one of its variants) holds at a
+// warehouse, keeping the variant and product totals in step. Decreases are
+// guarded so stock never goes below zero: the update is a no-op when there
+// isn't enough left. Returns the updated product or null. Use
+// utils/inventory rather than calling this directly so the change is
+// recorded in the stock ledger.
+productSchema.statics.adjustStock = async function (
+  productId,
+  variantId,
+  warehouseId,
+  delta
+) {
+  const warehouse = new mongoose.Types.ObjectId(warehouseId);
+  const variant = variantId ? new mongoose.Types.ObjectId(variantId) : null;
+  const entry = { warehouse, variant };
+
+  const filter = { _id: productId };
+  if (variant) filter["variants._id"] = variant;
+
+  // Stock arriving at a warehouse for the first time needs an entry to land in
+  if (delta > 0) {
+    await this.updateOne(
+      { ...filter, inventory: { $not: { $elemMatch: entry } } },
+      { $push: { inventory: { ...entry, quantity: 0 } } }
+    );
+  }
+
+  filter.inventory = {
+    $elemMatch: delta < 0 ? { ...entry, quantity: { $gte: -delta } } : entry,
+  };
+
+  const inc = { "inventory.$[entry].quantity": delta, stock: delta };
+  const arrayFilters = [{ "entry.warehouse": warehouse, "entry.variant": variant }];
+  if (variant) {
+    inc["variants.$[variant].stock"] = delta;
+    arrayFilters.push({ "variant._id": variant });
   }
+
+  return this.findOneAndUpdate(
+    filter,
+    { $inc: inc, $set: { updatedAt: Date.now() } },
+    { new: true, arrayFilters }
+  );
 };
 
 // Virtual for getting primary category (first in array or old category field)
@@ -209,13 +513,18 @@ productSchema.virtual('primaryCategory').get(function() {
 
 // Indexes for better performance
 productSchema.index({ name: "text", description: "text", brand: "text" });
-productSchema.index({ categories: 1 }); // Index for array of categories
-productSchema.index({ category: 1 }); // Keep old index for backward compatibility
+productSchema.index({ categories: 1 });
+productSchema.index({ category: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ featured: 1 });
 productSchema.index({ isActive: 1 });
 productSchema.index({ isArchived: 1 });
 productSchema.index({ stock: 1 });
+productSchema.index({ fitments: 1 });
+productSchema.index({ brandRef: 1 });
+productSchema.index({ "variants.sku": 1 });
+productSchema.index({ "variants.fitments": 1 });
+productSchema.index({ "inventory.warehouse": 1, "inventory.quantity": 1 });
 
 const Product = mongoose.model("Product", productSchema);
 
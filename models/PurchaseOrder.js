@@ -0,0 +1,240 @@
+const mongoose = require("mongoose");
+
+// Purchase order lifecycle. partially_received and received are reached by
+// posting receipts, not set by hand; closed ends a partially received order
+// whose remaining quantities will never arrive.
+const PURCHASE_ORDER_TRANSITIONS = {
+  draft: ["ordered", "cancelled"],
+  ordered: ["partially_received", "received", "cancelled"],
+  partially_received: ["received", "closed"],
+  received: [],
+  closed: [],
+  cancelled: [],
+};
+
+const PURCHASE_ORDER_STATUSES = Object.keys(PURCHASE_ORDER_TRANSITIONS);
+
+// Statuses that still accept receipts
+const RECEIVABLE_STATUSES = ["ordered", "partially_received"];
+
+// One product (or variant) being bought. Name and SKU are copied so the
+// order still reads correctly if the product changes.
+const purchaseOrderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  sku: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  // Expected cost per unit
+  unitCost: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  quantityOrdered: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  quantityReceived: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+});
+
+// One delivery posted against the order
+const receiptSchema = new mongoose.Schema({
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Warehouse",
+    required: true,
+  },
+  lines: [
+    {
+      _id: false,
+      item: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: 1,
+      },
+    },
+  ],
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    poNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: true,
+    },
+    // Where received stock goes unless a receipt says otherwise
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+      required: true,
+    },
+    items: {
+      type: [purchaseOrderItemSchema],
+      validate: {
+        validator: (items) => Array.isArray(items) && items.length > 0,
+        message: "Purchase order must contain at least one item",
+      },
+    },
+    receipts: [receiptSchema],
+    status: {
+      type: String,
+      enum: PURCHASE_ORDER_STATUSES,
+      default: "draft",
+    },
+    totalCost: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    expectedAt: {
+      type: Date,
+      default: null,
+    },
+    orderedAt: {
+      type: Date,
+      default: null,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Notes cannot exceed 1000 characters"],
+      default: "",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Generate PO number if not provided, e.g. PO-20240131-K3J9ZQ
+purchaseOrderSchema.pre("validate", function (next) {
+  if (!this.poNumber) {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+    this.poNumber = `PO-${date}-${Math.random()
+      .toString(36)
+      .substr(2, 6)
+      .toUpperCase()}`;
+  }
+  next();
+});
+
+// Calculate the expected total before saving
+purchaseOrderSchema.pre("save", function (next) {
+  this.totalCost = this.items.reduce(
+    (total, item) => total + item.unitCost * item.quantityOrdered,
+    0
+  );
+  next();
+});
+
+// Static list of allowed next statuses for a given status
+purchaseOrderSchema.statics.allowedTransitions = function (status) {
+  return PURCHASE_ORDER_TRANSITIONS[status] || [];
+};
+
+purchaseOrderSchema.statics.RECEIVABLE_STATUSES = RECEIVABLE_STATUSES;
+
+// Check whether the order may move to the given status
+purchaseOrderSchema.methods.canTransitionTo = function (status) {
+  return PURCHASE_ORDER_TRANSITIONS[this.status]?.includes(status) || false;
+};
+
+// Units of a line still to arrive
+purchaseOrderSchema.methods.remainingFor = function (item) {
+  return Math.max(0, item.quantityOrdered - item.quantityReceived);
+};
+
+// Count `quantity` more units of a line as received, but only if nobody
+// has received against that line since `item` was read. Returns the
+// updated order, or null when another receipt got there first.
+purchaseOrderSchema.statics.claimReceived = function (orderId, item, quantity) {
+  return this.findOneAndUpdate(
+    {
+      _id: orderId,
+      status: { $in: RECEIVABLE_STATUSES },
+      items: {
+        $elemMatch: { _id: item._id, quantityReceived: item.quantityReceived },
+      },
+    },
+    { $inc: { "items.$.quantityReceived": quantity } },
+    { new: true }
+  );
+};
+
+// Undo a claimReceived whose stock could not be added
+purchaseOrderSchema.statics.releaseReceived = function (orderId, itemId, quantity) {
+  return this.updateOne(
+    { _id: orderId, "items._id": itemId },
+    { $inc: { "items.$.quantityReceived": -quantity } }
+  );
+};
+
+// Move to partially_received or received to match the received quantities
+purchaseOrderSchema.methods.updateReceivingStatus = function () {
+  const received = this.items.some((item) => item.quantityReceived > 0);
+  const complete = this.items.every((item) => this.remainingFor(item) === 0);
+
+  if (complete) {
+    this.status = "received";
+  } else if (received) {
+    this.status = "partially_received";
+  }
+  return this;
+};
+
+// Indexes for better performance
+purchaseOrderSchema.index({ supplier: 1, createdAt: -1 });
+purchaseOrderSchema.index({ status: 1 });
+purchaseOrderSchema.index({ "items.product": 1, status: 1 });
+
+module.exports = mongoose.model("PurchaseOrder", purchaseOrderSchema);
@@ -0,0 +1,119 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+// Refresh tokens are opaque random strings; only their SHA-256 hash is
+// stored. Every login starts a new "family" and each refresh rotates to a
+// new token in the same family, so a reused (already rotated) token tells
+// us the family has leaked and all of it is revoked.
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    family: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    // "rotated", "logout", "logout_all", "reuse_detected" or "password_reset"
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RefreshToken",
+      default: null,
+    },
+    createdByIp: {
+      type: String,
+      default: "",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Issue a new refresh token. Returns { token, doc }; only the hash is saved.
+refreshTokenSchema.statics.issue = async function (
+  userId,
+  { family, ip, userAgent } = {}
+) {
+  const token = crypto.randomBytes(48).toString("hex");
+
+  const doc = await this.create({
+    tokenHash: hashToken(token),
+    user: userId,
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(
+      Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+    ),
+    createdByIp: ip || "",
+    userAgent: userAgent || "",
+  });
+
+  return { token, doc };
+};
+
+// Find a token record by its raw value
+refreshTokenSchema.statics.findByToken = function (token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+// Mark the token as used, but only if nobody else used it first.
+// Returns the updated record, or null if it was already revoked.
+refreshTokenSchema.statics.consume = function (token) {
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(token), revokedAt: null },
+    { revokedAt: new Date(), revokedReason: "rotated" },
+    { new: true }
+  );
+};
+
+// Revoke every still-active token in a family
+refreshTokenSchema.statics.revokeFamily = function (family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Revoke every still-active token a user has (log out everywhere)
+refreshTokenSchema.statics.revokeAllForUser = function (userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Indexes for better performance
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ family: 1 });
+// Let MongoDB clean up expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+
+// Why stock changed
+const STOCK_REASONS = [
+  "sale", // Sold through checkout
+  "cancellation", // Put back from a cancelled or failed checkout
+  "return", // Returned by a customer
+  "receipt", // Received from a supplier
+  "adjustment", // Set by hand (stock counts, corrections, new products)
+  "transfer", // Moved between warehouses
+];
+
+// Documents a movement can point back to
+const REFERENCE_MODELS = ["Order", "StockTransfer", "PurchaseOrder"];
+
+// Append-only ledger of every change to a product's stock. Replaying the
+// deltas for a product gives its current stock; balance is the product
+// total right after the movement (variantBalance the variant's total,
+// warehouseBalance what is left at that warehouse).
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  // Variant subdocument ID, for products sold in variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  // Null only for movements recorded before stock was kept per warehouse
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Warehouse",
+    default: null,
+  },
+  delta: {
+    type: Number,
+    required: true,
+  },
+  reason: {
+    type: String,
+    enum: STOCK_REASONS,
+    required: true,
+  },
+  reference: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: "referenceModel",
+    default: null,
+  },
+  referenceModel: {
+    type: String,
+    enum: [...REFERENCE_MODELS, null],
+    default: null,
+  },
+  // Who made the change (null for system changes)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  balance: {
+    type: Number,
+    required: true,
+  },
+  variantBalance: {
+    type: Number,
+    default: null,
+  },
+  warehouseBalance: {
+    type: Number,
+    default: null,
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: "",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Static helper that never throws - the stock change already happened, so
+// a failed ledger write is logged rather than failing the request
+stockMovementSchema.statics.record = async function (entry) {
+  try {
+    return await this.create(entry);
+  } catch (error) {
+    console.error("❌ Error writing stock movement:", error.message, entry);
+    return null;
+  }
+};
+
+stockMovementSchema.statics.REASONS = STOCK_REASONS;
+
+// Indexes for better performance
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ reason: 1, createdAt: -1 });
+stockMovementSchema.index({ warehouse: 1, createdAt: -1 });
+stockMovementSchema.index({ reference: 1 });
+
+module.exports = mongoose.model("StockMovement", stockMovementSchema);
@@ -0,0 +1,116 @@
+const mongoose = require("mongoose");
+
+// How long a cart holds stock after the line was last added or changed
+const RESERVATION_MINUTES = parseInt(process.env.CART_RESERVATION_MINUTES) || 30;
+
+// A soft hold on stock for one cart line. Holds don't change Product.stock;
+// they lower what other shoppers see as available until they expire, the
+// line is removed, or checkout takes the stock for real.
+const stockReservationSchema = new mongoose.Schema({
+  cart: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Cart",
+    required: true,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  // Variant subdocument ID, for products sold in variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Hold `quantity` units for a cart line, replacing any earlier hold for the
+// same line and restarting its expiry
+stockReservationSchema.statics.hold = function (cartId, productId, variantId, quantity) {
+  const now = Date.now();
+  return this.findOneAndUpdate(
+    { cart: cartId, product: productId, variant: variantId || null },
+    {
+      $set: {
+        quantity,
+        expiresAt: new Date(now + RESERVATION_MINUTES * 60 * 1000),
+        updatedAt: now,
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Drop a cart's holds, either for one line or (without a product) all of them
+stockReservationSchema.statics.release = function (cartId, productId, variantId) {
+  const query = { cart: cartId };
+  if (productId) {
+    query.product = productId;
+    query.variant = variantId || null;
+  }
+  return this.deleteMany(query);
+};
+
+// Units currently held for the given products by carts other than
+// excludeCart. Returns a Map keyed by "<productId>:<variantId>" (variantId
+// empty for products without variants) plus "<productId>:*" for the total.
+stockReservationSchema.statics.reservedQuantities = async function (
+  productIds,
+  excludeCart = null
+) {
+  const match = {
+    product: {
+      $in: productIds.map((id) => new mongoose.Types.ObjectId(id.toString())),
+    },
+    expiresAt: { $gt: new Date() },
+  };
+  if (excludeCart) {
+    match.cart = { $ne: new mongoose.Types.ObjectId(excludeCart.toString()) };
+  }
+
+  const held = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { product: "$product", variant: "$variant" },
+        quantity: { $sum: "$quantity" },
+      },
+    },
+  ]);
+
+  const reserved = new Map();
+  for (const entry of held) {
+    const product = entry._id.product.toString();
+    const variant = entry._id.variant ? entry._id.variant.toString() : "";
+    reserved.set(`${product}:${variant}`, entry.quantity);
+    reserved.set(`${product}:*`, (reserved.get(`${product}:*`) || 0) + entry.quantity);
+  }
+  return reserved;
+};
+
+// Delete holds that have run out
+stockReservationSchema.statics.releaseExpired = function () {
+  return this.deleteMany({ expiresAt: { $lte: new Date() } });
+};
+
+stockReservationSchema.statics.RESERVATION_MINUTES = RESERVATION_MINUTES;
+
+// Indexes for better performance
+stockReservationSchema.index({ cart: 1, product: 1, variant: 1 }, { unique: true });
+stockReservationSchema.index({ product: 1, expiresAt: 1 });
+stockReservationSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model("StockReservation", stockReservationSchema);
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+// Delivery attempts before a notice is marked failed
+const MAX_ATTEMPTS = 3;
+
+const SUBSCRIPTION_STATUSES = ["pending", "sending", "notified", "failed", "cancelled"];
+
+// A request to be told when a product (or one variant of it) is back in
+// stock. Logged-in customers subscribe as themselves; guests leave an
+// email. Only one pending subscription exists per email and
+// product/variant, so repeat sign-ups don't mean repeat emails. A notice
+// that can't be delivered stays pending (with the error) until it has been
+// tried MAX_ATTEMPTS times, then it is marked failed.
+const stockSubscriptionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  // Variant subdocument ID; null means any stock of the product
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  email: {
+    type: String,
+    required: [true, "Email is required"],
+    lowercase: true,
+    trim: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, "Please enter a valid email"],
+  },
+  status: {
+    type: String,
+    enum: SUBSCRIPTION_STATUSES,
+    default: "pending",
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  lastError: {
+    type: String,
+    default: null,
+  },
+  notifiedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+stockSubscriptionSchema.statics.MAX_ATTEMPTS = MAX_ATTEMPTS;
+stockSubscriptionSchema.statics.STATUSES = SUBSCRIPTION_STATUSES;
+
+// Indexes for better performance
+stockSubscriptionSchema.index(
+  { product: 1, variant: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+stockSubscriptionSchema.index({ product: 1, status: 1 });
+stockSubscriptionSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model("StockSubscription", stockSubscriptionSchema);
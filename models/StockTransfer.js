@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+// Stock moved from one warehouse to another. The move itself is two
+// StockMovement entries (out of `from`, into `to`) that point back here.
+const stockTransferSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  // Variant subdocument ID, for products sold in variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Warehouse",
+    required: true,
+  },
+  to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Warehouse",
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: "",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes for better performance
+stockTransferSchema.index({ product: 1, createdAt: -1 });
+stockTransferSchema.index({ from: 1, createdAt: -1 });
+stockTransferSchema.index({ to: 1, createdAt: -1 });
+
+module.exports = mongoose.model("StockTransfer", stockTransferSchema);
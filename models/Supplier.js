@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+// A company we buy stock from
+const supplierSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Supplier name is required"],
+      unique: true,
+      trim: true,
+      maxlength: [150, "Supplier name cannot exceed 150 characters"],
+    },
+    contactName: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: "",
+    },
+    phone: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    address: {
+      street: String,
+      city: String,
+      state: String,
+      zipCode: String,
+      country: String,
+    },
+    // Usual days between ordering and receiving, used for expected dates
+    leadTimeDays: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Notes cannot exceed 1000 characters"],
+      default: "",
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better performance
+supplierSchema.index({ isActive: 1, name: 1 });
+
+module.exports = mongoose.model("Supplier", supplierSchema);
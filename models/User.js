@@ -2,6 +2,35 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs"); // For encrypting passwords
 const jwt = require("jsonwebtoken"); // For creating login tokens
+const crypto = require("crypto"); // For one-time email tokens
+const { ROLES } = require("../config/permissions"); // Allowed roles
+const RefreshToken = require("./RefreshToken"); // Stored refresh tokens
+
+// A motorcycle saved to the user's "My garage"
+const garageVehicleSchema = new mongoose.Schema({
+  motorcycle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Motorcycle", // Which bike model (brand + model name)
+    required: true,
+  },
+  year: {
+    type: Number, // The rider's actual model year
+    required: true,
+  },
+  nickname: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+    default: "",
+  },
+  isDefault: {
+    type: Boolean,
+    default: false, // Default bike is used to filter products
+  },
+});
+
+// How long a login token lasts before the app must use its refresh token
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || "15m";
 
 // Define what a user looks like in our database
 const userSchema = new mongoose.Schema({
@@ -24,8 +53,8 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ["user", "admin"], // Can only be "user" or "admin"
-    default: "user", // If not specified, it's a regular user
+    enum: ROLES, // customer, staff roles, admin or super_admin
+    default: "customer", // If not specified, it's a regular customer
   },
   address: {
     street: String,
@@ -35,6 +64,16 @@ const userSchema = new mongoose.Schema({
     country: String,
   },
   phone: String,
+  garage: [garageVehicleSchema], // Saved motorcycles ("My garage")
+  emailVerified: {
+    type: Boolean,
+    default: false, // Becomes true after clicking the email link
+  },
+  // One-time email tokens - we only keep the hash, never the real token
+  emailVerificationTokenHash: String,
+  emailVerificationExpires: Date,
+  passwordResetTokenHash: String,
+  passwordResetExpires: Date,
   createdAt: {
     type: Date,
     default: Date.now, // Auto-set to current date when created
@@ -55,12 +94,68 @@ userSchema.pre("save", async function (next) {
   }
 });
 
+// Keep exactly one default vehicle when the garage isn't empty
+userSchema.pre("save", function (next) {
+  if (!this.isModified("garage") || this.garage.length === 0) return next();
+
+  const defaults = this.garage.filter((vehicle) => vehicle.isDefault);
+  if (defaults.length !== 1) {
+    const keep = defaults[defaults.length - 1] || this.garage[0];
+    this.garage.forEach((vehicle) => {
+      vehicle.isDefault = vehicle === keep;
+    });
+  }
+  next();
+});
+
+// Method to get the default garage vehicle (or undefined if garage is empty)
+userSchema.methods.getDefaultVehicle = function () {
+  return this.garage.find((vehicle) => vehicle.isDefault) || this.garage[0];
+};
+
+// Helper: hash a one-time token the same way every time
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Static to find a user by a password reset token that hasn't expired
+userSchema.statics.findByPasswordResetToken = function (token) {
+  return this.findOne({
+    passwordResetTokenHash: hashToken(token),
+    passwordResetExpires: { $gt: new Date() },
+  });
+};
+
+// Static to find a user by an email verification token that hasn't expired
+userSchema.statics.findByEmailVerificationToken = function (token) {
+  return this.findOne({
+    emailVerificationTokenHash: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() },
+  });
+};
+
+// Method to create a password reset token (lasts 1 hour)
+// Returns the real token to email; only the hash is saved (call save() after)
+userSchema.methods.createPasswordResetToken = function () {
+  const token = crypto.randomBytes(32).toString("hex");
+  this.passwordResetTokenHash = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000);
+  return token;
+};
+
+// Method to create an email verification token (lasts 24 hours)
+userSchema.methods.createEmailVerificationToken = function () {
+  const token = crypto.randomBytes(32).toString("hex");
+  this.emailVerificationTokenHash = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  return token;
+};
+
 // Method to check if entered password matches stored password
 userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Method to create login token (lasts 24 hours)
+// Method to create login token (short-lived, 15 minutes by default)
 userSchema.methods.generateAuthToken = function () {
   const token = jwt.sign(
     {
@@ -70,25 +165,26 @@ userSchema.methods.generateAuthToken = function () {
       name: this.name,
     },
     process.env.JWT_SECRET, // Secret key from environment
-    { expiresIn: "24h" } // Token expires in 24 hours
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN } // Short life - refresh to get a new one
   );
   return token;
 };
 
 // Method to create refresh token (lasts 7 days, for getting new login tokens)
-userSchema.methods.generateRefreshToken = function () {
-  const refreshToken = jwt.sign(
-    { userId: this._id }, // Only store user ID
-    process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
-    { expiresIn: "7d" } // Lasts 7 days
-  );
-  return refreshToken;
+// Pass the family of the token being rotated; leave it out on a fresh login.
+userSchema.methods.generateRefreshToken = async function (options = {}) {
+  const { token } = await RefreshToken.issue(this._id, options);
+  return token;
 };
 
 // When converting user to JSON, remove password for security
 userSchema.methods.toJSON = function () {
   const user = this.toObject(); // Convert to plain object
   delete user.password; // Don't include password in response
+  delete user.emailVerificationTokenHash; // Or any token hashes
+  delete user.emailVerificationExpires;
+  delete user.passwordResetTokenHash;
+  delete user.passwordResetExpires;
   return user;
 };
 
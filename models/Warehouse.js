@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+
+// A place stock is kept, e.g. the Manila warehouse or the Cebu branch.
+// Products hold a quantity per warehouse; see Product.inventory.
+const warehouseSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Warehouse name is required"],
+      trim: true,
+      maxlength: [100, "Warehouse name cannot exceed 100 characters"],
+    },
+    // Short lowercase handle used in URLs and filters, e.g. "cebu"
+    code: {
+      type: String,
+      required: [true, "Warehouse code is required"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z0-9-]+$/, "Code may only contain letters, numbers and dashes"],
+      maxlength: [30, "Warehouse code cannot exceed 30 characters"],
+    },
+    address: {
+      street: String,
+      city: String,
+      state: String,
+      zipCode: String,
+      country: String,
+    },
+    phone: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    // Where new stock goes when no warehouse is given, and the first place
+    // checkout takes stock from
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Find a warehouse by its ID or code
+warehouseSchema.statics.findByCodeOrId = function (value) {
+  if (!value) return Promise.resolve(null);
+  const key = String(value).trim();
+
+  return mongoose.Types.ObjectId.isValid(key) && /^[a-f0-9]{24}$/i.test(key)
+    ? this.findById(key)
+    : this.findOne({ code: key.toLowerCase() });
+};
+
+// The default warehouse, or the oldest active one if none is marked default
+warehouseSchema.statics.getDefault = async function () {
+  return (
+    (await this.findOne({ isDefault: true, isActive: true })) ||
+    (await this.findOne({ isActive: true }).sort({ createdAt: 1 }))
+  );
+};
+
+// Only one warehouse can be the default
+warehouseSchema.post("save", async function (doc) {
+  if (doc.isDefault) {
+    await doc.constructor.updateMany(
+      { _id: { $ne: doc._id }, isDefault: true },
+      { $set: { isDefault: false } }
+    );
+  }
+});
+
+module.exports = mongoose.model("Warehouse", warehouseSchema);
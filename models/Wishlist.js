@@ -0,0 +1,106 @@
+const mongoose = require("mongoose");
+
+// Name of the list parked cart items go to when no list is picked
+const DEFAULT_LIST_NAME = "Saved for later";
+
+// Most named lists one user can keep
+const MAX_LISTS = 20;
+
+const wishlistItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  // Variant subdocument ID, for products sold in variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  // Quantity to put in the cart when the item is moved there
+  quantity: {
+    type: Number,
+    min: 1,
+    default: 1,
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: "",
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Last time the owner was told this item is back in stock
+  restockNotifiedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+// A named list of parts a customer wants to buy later. A user can keep
+// several; the default one ("Saved for later") is created when needed.
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  name: {
+    type: String,
+    required: [true, "List name is required"],
+    trim: true,
+    maxlength: 60,
+  },
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+  items: [wishlistItemSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+wishlistSchema.pre("save", function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// The line for a product (and variant), if the list has it
+wishlistSchema.methods.findItem = function (productId, variantId) {
+  const variantKey = variantId ? variantId.toString() : null;
+  return this.items.find(
+    (item) =>
+      item.product.toString() === productId.toString() &&
+      (item.variant ? item.variant.toString() : null) === variantKey
+  );
+};
+
+// The user's default list, created if they don't have one yet
+wishlistSchema.statics.getDefault = async function (userId) {
+  const existing = await this.findOne({ user: userId, isDefault: true });
+  if (existing) return existing;
+
+  return this.findOneAndUpdate(
+    { user: userId, name: DEFAULT_LIST_NAME },
+    { $set: { isDefault: true }, $setOnInsert: { items: [] } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+wishlistSchema.statics.DEFAULT_LIST_NAME = DEFAULT_LIST_NAME;
+wishlistSchema.statics.MAX_LISTS = MAX_LISTS;
+
+// Indexes for better performance
+wishlistSchema.index({ user: 1, name: 1 }, { unique: true });
+wishlistSchema.index({ "items.product": 1 });
+
+module.exports = mongoose.model("Wishlist", wishlistSchema);
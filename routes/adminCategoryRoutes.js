@@ -0,0 +1,44 @@
+const express = require("express");
+const router = express.Router();
+const categoryController = require("../controllers/categoryController");
+const { requirePermission } = require("../middleware/auth");
+
+// Mounted under /admin, which already requires a logged-in staff member
+
+router.get(
+  "/stats",
+  requirePermission("products:read"),
+  categoryController.getCategoryStats
+);
+router.post(
+  "/update-counts",
+  requirePermission("categories:write"),
+  categoryController.updateProductCounts
+);
+router.post(
+  "/root",
+  requirePermission("categories:write"),
+  categoryController.addRootCategory
+);
+router.put(
+  "/bulk/update",
+  requirePermission("categories:write"),
+  categoryController.bulkUpdateCategories
+);
+router.post(
+  "/reassign-products",
+  requirePermission("categories:write", "products:write"),
+  categoryController.reassignCategoryProducts
+);
+router.put(
+  "/:id/move",
+  requirePermission("categories:write"),
+  categoryController.moveCategory
+);
+router.post(
+  "/:categoryId/link-products",
+  requirePermission("products:write"),
+  categoryController.linkProducts
+);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require("express");
+const router = express.Router();
+const { requirePermission } = require("../middleware/auth");
+const orderController = require("../controllers/orderController");
+
+// Mounted under /admin, which already requires a logged-in staff member
+
+router.get(
+  "/",
+  requirePermission("orders:read"),
+  orderController.getAllOrders
+);
+router.get(
+  "/:id",
+  requirePermission("orders:read"),
+  orderController.getOrderById
+);
+router.put(
+  "/:id/status",
+  requirePermission("orders:write"),
+  orderController.updateOrderStatus
+);
+
+module.exports = router;
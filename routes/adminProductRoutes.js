@@ -0,0 +1,127 @@
+const express = require("express");
+const router = express.Router();
+const productController = require("../controllers/productController");
+const stockSubscriptionController = require("../controllers/stockSubscriptionController");
+const { requirePermission } = require("../middleware/auth");
+const { uploadProductImages } = require("../utils/images");
+
+// Mounted under /admin, which already requires a logged-in staff member
+
+// Listing, reports and export
+router.get(
+  "/",
+  requirePermission("products:read"),
+  productController.getAllProductsForAdmin
+);
+router.get(
+  "/stats",
+  requirePermission("products:read"),
+  productController.getProductStats
+);
+router.get(
+  "/low-stock",
+  requirePermission("products:read"),
+  productController.getLowStockProducts
+);
+router.get(
+  "/export",
+  requirePermission("products:read"),
+  productController.exportProducts
+);
+
+// Bulk operations
+router.put(
+  "/bulk/update",
+  requirePermission("products:write"),
+  productController.bulkUpdateProducts
+);
+router.put(
+  "/bulk/status",
+  requirePermission("products:write"),
+  productController.bulkUpdateStatus
+);
+router.delete(
+  "/bulk/delete",
+  requirePermission("products:delete"),
+  productController.bulkDeleteProducts
+);
+
+// Review moderation
+router.put(
+  "/reviews/:reviewId",
+  requirePermission("products:write"),
+  productController.updateReviewStatus
+);
+
+// Single product
+router.post(
+  "/",
+  requirePermission("products:write"),
+  uploadProductImages.array("images", 10),
+  productController.createProduct
+);
+router.put(
+  "/:id",
+  requirePermission("products:write"),
+  uploadProductImages.array("images", 10),
+  productController.updateProduct
+);
+router.delete(
+  "/:id",
+  requirePermission("products:delete"),
+  productController.deleteProduct
+);
+router.put(
+  "/:id/stock",
+  requirePermission("stock:write"),
+  productController.updateStock
+);
+router.get(
+  "/:id/stock-history",
+  requirePermission("products:read"),
+  productController.getStockHistory
+);
+router.get(
+  "/:id/subscriptions",
+  requirePermission("products:read"),
+  stockSubscriptionController.getProductSubscriptions
+);
+router.patch(
+  "/:id/featured",
+  requirePermission("products:write"),
+  productController.toggleFeatured
+);
+router.patch(
+  "/:id/active",
+  requirePermission("products:write"),
+  productController.toggleActive
+);
+router.get(
+  "/:id/reviews",
+  requirePermission("products:read"),
+  productController.getProductReviews
+);
+router.post(
+  "/:id/images",
+  requirePermission("products:write"),
+  productController.uploadProductImage
+);
+router.delete(
+  "/:id/images/:imageIndex",
+  requirePermission("products:write"),
+  productController.deleteProductImage
+);
+
+// Category links
+router.post(
+  "/:productId/link-category/:categoryId",
+  requirePermission("products:write"),
+  productController.linkCategory
+);
+router.delete(
+  "/:productId/unlink-category/:categoryId",
+  requirePermission("products:write"),
+  productController.unlinkCategory
+);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const brandController = require('../controllers/brandController');
+const { auth, requirePermission } = require('../middleware/auth');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -55,26 +56,26 @@ router.get('/:id', brandController.getBrandById);
 router.get('/:id/products', brandController.getBrandProducts);
 
 // Admin routes
-router.post('/', upload.fields([
+router.post('/', auth, requirePermission('brands:write'), upload.fields([
   { name: 'logo', maxCount: 1 },
   { name: 'coverImage', maxCount: 1 }
 ]), brandController.createBrand);
 
-router.put('/:id', upload.fields([
+router.put('/:id', auth, requirePermission('brands:write'), upload.fields([
   { name: 'logo', maxCount: 1 },
   { name: 'coverImage', maxCount: 1 }
 ]), brandController.updateBrand);
 
-router.delete('/:id', brandController.deleteBrand);
-router.patch('/:id/toggle-status', brandController.toggleBrandStatus);
+router.delete('/:id', auth, requirePermission('brands:delete'), brandController.deleteBrand);
+router.patch('/:id/toggle-status', auth, requirePermission('brands:write'), brandController.toggleBrandStatus);
 
 // Stats and bulk operations
-router.get('/stats/with-stats', brandController.getBrandsWithStats);
-router.put('/bulk/update', brandController.bulkUpdateBrands);
-router.delete('/bulk/delete', brandController.bulkDeleteBrands);
+router.get('/stats/with-stats', auth, requirePermission('brands:write'), brandController.getBrandsWithStats);
+router.put('/bulk/update', auth, requirePermission('brands:write'), brandController.bulkUpdateBrands);
+router.delete('/bulk/delete', auth, requirePermission('brands:delete'), brandController.bulkDeleteBrands);
 
 // Seed routes (for development/testing)
-router.post('/seed/initial', brandController.seedInitialBrands);
-router.delete('/clear/all', brandController.clearAllBrands);
+router.post('/seed/initial', auth, requirePermission('system:maintenance'), brandController.seedInitialBrands);
+router.delete('/clear/all', auth, requirePermission('system:maintenance'), brandController.clearAllBrands);
 
 module.exports = router;
\ No newline at end of file
@@ -1,43 +1,37 @@
 const express = require("express");
 const router = express.Router();
-const { auth, adminAuth } = require("../middleware/auth");
-const Category = require("../models/Category");
+const categoryController = require("../controllers/categoryController");
+const { auth, requirePermission } = require("../middleware/auth");
+const { uploadCategoryImage } = require("../utils/images");
 
-// Get all categories (public)
-router.get("/", async (req, res) => {
-  try {
-    const categories = await Category.find({ isActive: true });
-    res.json({
-      success: true,
-      count: categories.length,
-      categories,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Server error",
-      error: error.message,
-    });
-  }
-});
+// Public routes
+router.get("/", categoryController.getAllCategories);
+router.get("/tree", categoryController.getCategoryTree);
+router.get("/root", categoryController.getRootCategories);
+router.get("/search", categoryController.searchCategories);
+router.get("/:id", categoryController.getCategoryById);
+router.get("/:id/path", categoryController.getCategoryPath);
 
-// Create category (admin only)
-router.post("/", auth, adminAuth, async (req, res) => {
-  try {
-    const category = new Category(req.body);
-    await category.save();
-    res.status(201).json({
-      success: true,
-      message: "Category created",
-      category,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Server error",
-      error: error.message,
-    });
-  }
-});
+// Admin routes
+router.post(
+  "/",
+  auth,
+  requirePermission("categories:write"),
+  uploadCategoryImage.single("image"),
+  categoryController.createCategory
+);
+router.put(
+  "/:id",
+  auth,
+  requirePermission("categories:write"),
+  uploadCategoryImage.single("image"),
+  categoryController.updateCategory
+);
+router.delete(
+  "/:id",
+  auth,
+  requirePermission("categories:delete"),
+  categoryController.deleteCategory
+);
 
 module.exports = router;
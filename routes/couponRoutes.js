@@ -0,0 +1,34 @@
+const express = require("express");
+const router = express.Router();
+const couponController = require("../controllers/couponController");
+const { requirePermission } = require("../middleware/auth");
+
+// Mounted under /admin, which already requires a logged-in staff member
+
+router.get(
+  "/",
+  requirePermission("products:read"),
+  couponController.getCoupons
+);
+router.get(
+  "/:id",
+  requirePermission("products:read"),
+  couponController.getCoupon
+);
+router.post(
+  "/",
+  requirePermission("promotions:write"),
+  couponController.createCoupon
+);
+router.put(
+  "/:id",
+  requirePermission("promotions:write"),
+  couponController.updateCoupon
+);
+router.delete(
+  "/:id",
+  requirePermission("promotions:write"),
+  couponController.deleteCoupon
+);
+
+module.exports = router;
@@ -0,0 +1,100 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { auth, staffAuth } = require("../middleware/auth");
+const { uploadsDir } = require("../utils/images");
+
+const uploadRoutes = require("./uploadRoutes");
+const productRoutes = require("./productRoutes");
+const adminProductRoutes = require("./adminProductRoutes");
+const categoryRoutes = require("./categoryRoutes");
+const adminCategoryRoutes = require("./adminCategoryRoutes");
+const brandRoutes = require("./brandRoutes");
+const motorcycleRoutes = require("./motorcycleRoutes");
+const userRoutes = require("./userRoutes");
+const cartRoutes = require("./cartRoutes");
+const wishlistRoutes = require("./wishlistRoutes");
+const orderRoutes = require("./orderRoutes");
+const adminOrderRoutes = require("./adminOrderRoutes");
+const invitationRoutes = require("./invitationRoutes");
+const warehouseRoutes = require("./warehouseRoutes");
+const supplierRoutes = require("./supplierRoutes");
+const purchaseOrderRoutes = require("./purchaseOrderRoutes");
+const couponRoutes = require("./couponRoutes");
+const priceScheduleRoutes = require("./priceScheduleRoutes");
+
+// Every router the API serves, with the path it is mounted at. The GET /
+// index below is generated from this list, so adding a router here is all
+// it takes for it to be served and documented.
+const ROUTE_REGISTRY = [
+  { name: "uploads", path: "/", router: uploadRoutes },
+  { name: "products", path: "/products", router: productRoutes },
+  { name: "categories", path: "/categories", router: categoryRoutes },
+  { name: "brands", path: "/brands", router: brandRoutes },
+  { name: "motorcycles", path: "/motorcycles", router: motorcycleRoutes },
+  { name: "users", path: "/users", router: userRoutes },
+  { name: "cart", path: "/cart", router: cartRoutes },
+  { name: "wishlists", path: "/wishlists", router: wishlistRoutes },
+  { name: "orders", path: "/orders", router: orderRoutes },
+  { name: "adminProducts", path: "/admin/products", router: adminProductRoutes },
+  { name: "adminCategories", path: "/admin/categories", router: adminCategoryRoutes },
+  { name: "adminOrders", path: "/admin/orders", router: adminOrderRoutes },
+  { name: "adminInvitations", path: "/admin/invitations", router: invitationRoutes },
+  { name: "adminWarehouses", path: "/admin/warehouses", router: warehouseRoutes },
+  { name: "adminSuppliers", path: "/admin/suppliers", router: supplierRoutes },
+  { name: "adminPurchaseOrders", path: "/admin/purchase-orders", router: purchaseOrderRoutes },
+  { name: "adminCoupons", path: "/admin/coupons", router: couponRoutes },
+  { name: "adminPriceSchedules", path: "/admin/price-schedules", router: priceScheduleRoutes },
+];
+
+// List "METHOD /path" for every route a registered router defines
+const listRoutes = (entry, base = "") => {
+  const mountPath = entry.path === "/" ? "" : entry.path;
+
+  return entry.router.stack
+    .filter((layer) => layer.route)
+    .flatMap((layer) =>
+      Object.keys(layer.route.methods)
+        .filter((method) => method !== "_all")
+        .map((method) => {
+          const routePath = layer.route.path === "/" ? "" : layer.route.path;
+          return `${method.toUpperCase()} ${base}${mountPath}${routePath}`;
+        })
+    );
+};
+
+// Build the router that serves the whole JSON API. The app mounts it under
+// each versioned prefix, so paths here are relative ("/products", not
+// "/api/products").
+const createApiRouter = () => {
+  const router = express.Router();
+
+  router.get("/", (req, res) => {
+    const base = req.baseUrl;
+    const dbStatus =
+      mongoose.connection.readyState === 1 ? "connected" : "disconnected";
+
+    const endpoints = {};
+    ROUTE_REGISTRY.forEach((entry) => {
+      endpoints[entry.name] = listRoutes(entry, base);
+    });
+
+    res.json({
+      success: true,
+      message: "✅ Federal Parts API is running",
+      database: dbStatus,
+      uploadsPath: uploadsDir,
+      endpoints,
+      health: "/health",
+    });
+  });
+
+  // Everything under /admin requires a logged-in staff member; each route
+  // then checks the specific permission it needs
+  router.use("/admin", auth, staffAuth);
+
+  ROUTE_REGISTRY.forEach((entry) => router.use(entry.path, entry.router));
+
+  return router;
+};
+
+module.exports = { createApiRouter, ROUTE_REGISTRY, listRoutes };
@@ -0,0 +1,24 @@
+const express = require("express");
+const router = express.Router();
+const { requirePermission } = require("../middleware/auth");
+const invitationController = require("../controllers/invitationController");
+
+// Mounted under /admin, which already requires a logged-in staff member
+
+router.get(
+  "/",
+  requirePermission("users:invite"),
+  invitationController.getInvitations
+);
+router.post(
+  "/",
+  requirePermission("users:invite"),
+  invitationController.createInvitation
+);
+router.delete(
+  "/:id",
+  requirePermission("users:invite"),
+  invitationController.revokeInvitation
+);
+
+module.exports = router;
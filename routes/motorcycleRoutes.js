@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { auth, requirePermission } = require('../middleware/auth');
+const motorcycleController = require('../controllers/motorcycleController');
+
+// Public routes
+router.get('/', motorcycleController.getAllMotorcycles);
+router.get('/:id', motorcycleController.getMotorcycleById);
+
+// Admin routes
+router.post('/', auth, requirePermission('motorcycles:write'), motorcycleController.createMotorcycle);
+router.put('/:id', auth, requirePermission('motorcycles:write'), motorcycleController.updateMotorcycle);
+router.delete('/:id', auth, requirePermission('motorcycles:write'), motorcycleController.deleteMotorcycle);
+
+module.exports = router;
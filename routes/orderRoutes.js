@@ -0,0 +1,11 @@
+const express = require("express");
+const router = express.Router();
+const { auth } = require("../middleware/auth");
+const orderController = require("../controllers/orderController");
+
+// Customer routes
+router.post("/checkout", auth, orderController.checkout);
+router.get("/", auth, orderController.getMyOrders);
+router.get("/:id", auth, orderController.getMyOrder);
+
+module.exports = router;
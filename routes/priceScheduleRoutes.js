@@ -0,0 +1,34 @@
+const express = require("express");
+const router = express.Router();
+const priceScheduleController = require("../controllers/priceScheduleController");
+const { requirePermission } = require("../middleware/auth");
+
+// Mounted under /admin, which already requires a logged-in staff member
+
+router.get(
+  "/",
+  requirePermission("products:read"),
+  priceScheduleController.getPriceSchedules
+);
+router.get(
+  "/:id",
+  requirePermission("products:read"),
+  priceScheduleController.getPriceSchedule
+);
+router.post(
+  "/",
+  requirePermission("promotions:write"),
+  priceScheduleController.createPriceSchedule
+);
+router.put(
+  "/:id",
+  requirePermission("promotions:write"),
+  priceScheduleController.updatePriceSchedule
+);
+router.delete(
+  "/:id",
+  requirePermission("promotions:write"),
+  priceScheduleController.deletePriceSchedule
+);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require("express");
+const router = express.Router();
+const purchaseOrderController = require("../controllers/purchaseOrderController");
+const { requirePermission } = require("../middleware/auth");
+
+// Mounted under /admin, which already requires a logged-in staff member
+
+// Reports
+router.get(
+  "/reorder-suggestions",
+  requirePermission("products:read"),
+  purchaseOrderController.getReorderSuggestions
+);
+
+// Purchase orders
+router.get(
+  "/",
+  requirePermission("products:read"),
+  purchaseOrderController.getPurchaseOrders
+);
+router.get(
+  "/:id",
+  requirePermission("products:read"),
+  purchaseOrderController.getPurchaseOrderById
+);
+router.post(
+  "/",
+  requirePermission("purchasing:write"),
+  purchaseOrderController.createPurchaseOrder
+);
+router.put(
+  "/:id",
+  requirePermission("purchasing:write"),
+  purchaseOrderController.updatePurchaseOrder
+);
+router.patch(
+  "/:id/status",
+  requirePermission("purchasing:write"),
+  purchaseOrderController.updatePurchaseOrderStatus
+);
+
+// Goods receiving
+router.post(
+  "/:id/receive",
+  requirePermission("stock:write"),
+  purchaseOrderController.receivePurchaseOrder
+);
+
+module.exports = router;
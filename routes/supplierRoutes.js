@@ -0,0 +1,24 @@
+const express = require("express");
+const router = express.Router();
+const purchaseOrderController = require("../controllers/purchaseOrderController");
+const { requirePermission } = require("../middleware/auth");
+
+// Mounted under /admin, which already requires a logged-in staff member
+
+router.get(
+  "/",
+  requirePermission("products:read"),
+  purchaseOrderController.getSuppliers
+);
+router.post(
+  "/",
+  requirePermission("purchasing:write"),
+  purchaseOrderController.createSupplier
+);
+router.put(
+  "/:id",
+  requirePermission("purchasing:write"),
+  purchaseOrderController.updateSupplier
+);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require("express");
+const router = express.Router();
+const uploadController = require("../controllers/uploadController");
+const { auth, requirePermission } = require("../middleware/auth");
+const {
+  uploadProductImages,
+  uploadCategoryImage,
+} = require("../utils/images");
+
+router.get("/check-image/:filename", uploadController.checkImage);
+
+// Log in before multer runs so anonymous uploads never touch the disk
+router.post(
+  "/upload",
+  auth,
+  requirePermission("uploads:write"),
+  uploadProductImages.single("image"),
+  uploadController.uploadProductImage
+);
+router.post(
+  "/upload/category",
+  auth,
+  requirePermission("uploads:write"),
+  uploadCategoryImage.single("image"),
+  uploadController.uploadCategoryImage
+);
+router.post(
+  "/upload/base64",
+  auth,
+  requirePermission("uploads:write"),
+  uploadController.uploadBase64Image
+);
+
+module.exports = router;
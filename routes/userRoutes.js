@@ -3,9 +3,9 @@ const express = require("express");
 const router = express.Router(); // Creates a mini-app for user routes
 
 // Import security checkers
-const { auth, adminAuth } = require("../middleware/auth");
+const { auth, requirePermission } = require("../middleware/auth");
 // auth = "Are you logged in?" checker
-// adminAuth = "Are you an admin?" checker
+// requirePermission = "Is your role allowed to do this?" checker
 
 // Import user functions/actions
 const userController = require("../controllers/userController");
@@ -22,10 +22,35 @@ router.post("/register", userController.register);
 router.post("/login", userController.login);
 // Example: Send email, password → Get login ticket
 
+// POST /users/refresh → Swap refresh token for new tokens
+router.post("/refresh", userController.refresh);
+// Example: Send refreshToken → Get new token + new refreshToken (old one stops working)
+
+// POST /users/logout → End this session
+router.post("/logout", userController.logout);
+// Example: Send refreshToken → That login can't be refreshed any more
+
+// POST /users/forgot-password → Email a reset link
+router.post("/forgot-password", userController.forgotPassword);
+// Example: Send email → Reset link emailed (same answer even if unknown)
+
+// POST /users/reset-password → Set new password with emailed token
+router.post("/reset-password", userController.resetPassword);
+// Example: Send token, password → Password changed, all sessions logged out
+
+// GET /users/verify/:token → Confirm email address (link from email)
+router.get("/verify/:token", userController.verifyEmail);
+
 // ==============================================
 // PROTECTED ROUTES (Need to be logged in)
 // ==============================================
 
+// POST /users/logout-all → End every session on every device
+router.post("/logout-all", auth, userController.logoutAll);
+
+// POST /users/resend-verification → Send a fresh verify-email link
+router.post("/resend-verification", auth, userController.resendVerification);
+
 // GET /users/profile → View your profile
 router.get("/profile", auth, userController.getProfile);
 // Flow: 1. Check if logged in (auth) → 2. Get profile info
@@ -34,13 +59,42 @@ router.get("/profile", auth, userController.getProfile);
 router.put("/profile", auth, userController.updateProfile);
 // Flow: 1. Check if logged in → 2. Update your info
 
+// GET /users/garage → List your saved motorcycles
+router.get("/garage", auth, userController.getGarage);
+
+// POST /users/garage → Save a motorcycle to your garage
+router.post("/garage", auth, userController.addGarageVehicle);
+// Example: Send motorcycleId, year → Bike saved (first one becomes default)
+
+// PUT /users/garage/:vehicleId → Rename or make default
+router.put("/garage/:vehicleId", auth, userController.updateGarageVehicle);
+
+// DELETE /users/garage/:vehicleId → Remove a saved motorcycle
+router.delete("/garage/:vehicleId", auth, userController.removeGarageVehicle);
+
 // ==============================================
 // ADMIN ONLY ROUTES (Need to be admin)
 // ==============================================
 
 // GET /users/all → Get list of ALL users (admin only)
-router.get("/all", auth, adminAuth, userController.getAllUsers);
-// Flow: 1. Check if logged in → 2. Check if admin → 3. Get all users
+router.get("/all", auth, requirePermission("users:read"), userController.getAllUsers);
+// Flow: 1. Check if logged in → 2. Check permission → 3. Get all users
+
+// PUT /users/:id/role → Change someone's role (super admin only)
+router.put(
+  "/:id/role",
+  auth,
+  requirePermission("users:manage"),
+  userController.updateUserRole
+);
+// Example: Send { role: "inventory_clerk" } → User becomes a clerk
+
+// GET /users/locked → See accounts/IPs locked after failed logins
+router.get("/locked", auth, requirePermission("users:unlock"), userController.getLockedAccounts);
+
+// POST /users/:id/unlock → Let a locked-out user login again
+router.post("/:id/unlock", auth, requirePermission("users:unlock"), userController.unlockAccount);
+// Example: Send optional { ip } → Account (and that IP) unlocked, audit entry written
 
 // ==============================================
 // TEST ROUTE (Just to check if it's working)
@@ -0,0 +1,37 @@
+const express = require("express");
+const router = express.Router();
+const warehouseController = require("../controllers/warehouseController");
+const { requirePermission } = require("../middleware/auth");
+
+// Mounted under /admin, which already requires a logged-in staff member
+
+// Transfers between warehouses
+router.get(
+  "/transfers",
+  requirePermission("products:read"),
+  warehouseController.getTransfers
+);
+router.post(
+  "/transfers",
+  requirePermission("stock:write"),
+  warehouseController.createTransfer
+);
+
+// Warehouses
+router.get(
+  "/",
+  requirePermission("products:read"),
+  warehouseController.getAllWarehouses
+);
+router.post(
+  "/",
+  requirePermission("warehouses:write"),
+  warehouseController.createWarehouse
+);
+router.put(
+  "/:id",
+  requirePermission("warehouses:write"),
+  warehouseController.updateWarehouse
+);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const { auth } = require("../middleware/auth");
+const wishlistController = require("../controllers/wishlistController");
+
+// Customer routes
+router.get("/", auth, wishlistController.getMyWishlists);
+router.post("/", auth, wishlistController.createWishlist);
+router.post("/move-from-cart", auth, wishlistController.moveFromCart);
+router.get("/:id", auth, wishlistController.getWishlist);
+router.put("/:id", auth, wishlistController.updateWishlist);
+router.delete("/:id", auth, wishlistController.deleteWishlist);
+router.post("/:id/items", auth, wishlistController.addItem);
+router.delete("/:id/items/:itemId", auth, wishlistController.removeItem);
+router.post("/:id/items/:itemId/move-to-cart", auth, wishlistController.moveToCart);
+
+module.exports = router;
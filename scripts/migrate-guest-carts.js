@@ -0,0 +1,58 @@
+// backend/scripts/migrate-guest-carts.js
+//
+// Prepares the carts collection for guest carts. The old unique index on
+// `user` treats every cart without a user as a duplicate, so it is replaced
+// with the partial indexes the Cart model now declares (one cart per user,
+// one per guest token, and the TTL index that clears stale guest carts).
+//
+// Run this once before deploying guest carts.
+//
+// Usage:
+//   node scripts/migrate-guest-carts.js --dry-run
+//   node scripts/migrate-guest-carts.js
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Cart = require("../models/Cart");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const migrate = async () => {
+  if (!process.env.MONGODB_URI) {
+    throw new Error("MONGODB_URI is not set");
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI, {
+    serverSelectionTimeoutMS: 5000,
+    autoIndex: false,
+  });
+  console.log(`✅ Connected to MongoDB${DRY_RUN ? " (dry run)" : ""}`);
+
+  const indexes = await Cart.collection.indexes().catch(() => []);
+  const legacy = indexes.find(
+    (index) => index.name === "user_1" && index.unique && !index.partialFilterExpression
+  );
+
+  if (legacy) {
+    console.log("🗑️ Dropping the old unique index on carts.user");
+    if (!DRY_RUN) {
+      await Cart.collection.dropIndex("user_1");
+    }
+  } else {
+    console.log("ℹ️ No old unique index on carts.user");
+  }
+
+  if (DRY_RUN) {
+    console.log("ℹ️ Dry run - no changes written");
+    return;
+  }
+
+  await Cart.syncIndexes();
+  console.log("✅ Cart indexes are up to date");
+};
+
+migrate()
+  .catch((error) => {
+    console.error("❌ Migration failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
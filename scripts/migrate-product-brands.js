@@ -0,0 +1,103 @@
+// backend/scripts/migrate-product-brands.js
+//
+// Links products to Brand documents. Every product with a free-text
+// `brand` but no `brandRef` is matched against Brand names (ignoring case)
+// and slugs; matches get `brandRef` set and `brand` normalised to the
+// Brand's name. Values that match no Brand are listed so they can be fixed
+// by hand or created as brands before running the script again.
+//
+// Usage:
+//   node scripts/migrate-product-brands.js --dry-run
+//   node scripts/migrate-product-brands.js
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Brand = require("../models/Brand");
+const { updateAllBrandProductCounts } = require("../utils/brandCounts");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const migrate = async () => {
+  if (!process.env.MONGODB_URI) {
+    throw new Error("MONGODB_URI is not set");
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI, {
+    serverSelectionTimeoutMS: 5000,
+  });
+  console.log(`✅ Connected to MongoDB${DRY_RUN ? " (dry run)" : ""}`);
+
+  const brands = await Brand.find({}, "name slug").lean();
+  const brandsByKey = new Map();
+  for (const brand of brands) {
+    brandsByKey.set(brand.name.toLowerCase(), brand);
+    if (brand.slug) brandsByKey.set(brand.slug, brand);
+  }
+
+  const products = mongoose.connection.collection("products");
+  const cursor = products.find(
+    {
+      brand: { $exists: true, $nin: [null, ""] },
+      $or: [{ brandRef: { $exists: false } }, { brandRef: null }],
+    },
+    { projection: { name: 1, brand: 1 } }
+  );
+
+  const operations = [];
+  const unmatched = new Map();
+  let scanned = 0;
+
+  for await (const doc of cursor) {
+    scanned++;
+
+    const value = String(doc.brand).trim();
+    const brand =
+      brandsByKey.get(value.toLowerCase()) || brandsByKey.get(Brand.toSlug(value));
+
+    if (!brand) {
+      const entry = unmatched.get(value) || { value, products: 0, sampleIds: [] };
+      entry.products++;
+      if (entry.sampleIds.length < 3) entry.sampleIds.push(doc._id.toString());
+      unmatched.set(value, entry);
+      continue;
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { brandRef: brand._id, brand: brand.name } },
+      },
+    });
+  }
+
+  console.log(`📊 Scanned ${scanned} unlinked products`);
+  console.log(`   ${operations.length} matched a brand, ${scanned - operations.length} did not`);
+
+  if (!DRY_RUN && operations.length > 0) {
+    const result = await products.bulkWrite(operations, { ordered: false });
+    console.log(`✅ Linked ${result.modifiedCount} products`);
+  } else if (DRY_RUN) {
+    console.log("ℹ️ Dry run - no changes written");
+  }
+
+  if (!DRY_RUN) {
+    await updateAllBrandProductCounts();
+  }
+
+  if (unmatched.size > 0) {
+    console.log(`\n⚠️ ${unmatched.size} brand values matched no Brand:`);
+    console.table(
+      [...unmatched.values()]
+        .sort((a, b) => b.products - a.products)
+        .map((entry) => ({ ...entry, sampleIds: entry.sampleIds.join(", ") }))
+    );
+  } else {
+    console.log("✅ Every brand value matched a Brand");
+  }
+};
+
+migrate()
+  .catch((error) => {
+    console.error("❌ Migration failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
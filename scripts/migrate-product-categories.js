@@ -0,0 +1,152 @@
+// backend/scripts/migrate-product-categories.js
+//
+// Moves every product onto the unified category shape:
+//   categories: [ObjectId]  (primary first)
+//   category:   ObjectId    (always categories[0])
+//
+// Older documents may hold category IDs as strings, only a single
+// `category`, or category names/slugs instead of IDs. Values that cannot be
+// matched to an existing category are left out and listed as orphans.
+//
+// Usage:
+//   node scripts/migrate-product-categories.js --dry-run
+//   node scripts/migrate-product-categories.js
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Category = require("../models/Category");
+const { updateAllCategoryProductCounts } = require("../utils/categoryCounts");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+// Turn one stored value into a category ObjectId, or explain why it can't be
+const resolveCategory = (value, categoriesById, categoriesByKey) => {
+  if (value === null || value === undefined || value === "") {
+    return { id: null };
+  }
+
+  const raw = value.toString().trim();
+  if (!raw || raw === "null") {
+    return { id: null };
+  }
+
+  if (mongoose.Types.ObjectId.isValid(raw) && /^[a-f0-9]{24}$/i.test(raw)) {
+    if (categoriesById.has(raw)) {
+      return { id: categoriesById.get(raw) };
+    }
+    return { id: null, reason: "category not found" };
+  }
+
+  const match = categoriesByKey.get(raw.toLowerCase());
+  if (match) {
+    return { id: match };
+  }
+
+  return { id: null, reason: "no category with this name or slug" };
+};
+
+const migrate = async () => {
+  if (!process.env.MONGODB_URI) {
+    throw new Error("MONGODB_URI is not set");
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI, {
+    serverSelectionTimeoutMS: 5000,
+  });
+  console.log(`✅ Connected to MongoDB${DRY_RUN ? " (dry run)" : ""}`);
+
+  const categories = await Category.find({}, "name slug").lean();
+  const categoriesById = new Map();
+  const categoriesByKey = new Map();
+  for (const cat of categories) {
+    categoriesById.set(cat._id.toString(), cat._id);
+    categoriesByKey.set(cat.name.toLowerCase(), cat._id);
+    if (cat.slug) categoriesByKey.set(cat.slug.toLowerCase(), cat._id);
+  }
+
+  // Work on the raw collection so values the schema can't cast still show up
+  const products = mongoose.connection.collection("products");
+  const cursor = products.find({}, { projection: { name: 1, category: 1, categories: 1 } });
+
+  const operations = [];
+  const orphans = [];
+  let scanned = 0;
+  let unchanged = 0;
+
+  for await (const doc of cursor) {
+    scanned++;
+
+    const stored = [
+      doc.category,
+      ...(Array.isArray(doc.categories) ? doc.categories : [doc.categories]),
+    ];
+
+    const resolved = [];
+    const seen = new Set();
+    for (const value of stored) {
+      const { id, reason } = resolveCategory(value, categoriesById, categoriesByKey);
+      if (id) {
+        if (!seen.has(id.toString())) {
+          seen.add(id.toString());
+          resolved.push(id);
+        }
+      } else if (reason) {
+        orphans.push({
+          productId: doc._id.toString(),
+          name: doc.name,
+          value: value.toString(),
+          reason,
+        });
+      }
+    }
+
+    const primary = resolved.length > 0 ? resolved[0] : null;
+
+    // Skip documents that are already in the new shape
+    const alreadyMigrated =
+      Array.isArray(doc.categories) &&
+      doc.categories.length === resolved.length &&
+      doc.categories.every(
+        (cat, i) => cat instanceof mongoose.Types.ObjectId && cat.equals(resolved[i])
+      ) &&
+      (primary
+        ? doc.category instanceof mongoose.Types.ObjectId && doc.category.equals(primary)
+        : doc.category === null);
+
+    if (alreadyMigrated) {
+      unchanged++;
+      continue;
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { categories: resolved, category: primary } },
+      },
+    });
+  }
+
+  console.log(`📊 Scanned ${scanned} products`);
+  console.log(`   ${operations.length} need updating, ${unchanged} already migrated`);
+
+  if (!DRY_RUN && operations.length > 0) {
+    const result = await products.bulkWrite(operations, { ordered: false });
+    console.log(`✅ Updated ${result.modifiedCount} products`);
+    await updateAllCategoryProductCounts();
+  } else if (DRY_RUN) {
+    console.log("ℹ️ Dry run - no changes written");
+  }
+
+  if (orphans.length > 0) {
+    console.log(`\n⚠️ ${orphans.length} orphaned category values:`);
+    console.table(orphans);
+  } else {
+    console.log("✅ No orphaned category values");
+  }
+};
+
+migrate()
+  .catch((error) => {
+    console.error("❌ Migration failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,109 @@
+// backend/scripts/migrate-warehouse-stock.js
+//
+// Moves products onto per-warehouse stock. Every product without inventory
+// entries gets its current stock (or each variant's stock) placed in the
+// default warehouse, so totals don't change. If no warehouses exist yet,
+// the Manila warehouse (default) and the Cebu branch are created first.
+//
+// The app also moves an unmigrated product the first time its stock
+// changes or it is sold, so this is for doing them all at once up front.
+//
+// Usage:
+//   node scripts/migrate-warehouse-stock.js --dry-run
+//   node scripts/migrate-warehouse-stock.js
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Warehouse = require("../models/Warehouse");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const STARTING_WAREHOUSES = [
+  { name: "Manila Warehouse", code: "manila", isDefault: true },
+  { name: "Cebu Branch", code: "cebu", isDefault: false },
+];
+
+const migrate = async () => {
+  if (!process.env.MONGODB_URI) {
+    throw new Error("MONGODB_URI is not set");
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI, {
+    serverSelectionTimeoutMS: 5000,
+  });
+  console.log(`✅ Connected to MongoDB${DRY_RUN ? " (dry run)" : ""}`);
+
+  if ((await Warehouse.countDocuments()) === 0) {
+    console.log(
+      `🏭 No warehouses yet, creating: ${STARTING_WAREHOUSES.map((w) => w.code).join(", ")}`
+    );
+    if (!DRY_RUN) {
+      for (const warehouse of STARTING_WAREHOUSES) {
+        await Warehouse.create(warehouse);
+      }
+    }
+  }
+
+  const defaultWarehouse = DRY_RUN
+    ? (await Warehouse.getDefault()) || { _id: null, code: STARTING_WAREHOUSES[0].code }
+    : await Warehouse.getDefault();
+  if (!defaultWarehouse) {
+    throw new Error("No active warehouse to move stock into");
+  }
+  console.log(`📦 Moving unassigned stock into "${defaultWarehouse.code}"`);
+
+  const products = mongoose.connection.collection("products");
+  const cursor = products.find(
+    { $or: [{ inventory: { $exists: false } }, { inventory: { $size: 0 } }] },
+    { projection: { name: 1, stock: 1, variants: 1 } }
+  );
+
+  const operations = [];
+  let scanned = 0;
+  let units = 0;
+
+  for await (const doc of cursor) {
+    scanned++;
+
+    const variants = Array.isArray(doc.variants) ? doc.variants : [];
+    const entries =
+      variants.length > 0
+        ? variants.map((variant) => ({
+            warehouse: defaultWarehouse._id,
+            variant: variant._id,
+            quantity: Math.max(0, Number(variant.stock) || 0),
+          }))
+        : [
+            {
+              warehouse: defaultWarehouse._id,
+              variant: null,
+              quantity: Math.max(0, Number(doc.stock) || 0),
+            },
+          ];
+
+    const total = entries.reduce((sum, entry) => sum + entry.quantity, 0);
+    units += total;
+
+    operations.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { inventory: entries, stock: total } },
+      },
+    });
+  }
+
+  console.log(`📊 Found ${scanned} products without warehouse stock (${units} units)`);
+
+  if (!DRY_RUN && operations.length > 0) {
+    const result = await products.bulkWrite(operations, { ordered: false });
+    console.log(`✅ Updated ${result.modifiedCount} products`);
+  } else if (DRY_RUN) {
+    console.log("ℹ️ Dry run - no changes written");
+  }
+};
+
+migrate()
+  .catch((error) => {
+    console.error("❌ Migration failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,154 @@
+// Coupon availability, scope and usage counting (models/Coupon.js). The
+// claim/release queries run against a small in-memory store that applies
+// each update atomically, the way MongoDB does for a single document.
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Coupon = require("../models/Coupon");
+
+// Just enough of MongoDB's query language for Coupon.claim/release
+const fieldValue = (doc, ref) =>
+  typeof ref === "string" && ref.startsWith("$") ? doc[ref.slice(1)] : ref;
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") return condition.some((branch) => matches(doc, branch));
+    if (key === "$expr") {
+      const [a, b] = condition.$lt.map((ref) => fieldValue(doc, ref));
+      return a < b;
+    }
+    const value = doc[key];
+    if (condition && typeof condition === "object" && "$gt" in condition) {
+      return value > condition.$gt;
+    }
+    if (condition === null) return value === null || value === undefined;
+    return String(value) === String(condition);
+  });
+
+const useStore = () => {
+  const store = new Map();
+  const original = { findOneAndUpdate: Coupon.findOneAndUpdate, updateOne: Coupon.updateOne };
+
+  const apply = async (filter, update) => {
+    await new Promise((resolve) => setImmediate(resolve)); // interleave callers
+    const doc = [...store.values()].find((candidate) => matches(candidate, filter));
+    if (!doc) return null;
+    for (const [field, delta] of Object.entries(update.$inc)) doc[field] += delta;
+    return doc;
+  };
+  Coupon.findOneAndUpdate = (filter, update) => apply(filter, update);
+  Coupon.updateOne = async (filter, update) => ({
+    modifiedCount: (await apply(filter, update)) ? 1 : 0,
+  });
+
+  return {
+    add: (fields) => {
+      const doc = {
+        _id: new mongoose.Types.ObjectId(),
+        usedCount: 0,
+        usageLimit: null,
+        ...fields,
+      };
+      store.set(doc._id.toString(), doc);
+      return doc;
+    },
+    restore: () => Object.assign(Coupon, original),
+  };
+};
+
+const coupon = (fields = {}) =>
+  new Coupon({ code: "PAYDAY", type: "percentage", value: 10, ...fields });
+
+describe("Coupon.claim / Coupon.release", () => {
+  let store;
+  beforeEach(() => {
+    store = useStore();
+  });
+  afterEach(() => store.restore());
+
+  it("never hands out more uses than the limit, even all at once", async () => {
+    const doc = store.add({ usageLimit: 3 });
+    const claims = await Promise.all(Array.from({ length: 10 }, () => Coupon.claim(doc._id)));
+
+    assert.equal(claims.filter(Boolean).length, 3);
+    assert.equal(doc.usedCount, 3);
+  });
+
+  it("has no cap without a usage limit", async () => {
+    const doc = store.add({ usageLimit: null });
+    await Promise.all(Array.from({ length: 5 }, () => Coupon.claim(doc._id)));
+    assert.equal(doc.usedCount, 5);
+  });
+
+  it("frees a use for the next customer on release", async () => {
+    const doc = store.add({ usageLimit: 1 });
+    assert.ok(await Coupon.claim(doc._id));
+    assert.equal(await Coupon.claim(doc._id), null);
+
+    await Coupon.release(doc._id);
+    assert.ok(await Coupon.claim(doc._id));
+    assert.equal(doc.usedCount, 1);
+  });
+
+  it("doesn't count below zero when released more than claimed", async () => {
+    const doc = store.add({ usageLimit: 2 });
+    await Coupon.claim(doc._id);
+    await Promise.all([Coupon.release(doc._id), Coupon.release(doc._id)]);
+    assert.equal(doc.usedCount, 0);
+  });
+});
+
+describe("Coupon#unavailableReason", () => {
+  const now = new Date("2026-11-11T12:00:00Z");
+
+  it("is null for a live coupon", () => {
+    assert.equal(coupon().unavailableReason(now), null);
+  });
+
+  it("explains inactive, early, expired and used-up coupons", () => {
+    assert.match(coupon({ isActive: false }).unavailableReason(now), /no longer active/);
+    assert.match(
+      coupon({ startsAt: new Date("2026-11-12") }).unavailableReason(now),
+      /isn't valid yet/
+    );
+    assert.match(
+      coupon({ endsAt: new Date("2026-11-11T12:00:00Z") }).unavailableReason(now),
+      /expired/
+    );
+    assert.match(
+      coupon({ usageLimit: 5, usedCount: 5 }).unavailableReason(now),
+      /fully redeemed/
+    );
+  });
+});
+
+describe("Coupon#appliesTo", () => {
+  const brandId = new mongoose.Types.ObjectId();
+  const categoryId = new mongoose.Types.ObjectId();
+  const product = {
+    _id: new mongoose.Types.ObjectId(),
+    brand: "Yamaha",
+    brandRef: brandId,
+    categories: [categoryId],
+  };
+
+  it("covers everything when unscoped", () => {
+    assert.ok(coupon().appliesTo(product));
+  });
+
+  it("matches brand scope on the linked Brand, not the brand name", () => {
+    assert.ok(coupon({ brands: [brandId] }).appliesTo(product));
+    assert.equal(
+      coupon({ brands: [brandId] }).appliesTo({ ...product, brandRef: null }),
+      false
+    );
+  });
+
+  it("matches product and category scope", () => {
+    assert.ok(coupon({ products: [product._id] }).appliesTo(product));
+    assert.ok(coupon({ categories: [categoryId] }).appliesTo(product));
+    assert.equal(
+      coupon({ categories: [new mongoose.Types.ObjectId()] }).appliesTo(product),
+      false
+    );
+  });
+});
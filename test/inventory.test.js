@@ -0,0 +1,182 @@
+// Stock ledger (utils/inventory.js). Product.adjustStock is the atomic
+// database update; here it is replaced by an in-memory product so the
+// ledger entries, balances and rollbacks can be checked without MongoDB.
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const StockMovement = require("../models/StockMovement");
+const StockSubscription = require("../models/StockSubscription");
+const Warehouse = require("../models/Warehouse");
+const Wishlist = require("../models/Wishlist");
+const { changeStock, allocateStock } = require("../utils/inventory");
+
+const manila = new mongoose.Types.ObjectId();
+const cebu = new mongoose.Types.ObjectId();
+
+// Swap model statics for the length of a test
+const stubs = [];
+const stub = (target, name, fn) => {
+  stubs.push([target, name, target[name]]);
+  target[name] = fn;
+};
+
+// A product held in memory, changed the way Product.adjustStock changes it:
+// a decrease that would go below zero matches nothing and returns null
+const useProduct = (inventory) => {
+  const product = new Product({ name: "Chain kit", price: 1200, inventory });
+  product.stock = product.stockAt(null, null);
+
+  stub(Product, "adjustStock", async (productId, variantId, warehouseId, delta) => {
+    await new Promise((resolve) => setImmediate(resolve)); // interleave callers
+    let entry = product.inventory.find(
+      (candidate) => candidate.warehouse.toString() === warehouseId.toString()
+    );
+    if (!entry && delta > 0) {
+      product.inventory.push({ warehouse: warehouseId, quantity: 0 });
+      entry = product.inventory[product.inventory.length - 1];
+    }
+    if (!entry || entry.quantity + delta < 0) return null;
+    entry.quantity += delta;
+    product.stock += delta;
+    return product;
+  });
+  return product;
+};
+
+describe("changeStock", () => {
+  let movements;
+  let restockLookups;
+
+  beforeEach(() => {
+    movements = [];
+    restockLookups = 0;
+    stub(StockMovement, "record", async (entry) => movements.push(entry));
+    stub(Warehouse, "getDefault", async () => ({ _id: manila }));
+    stub(Product, "moveStockToWarehouse", async () => ({ modifiedCount: 0 }));
+    stub(StockSubscription, "find", async () => {
+      restockLookups++;
+      return [];
+    });
+    stub(StockMovement, "findOne", () => ({ sort: async () => null }));
+    stub(Wishlist, "find", () => ({ populate: async () => [] }));
+  });
+  afterEach(() => {
+    while (stubs.length > 0) {
+      const [target, name, original] = stubs.pop();
+      target[name] = original;
+    }
+  });
+
+  it("records every change with the balances after it", async () => {
+    const product = useProduct([{ warehouse: manila, quantity: 5 }]);
+    const userId = new mongoose.Types.ObjectId();
+
+    await changeStock({
+      product: product._id,
+      warehouse: manila,
+      delta: -2,
+      reason: "sale",
+      user: userId,
+    });
+
+    assert.equal(movements.length, 1);
+    const [movement] = movements;
+    assert.equal(movement.delta, -2);
+    assert.equal(movement.reason, "sale");
+    assert.equal(movement.balance, 3);
+    assert.equal(movement.warehouseBalance, 3);
+    assert.equal(movement.user, userId);
+  });
+
+  it("refuses to go below zero and records nothing then", async () => {
+    const product = useProduct([{ warehouse: manila, quantity: 1 }]);
+
+    const result = await changeStock({
+      product: product._id,
+      warehouse: manila,
+      delta: -2,
+      reason: "sale",
+    });
+
+    assert.equal(result, null);
+    assert.equal(movements.length, 0);
+    assert.equal(product.stock, 1);
+  });
+
+  it("sells the last unit only once when two sales race for it", async () => {
+    const product = useProduct([{ warehouse: manila, quantity: 1 }]);
+    const sale = () =>
+      changeStock({ product: product._id, warehouse: manila, delta: -1, reason: "sale" });
+
+    const results = await Promise.all([sale(), sale()]);
+
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal(product.stock, 0);
+    assert.equal(movements.length, 1);
+  });
+
+  it("only sends restock notices when stock comes back from zero", async () => {
+    const product = useProduct([{ warehouse: manila, quantity: 0 }]);
+    const receive = () =>
+      changeStock({ product: product._id, warehouse: manila, delta: 4, reason: "receipt" });
+
+    await receive();
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(restockLookups, 1);
+
+    await receive();
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(restockLookups, 1);
+  });
+
+  it("never sends restock notices for transfers", async () => {
+    const product = useProduct([{ warehouse: manila, quantity: 0 }]);
+    await changeStock({
+      product: product._id,
+      warehouse: manila,
+      delta: 3,
+      reason: "transfer",
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(restockLookups, 0);
+  });
+
+  describe("allocateStock", () => {
+    it("takes from the default warehouse first, then the fullest", async () => {
+      const product = useProduct([
+        { warehouse: cebu, quantity: 4 },
+        { warehouse: manila, quantity: 2 },
+      ]);
+
+      const allocations = await allocateStock({ product, quantity: 5 });
+
+      assert.deepEqual(
+        allocations.map(({ warehouse, quantity }) => [warehouse.toString(), quantity]),
+        [
+          [manila.toString(), 2],
+          [cebu.toString(), 3],
+        ]
+      );
+      assert.equal(product.stock, 1);
+    });
+
+    it("puts a partial allocation back when there isn't enough", async () => {
+      const product = useProduct([
+        { warehouse: manila, quantity: 2 },
+        { warehouse: cebu, quantity: 1 },
+      ]);
+
+      const allocations = await allocateStock({ product, quantity: 5 });
+
+      assert.equal(allocations, null);
+      assert.equal(product.stock, 3);
+      assert.equal(product.stockAt(manila, null), 2);
+      assert.equal(product.stockAt(cebu, null), 1);
+      assert.deepEqual(
+        movements.map((movement) => movement.reason),
+        ["sale", "sale", "cancellation", "cancellation"]
+      );
+    });
+  });
+});
@@ -0,0 +1,89 @@
+// Failed-login lockouts (models/LoginThrottle.js). The counter document is
+// kept in memory in place of MongoDB's upsert.
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const LoginThrottle = require("../models/LoginThrottle");
+
+const original = {
+  findOneAndUpdate: LoginThrottle.findOneAndUpdate,
+  save: LoginThrottle.prototype.save,
+};
+
+// Count `times` failures for a key and return what the last one did
+const failTimes = async (key, times) => {
+  let result;
+  for (let i = 0; i < times; i++) result = await LoginThrottle.registerFailure(key);
+  return result;
+};
+
+// Seconds from now until the lock lifts, rounded
+const lockSeconds = ({ throttle }) =>
+  Math.round((throttle.lockUntil.getTime() - Date.now()) / 1000);
+
+describe("LoginThrottle.registerFailure", () => {
+  beforeEach(() => {
+    const counters = new Map();
+    LoginThrottle.findOneAndUpdate = async ({ key }, update) => {
+      if (!counters.has(key)) {
+        counters.set(key, new LoginThrottle({ key, expiresAt: new Date() }));
+      }
+      const throttle = counters.get(key);
+      throttle.failures += update.$inc.failures;
+      Object.assign(throttle, update.$set);
+      return throttle;
+    };
+    LoginThrottle.prototype.save = async function () {
+      return this;
+    };
+  });
+  afterEach(() => {
+    LoginThrottle.findOneAndUpdate = original.findOneAndUpdate;
+    LoginThrottle.prototype.save = original.save;
+  });
+
+  const account = LoginThrottle.accountKey("Rider@Example.com ");
+
+  it("keys accounts case- and space-insensitively", () => {
+    assert.equal(account, "account:rider@example.com");
+    assert.deepEqual(LoginThrottle.keysFor("rider@example.com", "10.0.0.1"), [
+      "account:rider@example.com",
+      "ip:10.0.0.1",
+    ]);
+  });
+
+  it("doesn't lock an account for its first four failures", async () => {
+    for (let i = 1; i <= 4; i++) {
+      const { locked, throttle } = await LoginThrottle.registerFailure(account);
+      assert.equal(locked, false, `failure ${i}`);
+      assert.equal(throttle.lockUntil, null);
+    }
+  });
+
+  it("locks an account for a minute on the fifth failure", async () => {
+    const result = await failTimes(account, 5);
+    assert.equal(result.locked, true);
+    assert.equal(result.throttle.failures, 5);
+    assert.equal(lockSeconds(result), 60);
+  });
+
+  it("doubles the lock with each further failure, up to an hour", async () => {
+    const seen = [];
+    await failTimes(account, 4);
+    for (let i = 0; i < 8; i++) {
+      seen.push(lockSeconds(await LoginThrottle.registerFailure(account)));
+    }
+    assert.deepEqual(seen, [60, 120, 240, 480, 960, 1920, 3600, 3600]);
+  });
+
+  it("gives an IP address twenty failures before locking it", async () => {
+    const ip = LoginThrottle.keysFor("", "10.0.0.1")[1];
+    assert.equal((await failTimes(ip, 19)).locked, false);
+    assert.equal(lockSeconds(await LoginThrottle.registerFailure(ip)), 60);
+  });
+
+  it("forgets quiet counters after a day", async () => {
+    const { throttle } = await LoginThrottle.registerFailure(account);
+    const hours = (throttle.expiresAt.getTime() - Date.now()) / (60 * 60 * 1000);
+    assert.ok(hours > 23.9 && hours <= 24, `expires in ${hours} hours`);
+  });
+});
@@ -0,0 +1,74 @@
+// Order status lifecycle (models/Order.js). Runs without a database.
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+
+const userId = new mongoose.Types.ObjectId();
+
+const orderIn = (status) =>
+  new Order({
+    user: userId,
+    status,
+    items: [
+      {
+        product: new mongoose.Types.ObjectId(),
+        name: "Brake pad",
+        price: 450,
+        quantity: 2,
+        subtotal: 900,
+      },
+    ],
+  });
+
+describe("Order status transitions", () => {
+  it("follows pending → paid → packed → shipped → delivered → returned", () => {
+    const order = orderIn("pending");
+    for (const next of ["paid", "packed", "shipped", "delivered", "returned"]) {
+      assert.ok(order.canTransitionTo(next), `${order.status} → ${next}`);
+      order.changeStatus(next, userId);
+    }
+    assert.equal(order.status, "returned");
+  });
+
+  it("allows cancelling only before the order ships", () => {
+    for (const status of ["pending", "paid", "packed"]) {
+      assert.ok(orderIn(status).canTransitionTo("cancelled"), status);
+    }
+    for (const status of ["shipped", "delivered", "returned", "cancelled"]) {
+      assert.equal(orderIn(status).canTransitionTo("cancelled"), false, status);
+    }
+  });
+
+  it("treats cancelled and returned as terminal", () => {
+    assert.deepEqual(Order.allowedTransitions("cancelled"), []);
+    assert.deepEqual(Order.allowedTransitions("returned"), []);
+  });
+
+  it("rejects unknown statuses", () => {
+    assert.deepEqual(Order.allowedTransitions("lost"), []);
+    assert.equal(orderIn("pending").canTransitionTo("lost"), false);
+  });
+
+  it("records who changed the status and why", () => {
+    const order = orderIn("paid");
+    order.changeStatus("packed", userId, "Packed at Manila");
+
+    const entry = order.statusHistory[order.statusHistory.length - 1];
+    assert.equal(entry.from, "paid");
+    assert.equal(entry.to, "packed");
+    assert.equal(entry.changedBy.toString(), userId.toString());
+    assert.equal(entry.note, "Packed at Manila");
+    assert.ok(entry.changedAt instanceof Date);
+  });
+
+  it("throws a 400 on an illegal move and leaves the order alone", () => {
+    const order = orderIn("delivered");
+    assert.throws(
+      () => order.changeStatus("paid", userId),
+      (error) => error.statusCode === 400 && /delivered to paid/.test(error.message)
+    );
+    assert.equal(order.status, "delivered");
+    assert.equal(order.statusHistory.length, 0);
+  });
+});
@@ -0,0 +1,124 @@
+// Scheduled sale pricing (models/PriceSchedule.js, utils/salePricing.js).
+// The scheduler's queries are answered from an in-memory list.
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const PriceSchedule = require("../models/PriceSchedule");
+const { saleFor, effectivePrice, refreshPriceSchedules } = require("../utils/salePricing");
+
+const HOUR = 60 * 60 * 1000;
+const brandId = new mongoose.Types.ObjectId();
+const categoryId = new mongoose.Types.ObjectId();
+
+const product = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  price: 1000,
+  discountedPrice: null,
+  brand: "Honda",
+  brandRef: brandId,
+  categories: [categoryId],
+  ...fields,
+});
+
+const sale = (fields) =>
+  new PriceSchedule({
+    name: "Payday sale",
+    discountType: "percentage",
+    value: 20,
+    startsAt: new Date(Date.now() - HOUR),
+    endsAt: new Date(Date.now() + HOUR),
+    ...fields,
+  });
+
+const original = {
+  updateMany: PriceSchedule.updateMany,
+  find: PriceSchedule.find,
+};
+
+// Load the given schedules the way the scheduler does
+const loadSales = async (schedules) => {
+  PriceSchedule.updateMany = async () => ({ modifiedCount: 0 });
+  PriceSchedule.find = async () => schedules;
+  await refreshPriceSchedules();
+};
+
+describe("sale pricing", () => {
+  beforeEach(() => loadSales([]));
+  afterEach(() => {
+    PriceSchedule.updateMany = original.updateMany;
+    PriceSchedule.find = original.find;
+  });
+
+  it("prices at the listed price with no sale running", () => {
+    assert.equal(saleFor(product()), null);
+    assert.equal(effectivePrice(product({ discountedPrice: 900 })), 900);
+  });
+
+  it("applies a running category sale to the regular price", async () => {
+    await loadSales([sale({ categories: [categoryId] })]);
+    const result = saleFor(product());
+    assert.equal(result.price, 800);
+    assert.equal(result.schedule.name, "Payday sale");
+    assert.equal(effectivePrice(product()), 800);
+  });
+
+  it("matches brand sales on the linked Brand", async () => {
+    await loadSales([sale({ brands: [brandId], discountType: "fixed", value: 150 })]);
+    assert.equal(effectivePrice(product()), 850);
+    assert.equal(effectivePrice(product({ brandRef: null })), 1000);
+  });
+
+  it("keeps a lower discountedPrice over a smaller sale", async () => {
+    await loadSales([sale({ categories: [categoryId] })]);
+    assert.equal(effectivePrice(product({ discountedPrice: 700 })), 700);
+  });
+
+  it("picks the best of several matching sales", async () => {
+    await loadSales([
+      sale({ categories: [categoryId], value: 10 }),
+      sale({ brands: [brandId], value: 30 }),
+    ]);
+    assert.equal(effectivePrice(product()), 700);
+  });
+
+  it("prices variants from their own price", async () => {
+    await loadSales([sale({ categories: [categoryId] })]);
+    assert.equal(effectivePrice(product(), { price: 2000 }), 1600);
+  });
+
+  it("starts and ends exactly on time between scheduler runs", async () => {
+    const startsAt = new Date(Date.now() + HOUR);
+    const endsAt = new Date(Date.now() + 2 * HOUR);
+    await loadSales([sale({ categories: [categoryId], startsAt, endsAt })]);
+
+    const item = product();
+    assert.equal(saleFor(item, null, new Date(startsAt.getTime() - 1)), null);
+    assert.equal(saleFor(item, null, startsAt).price, 800);
+    assert.equal(saleFor(item, null, new Date(endsAt.getTime() - 1)).price, 800);
+    assert.equal(saleFor(item, null, endsAt), null);
+  });
+
+  it("ignores sales switched off early", async () => {
+    await loadSales([sale({ categories: [categoryId], isActive: false })]);
+    assert.equal(saleFor(product()), null);
+  });
+
+  it("never sells below zero", () => {
+    assert.equal(sale({ discountType: "fixed", value: 5000 }).salePrice(1000), 0);
+  });
+
+  it("keeps the previous sales when a refresh fails", async () => {
+    await loadSales([sale({ categories: [categoryId] })]);
+    PriceSchedule.updateMany = async () => {
+      throw new Error("connection lost");
+    };
+
+    const originalError = console.error;
+    console.error = () => {};
+    const result = await refreshPriceSchedules();
+    console.error = originalError;
+
+    assert.equal(result.success, false);
+    assert.equal(effectivePrice(product()), 800);
+  });
+});
@@ -0,0 +1,79 @@
+// backend/utils/brandCounts.js
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const Brand = require("../models/Brand");
+
+const updateBrandProductCount = async (brandId) => {
+  try {
+    if (!brandId || !mongoose.Types.ObjectId.isValid(brandId)) return;
+
+    const productCount = await Product.countDocuments({
+      brandRef: brandId,
+      isActive: true,
+    });
+
+    await Brand.findByIdAndUpdate(brandId, { productCount });
+
+    console.log(
+      `✅ Updated product count for brand ${brandId}: ${productCount} products`
+    );
+  } catch (error) {
+    console.error("❌ Error updating brand product count:", error.message);
+  }
+};
+
+// Update several brands at once, skipping empty and repeated IDs
+const updateBrandProductCounts = async (brandIds) => {
+  const unique = [
+    ...new Set((brandIds || []).filter(Boolean).map((id) => id.toString())),
+  ];
+
+  for (const brandId of unique) {
+    await updateBrandProductCount(brandId);
+  }
+};
+
+const updateAllBrandProductCounts = async () => {
+  try {
+    console.log("🔄 Updating product counts for all brands...");
+
+    const brands = await Brand.find({}, "name productCount");
+    let updatedCount = 0;
+
+    for (const brand of brands) {
+      const productCount = await Product.countDocuments({
+        brandRef: brand._id,
+        isActive: true,
+      });
+
+      if (brand.productCount !== productCount) {
+        await Brand.findByIdAndUpdate(brand._id, { productCount });
+        updatedCount++;
+        console.log(`   📊 ${brand.name}: ${productCount} products (updated)`);
+      }
+    }
+
+    console.log(
+      `✅ Updated product counts for ${updatedCount}/${brands.length} brands`
+    );
+
+    return {
+      success: true,
+      message: `Updated ${updatedCount} brands`,
+      totalBrands: brands.length,
+      updated: updatedCount,
+    };
+  } catch (error) {
+    console.error("❌ Error updating all brand product counts:", error);
+    return {
+      success: false,
+      message: error.message,
+    };
+  }
+};
+
+module.exports = {
+  updateBrandProductCount,
+  updateBrandProductCounts,
+  updateAllBrandProductCounts,
+};
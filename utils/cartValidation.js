@@ -0,0 +1,180 @@
+// backend/utils/cartValidation.js
+const Product = require("../models/Product");
+const Coupon = require("../models/Coupon");
+const StockReservation = require("../models/StockReservation");
+const { reservationKey } = require("./reservations");
+const { processProductForResponse } = require("./productHelpers");
+const { priceWithCoupon, roundMoney } = require("./coupons");
+const { effectivePrice } = require("./salePricing");
+
+// Warnings that stop a line from being ordered as it stands
+const BLOCKING_WARNINGS = [
+  "product_unavailable",
+  "variant_unavailable",
+  "out_of_stock",
+  "insufficient_stock",
+];
+
+const PRODUCT_FIELDS =
+  "name price discountedPrice images stock options variants sku " +
+  "categories brand brandRef isActive isArchived";
+
+// Check every cart line against the live product: availability, price and
+// stock (less what other carts hold). Stored line prices are brought up to
+// date in place; the caller saves the cart when `changed` is true.
+// A coupon on the cart is priced over the orderable lines (pass userId to
+// check per-user limits); one that doesn't apply any more is reported as a
+// warning and left on the cart.
+// Returns { items, warnings, totals, coupon, changed }, where each item
+// carries its effective price, subtotal, discount and its own warnings.
+const validateCart = async (cart, { userId = null } = {}) => {
+  if (cart.items.length === 0) {
+    return {
+      items: [],
+      warnings: [],
+      totals: {
+        subtotal: 0,
+        discount: 0,
+        total: 0,
+        totalQuantity: 0,
+        itemCount: 0,
+        excludedItems: 0,
+        canCheckout: false,
+      },
+      coupon: null,
+      changed: false,
+    };
+  }
+
+  const productIds = cart.items.map((item) => item.product._id || item.product);
+  const products = await Product.find({ _id: { $in: productIds } }, PRODUCT_FIELDS);
+  const productMap = new Map(products.map((product) => [product._id.toString(), product]));
+  const reservedByOthers = await StockReservation.reservedQuantities(productIds, cart._id);
+
+  const items = [];
+  const warnings = [];
+  let changed = false;
+
+  for (const item of cart.items) {
+    const productId = (item.product._id || item.product).toString();
+    const product = productMap.get(productId);
+    const lineWarnings = [];
+
+    const warn = (code, message, details = {}) => {
+      const warning = { code, message, itemId: item._id, product: productId, ...details };
+      lineWarnings.push(warning);
+      warnings.push(warning);
+    };
+
+    let variant = null;
+    let price = item.price;
+    let available = 0;
+
+    if (!product || !product.isActive || product.isArchived) {
+      warn("product_unavailable", "This product is no longer available");
+    } else {
+      if (item.variant) {
+        variant = product.getVariant(item.variant);
+        if (!variant || !variant.isActive) {
+          warn("variant_unavailable", "This option is no longer available");
+        }
+      } else if (product.variants.length > 0) {
+        warn("variant_unavailable", "Please choose an option for this product");
+      }
+
+      price = effectivePrice(product, variant);
+      if (price !== item.price) {
+        warn(
+          "price_changed",
+          `Price changed from ₱${item.price.toFixed(2)} to ₱${price.toFixed(2)}`,
+          { oldPrice: item.price, newPrice: price }
+        );
+        item.price = price;
+        changed = true;
+      }
+
+      const held = reservedByOthers.get(reservationKey(product._id, item.variant)) || 0;
+      available = Math.max(0, product.stockFor(variant) - held);
+      if (lineWarnings.every((warning) => warning.code !== "variant_unavailable")) {
+        if (available === 0) {
+          warn("out_of_stock", "This item is out of stock", { available });
+        } else if (available < item.quantity) {
+          warn("insufficient_stock", `Only ${available} available`, { available });
+        }
+      }
+    }
+
+    const orderable = lineWarnings.every(
+      (warning) => !BLOCKING_WARNINGS.includes(warning.code)
+    );
+
+    items.push({
+      _id: item._id,
+      product: product
+        ? processProductForResponse(product)
+        : { _id: productId, name: "Unavailable product" },
+      variant: variant
+        ? {
+            _id: variant._id,
+            sku: variant.sku,
+            options: Object.fromEntries(variant.options),
+          }
+        : item.variant || null,
+      quantity: item.quantity,
+      price,
+      subtotal: roundMoney(price * item.quantity),
+      discount: 0,
+      total: roundMoney(price * item.quantity),
+      available,
+      orderable,
+      warnings: lineWarnings,
+    });
+  }
+
+  const orderableItems = items.filter((item) => item.orderable);
+  const subtotal = roundMoney(
+    orderableItems.reduce((total, item) => total + item.subtotal, 0)
+  );
+
+  let coupon = null;
+  if (cart.coupon) {
+    const applied = await Coupon.findById(cart.coupon);
+    const pricing = applied
+      ? await priceWithCoupon(applied, orderableItems, userId)
+      : { valid: false, message: "This coupon no longer exists" };
+
+    if (pricing.valid) {
+      pricing.lines.forEach((line, index) => {
+        orderableItems[index].discount = line.discount;
+        orderableItems[index].total = line.total;
+      });
+      coupon = { ...pricing.coupon, applied: true, discount: pricing.discount };
+    } else {
+      coupon = {
+        _id: cart.coupon,
+        code: applied ? applied.code : null,
+        applied: false,
+        message: pricing.message,
+      };
+      warnings.push({ code: "coupon_not_applied", message: pricing.message });
+    }
+  }
+
+  const discount = coupon && coupon.applied ? coupon.discount : 0;
+  const totals = {
+    subtotal,
+    discount,
+    total: roundMoney(subtotal - discount),
+    totalQuantity: orderableItems.reduce((total, item) => total + item.quantity, 0),
+    itemCount: items.length,
+    excludedItems: items.length - orderableItems.length,
+    canCheckout: items.length > 0 && orderableItems.length === items.length,
+  };
+
+  return { items, warnings, totals, coupon, changed };
+};
+
+module.exports = {
+  BLOCKING_WARNINGS,
+  validateCart,
+};
@@ -0,0 +1,85 @@
+// backend/utils/categoryCounts.js
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const Category = require("../models/Category");
+
+const updateCategoryProductCount = async (categoryId) => {
+  try {
+    if (!categoryId || !mongoose.Types.ObjectId.isValid(categoryId)) return;
+
+    const productCount = await Product.countDocuments({
+      categories: categoryId,
+      isActive: true,
+    });
+
+    await Category.findByIdAndUpdate(categoryId, {
+      productCountReal: productCount,
+      productCountUpdatedAt: Date.now(),
+      updatedAt: Date.now(),
+    });
+
+    console.log(
+      `✅ Updated product count for category ${categoryId}: ${productCount} products`
+    );
+
+    // Also update parent categories if any
+    const category = await Category.findById(categoryId);
+    if (category && category.parentCategory) {
+      await updateCategoryProductCount(category.parentCategory);
+    }
+  } catch (error) {
+    console.error("❌ Error updating category product count:", error.message);
+  }
+};
+
+const updateAllCategoryProductCounts = async () => {
+  try {
+    console.log("🔄 Updating product counts for all categories...");
+
+    const categories = await Category.find({});
+    let updatedCount = 0;
+
+    for (const category of categories) {
+      const productCount = await Product.countDocuments({
+        categories: category._id,
+        isActive: true,
+      });
+
+      if (category.productCountReal !== productCount) {
+        await Category.findByIdAndUpdate(category._id, {
+          productCountReal: productCount,
+          productCountUpdatedAt: Date.now(),
+          updatedAt: Date.now(),
+        });
+        updatedCount++;
+        console.log(
+          `   📊 ${category.name}: ${productCount} products ${
+            productCount !== category.productCountReal ? "(updated)" : ""
+          }`
+        );
+      }
+    }
+
+    console.log(
+      `✅ Updated product counts for ${updatedCount}/${categories.length} categories`
+    );
+
+    return {
+      success: true,
+      message: `Updated ${updatedCount} categories`,
+      totalCategories: categories.length,
+      updated: updatedCount,
+    };
+  } catch (error) {
+    console.error("❌ Error updating all category product counts:", error);
+    return {
+      success: false,
+      message: error.message,
+    };
+  }
+};
+
+module.exports = {
+  updateCategoryProductCount,
+  updateAllCategoryProductCounts,
+};
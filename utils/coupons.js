@@ -0,0 +1,109 @@
+// backend/utils/coupons.js
+const Order = require("../models/Order");
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// What shoppers are shown about a coupon
+const couponSummary = (coupon) => ({
+  _id: coupon._id,
+  code: coupon.code,
+  description: coupon.description,
+  type: coupon.type,
+  value: coupon.value,
+  maxDiscount: coupon.maxDiscount,
+  minSpend: coupon.minSpend,
+  endsAt: coupon.endsAt,
+});
+
+// Orders the user has placed with the coupon, leaving out cancelled ones
+const userCouponUses = (couponId, userId) =>
+  Order.countDocuments({
+    user: userId,
+    "coupon.coupon": couponId,
+    status: { $ne: "cancelled" },
+  });
+
+// Price lines with a coupon. Each line is { _id, product, quantity, price }
+// where product has _id, name, categories and brand. Returns
+// { valid: false, message } when the coupon can't be used, otherwise
+// { valid: true, coupon, subtotal, eligibleSubtotal, discount, total, lines }
+// with each line's share of the discount. The discount is spread over the
+// lines in scope by their share of the in-scope subtotal; the last one
+// takes any rounding remainder. Per-user limits are checked only when a
+// userId is given (guests are checked when they check out).
+const priceWithCoupon = async (coupon, lines, userId = null) => {
+  const reason = coupon.unavailableReason();
+  if (reason) return { valid: false, message: reason };
+
+  if (userId && coupon.perUserLimit !== null) {
+    const uses = await userCouponUses(coupon._id, userId);
+    if (uses >= coupon.perUserLimit) {
+      return { valid: false, message: "You've already used this coupon" };
+    }
+  }
+
+  const breakdown = lines.map((line) => {
+    const subtotal = roundMoney(line.price * line.quantity);
+    return {
+      itemId: line._id || null,
+      product: line.product._id,
+      name: line.product.name,
+      quantity: line.quantity,
+      price: line.price,
+      subtotal,
+      eligible: coupon.appliesTo(line.product),
+      discount: 0,
+      total: subtotal,
+    };
+  });
+
+  const subtotal = roundMoney(breakdown.reduce((total, line) => total + line.subtotal, 0));
+  if (subtotal < coupon.minSpend) {
+    return {
+      valid: false,
+      message: `Spend at least ₱${coupon.minSpend.toFixed(2)} to use this coupon`,
+    };
+  }
+
+  const eligible = breakdown.filter((line) => line.eligible);
+  const eligibleSubtotal = roundMoney(
+    eligible.reduce((total, line) => total + line.subtotal, 0)
+  );
+  if (eligibleSubtotal === 0) {
+    return { valid: false, message: "This coupon doesn't apply to anything in your cart" };
+  }
+
+  let discount =
+    coupon.type === "percentage" ? (eligibleSubtotal * coupon.value) / 100 : coupon.value;
+  if (coupon.type === "percentage" && coupon.maxDiscount !== null) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  discount = roundMoney(Math.min(discount, eligibleSubtotal));
+
+  let remaining = discount;
+  eligible.forEach((line, index) => {
+    const share =
+      index === eligible.length - 1
+        ? remaining
+        : roundMoney((discount * line.subtotal) / eligibleSubtotal);
+    line.discount = Math.min(share, line.subtotal);
+    line.total = roundMoney(line.subtotal - line.discount);
+    remaining = roundMoney(remaining - line.discount);
+  });
+
+  return {
+    valid: true,
+    coupon: couponSummary(coupon),
+    subtotal,
+    eligibleSubtotal,
+    discount,
+    total: roundMoney(subtotal - discount),
+    lines: breakdown,
+  };
+};
+
+module.exports = {
+  roundMoney,
+  couponSummary,
+  priceWithCoupon,
+};
@@ -0,0 +1,134 @@
+// backend/utils/guestCart.js
+const Cart = require("../models/Cart");
+const Product = require("../models/Product");
+const StockReservation = require("../models/StockReservation");
+const { reservationKey } = require("./reservations");
+const { effectivePrice } = require("./salePricing");
+
+// Header guests send their cart token in (login/register also take it as
+// `cartToken` in the body)
+const CART_TOKEN_HEADER = "X-Cart-Token";
+
+const guestTokenFrom = (req) =>
+  (req.body && req.body.cartToken) || req.header(CART_TOKEN_HEADER) || null;
+
+// Move a guest cart into a user's cart after they log in or register.
+// Lines already in the user's cart have the guest quantity added on top.
+// Anything that can't come across in full is listed in `conflicts`: the
+// product or option is gone, or stock (less what other carts hold) only
+// covers part of it, in which case the line is capped at what's available.
+// The guest cart and its holds are removed. Never throws; returns null when
+// there is no guest cart to merge.
+const mergeGuestCart = async (token, userId) => {
+  try {
+    const guestCart = await Cart.findByGuestToken(token);
+    if (!guestCart) return null;
+
+    // The guest's holds go; merged lines are held again under the user's cart
+    await StockReservation.release(guestCart._id);
+
+    let cart = await Cart.findOne({ user: userId });
+    if (!cart) {
+      cart = new Cart({ user: userId, items: [] });
+    }
+
+    const productIds = guestCart.items.map((item) => item.product);
+    const products = await Product.find({ _id: { $in: productIds } });
+    const productMap = new Map(products.map((product) => [product._id.toString(), product]));
+    const reservedByOthers = await StockReservation.reservedQuantities(productIds, cart._id);
+
+    const conflicts = [];
+    const holds = [];
+    let added = 0;
+    let combined = 0;
+
+    for (const guestItem of guestCart.items) {
+      const productId = guestItem.product.toString();
+      const product = productMap.get(productId);
+
+      const conflict = (code, message, details = {}) =>
+        conflicts.push({
+          code,
+          message,
+          product: productId,
+          name: product ? product.name : null,
+          variant: guestItem.variant,
+          requested: guestItem.quantity,
+          ...details,
+        });
+
+      if (!product || !product.isActive || product.isArchived) {
+        conflict("product_unavailable", "This product is no longer available");
+        continue;
+      }
+
+      let variant = null;
+      if (product.variants.length > 0) {
+        variant = guestItem.variant ? product.getVariant(guestItem.variant) : null;
+        if (!variant || !variant.isActive) {
+          conflict("variant_unavailable", "This option is no longer available");
+          continue;
+        }
+      }
+
+      const variantKey = variant ? variant._id.toString() : null;
+      const existingItem = cart.items.find(
+        (item) =>
+          item.product.toString() === productId &&
+          (item.variant ? item.variant.toString() : null) === variantKey
+      );
+      const current = existingItem ? existingItem.quantity : 0;
+      const wanted = current + guestItem.quantity;
+
+      const held = reservedByOthers.get(reservationKey(product._id, variantKey)) || 0;
+      const available = Math.max(0, product.stockFor(variant) - held);
+
+      // Never lower what the user already had; cart validation flags that
+      const quantity = Math.max(current, Math.min(wanted, available));
+      if (quantity < wanted) {
+        conflict(
+          available > 0 ? "insufficient_stock" : "out_of_stock",
+          available > 0 ? `Only ${available} available` : "This item is out of stock",
+          { available, quantity }
+        );
+      }
+      if (quantity === current) continue;
+
+      if (existingItem) {
+        existingItem.quantity = quantity;
+        combined += 1;
+      } else {
+        cart.items.push({
+          product: product._id,
+          variant: variantKey,
+          quantity,
+          price: effectivePrice(product, variant),
+        });
+        added += 1;
+      }
+      holds.push([product._id, variantKey, quantity]);
+    }
+
+    // Keep the guest's coupon unless the user already has one on their cart
+    if (!cart.coupon && guestCart.coupon) {
+      cart.coupon = guestCart.coupon;
+    }
+
+    await cart.save();
+    for (const [productId, variantKey, quantity] of holds) {
+      await StockReservation.hold(cart._id, productId, variantKey, quantity);
+    }
+    await guestCart.deleteOne();
+
+    return { success: true, cart: cart._id, added, combined, conflicts };
+  } catch (error) {
+    console.error("❌ Error merging guest cart:", error.message);
+    return { success: false, message: error.message };
+  }
+};
+
+module.exports = {
+  CART_TOKEN_HEADER,
+  guestTokenFrom,
+  mergeGuestCart,
+};
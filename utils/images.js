@@ -0,0 +1,215 @@
+// backend/utils/images.js
+const path = require("path");
+const fs = require("fs");
+const multer = require("multer");
+
+// Create uploads directory structure
+const uploadsDir = path.join(__dirname, "..", "uploads");
+const categoryUploadsDir = path.join(uploadsDir, "categories");
+const productUploadsDir = path.join(uploadsDir, "products");
+
+// Create directories if they don't exist
+[uploadsDir, categoryUploadsDir, productUploadsDir].forEach((dir) => {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+});
+
+// Configure multer storage for categories
+const categoryStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, categoryUploadsDir);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+    const ext = path.extname(file.originalname).toLowerCase();
+    const filename = "category-" + uniqueSuffix + ext;
+    cb(null, filename);
+  },
+});
+
+// Configure multer storage for products
+const productStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, productUploadsDir);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+    const ext = path.extname(file.originalname).toLowerCase();
+    const filename = "product-" + uniqueSuffix + ext;
+    cb(null, filename);
+  },
+});
+
+// File filter to allow only images
+const fileFilter = (req, file, cb) => {
+  const allowedTypes = /jpeg|jpg|png|gif|webp/;
+  const extname = allowedTypes.test(
+    path.extname(file.originalname).toLowerCase()
+  );
+  const mimetype = allowedTypes.test(file.mimetype);
+
+  if (mimetype && extname) {
+    return cb(null, true);
+  } else {
+    cb(new Error("Only image files are allowed (jpeg, jpg, png, gif, webp)"));
+  }
+};
+
+// Initialize multer uploads
+const uploadProductImages = multer({
+  storage: productStorage,
+  limits: {
+    fileSize: 5 * 1024 * 1024,
+  },
+  fileFilter: fileFilter,
+});
+
+const uploadCategoryImage = multer({
+  storage: categoryStorage,
+  limits: {
+    fileSize: 5 * 1024 * 1024,
+  },
+  fileFilter: fileFilter,
+});
+
+const deleteImageFile = (imagePath) => {
+  if (!imagePath) return;
+
+  let fullPath;
+
+  if (imagePath.startsWith("uploads/")) {
+    fullPath = path.join(uploadsDir, imagePath.substring("uploads/".length));
+  } else if (imagePath.startsWith("/uploads/")) {
+    fullPath = path.join(uploadsDir, imagePath.substring("/uploads/".length));
+  } else if (imagePath.includes("categories/")) {
+    const filename = imagePath.split("/").pop();
+    fullPath = path.join(categoryUploadsDir, filename);
+  } else if (imagePath.includes("products/")) {
+    const filename = imagePath.split("/").pop();
+    fullPath = path.join(productUploadsDir, filename);
+  } else {
+    if (imagePath.startsWith("category-")) {
+      fullPath = path.join(categoryUploadsDir, imagePath);
+    } else if (imagePath.startsWith("product-")) {
+      fullPath = path.join(productUploadsDir, imagePath);
+    } else {
+      fullPath = path.join(uploadsDir, imagePath);
+    }
+  }
+
+  if (fs.existsSync(fullPath)) {
+    fs.unlink(fullPath, (err) => {
+      if (err) {
+        console.error("❌ Error deleting image file:", err.message);
+      } else {
+        console.log("✅ Deleted image file:", fullPath);
+      }
+    });
+  }
+};
+
+const getImageUrl = (filename, type = "product") => {
+  if (!filename || filename.trim() === "") {
+    return "";
+  }
+
+  if (filename.startsWith("http") || filename.startsWith("data:")) {
+    return filename;
+  }
+
+  if (filename.startsWith("/uploads/")) {
+    return filename;
+  }
+
+  if (type === "category") {
+    return `/uploads/categories/${filename}`;
+  } else {
+    return `/uploads/products/${filename}`;
+  }
+};
+
+const extractFilename = (imagePath) => {
+  if (!imagePath || imagePath.trim() === "") return "";
+
+  if (imagePath.includes("/")) {
+    const filename = imagePath.split("/").pop();
+    return filename || "";
+  }
+
+  return imagePath;
+};
+
+const saveBase64Image = (base64Data, type = "product") => {
+  if (!base64Data || !base64Data.startsWith("data:image/")) {
+    return "";
+  }
+
+  try {
+    const matches = base64Data.match(/^data:image\/(\w+);base64,(.+)$/);
+    if (!matches || matches.length !== 3) {
+      return "";
+    }
+
+    const mimeType = matches[1];
+    const base64String = matches[2];
+    const buffer = Buffer.from(base64String, "base64");
+
+    const dir = type === "category" ? categoryUploadsDir : productUploadsDir;
+    const prefix = type === "category" ? "category-" : "product-";
+    const ext = mimeType === "jpeg" ? "jpg" : mimeType;
+
+    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+    const filename = `${prefix}${uniqueSuffix}.${ext}`;
+    const filepath = path.join(dir, filename);
+
+    fs.writeFileSync(filepath, buffer);
+
+    console.log(`✅ Saved base64 image as: ${filename}`);
+    return filename;
+  } catch (error) {
+    console.error("❌ Error saving base64 image:", error.message);
+    return "";
+  }
+};
+
+const processImagesArray = (images, type = "product") => {
+  if (!images || !Array.isArray(images)) {
+    return [];
+  }
+
+  const filenames = [];
+
+  for (const image of images) {
+    if (!image || typeof image !== "string" || image.trim() === "") continue;
+
+    if (image.startsWith("data:image/")) {
+      const filename = saveBase64Image(image, type);
+      if (filename) {
+        filenames.push(filename);
+      }
+    } else if (image.includes("/")) {
+      const filename = extractFilename(image);
+      if (filename) {
+        filenames.push(filename);
+      }
+    } else {
+      filenames.push(image);
+    }
+  }
+
+  return [...new Set(filenames.filter((f) => f && f.trim() !== ""))];
+};
+
+module.exports = {
+  uploadsDir,
+  categoryUploadsDir,
+  productUploadsDir,
+  uploadProductImages,
+  uploadCategoryImage,
+  deleteImageFile,
+  getImageUrl,
+  extractFilename,
+  saveBase64Image,
+  processImagesArray,
+};
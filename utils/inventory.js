@@ -0,0 +1,270 @@
+// backend/utils/inventory.js
+//
+// Every change to product stock goes through here so it lands in the
+// StockMovement ledger. Nothing else should write `stock` or `inventory`
+// directly.
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const StockMovement = require("../models/StockMovement");
+const StockTransfer = require("../models/StockTransfer");
+const Warehouse = require("../models/Warehouse");
+const { notifyRestock } = require("./restockNotifications");
+
+// Stock at or below this many units counts as low; shared by the low-stock
+// report, product stats and reorder suggestions
+const LOW_STOCK_THRESHOLD = 10;
+
+const idOf = (value) => (value ? value._id || value : null);
+
+const variantStock = (product, variantId) => {
+  if (!variantId) return null;
+  const variant = product.variants.id(variantId);
+  return variant ? variant.stock : null;
+};
+
+// Products from before stock was kept per warehouse have no inventory yet.
+// Move their stock into the default warehouse the first time stock code
+// touches them, so it can still be sold and counted. Returns true when this
+// call moved it.
+const ensureWarehouseStock = async (productId) => {
+  const defaultWarehouse = await Warehouse.getDefault();
+  if (!defaultWarehouse) return false;
+  const result = await Product.moveStockToWarehouse(productId, defaultWarehouse._id);
+  return result.modifiedCount > 0;
+};
+
+// Find the warehouse a request names by ID or code, falling back to the
+// default warehouse when none is named. Returns null if there is none.
+const resolveWarehouse = async (value) =>
+  value ? Warehouse.findByCodeOrId(value) : Warehouse.getDefault();
+
+// Apply a signed stock change at a warehouse and record it. Returns the
+// updated product, or null when a decrease would take stock below zero
+// (nothing is changed or recorded then).
+const changeStock = async ({
+  product,
+  variant = null,
+  warehouse,
+  delta,
+  reason,
+  reference = null,
+  referenceModel = null,
+  user = null,
+  note = "",
+}) => {
+  const productId = idOf(product);
+  const variantId = idOf(variant);
+  const warehouseId = idOf(warehouse);
+
+  // Stock arriving at an unmigrated product must not replace what it held
+  if (delta > 0) await ensureWarehouseStock(productId);
+
+  const updated = await Product.adjustStock(productId, variantId, warehouseId, delta);
+  if (!updated) return null;
+
+  const variantBalance = variantStock(updated, variantId);
+
+  await StockMovement.record({
+    product: productId,
+    variant: variantId,
+    warehouse: warehouseId,
+    delta,
+    reason,
+    reference,
+    referenceModel: reference ? referenceModel : null,
+    user,
+    balance: updated.stock,
+    variantBalance,
+    warehouseBalance: updated.stockAt(warehouseId, variantId),
+    note,
+  });
+
+  // Back from sold out: tell subscribers and wishlist owners. Transfers only
+  // move stock around, and the notices aren't awaited so email never holds
+  // up stock.
+  if (delta > 0 && reason !== "transfer") {
+    notifyRestock({
+      product: updated,
+      variant: variantId,
+      productRestocked: updated.stock - delta === 0,
+      variantRestocked: variantBalance !== null && variantBalance - delta === 0,
+    });
+  }
+
+  return updated;
+};
+
+// Set the stock at a warehouse to a counted amount, recording the
+// difference as an adjustment. Returns the updated product, or null if the
+// product or variant is gone.
+const setStock = async ({
+  product,
+  variant = null,
+  warehouse,
+  quantity,
+  user = null,
+  note = "",
+}) => {
+  const productId = idOf(product);
+  const variantId = idOf(variant);
+
+  let current = await Product.findById(productId, "stock variants inventory");
+  if (!current) return null;
+  if (variantId && !current.variants.id(variantId)) return null;
+  if (current.inventory.length === 0) {
+    await ensureWarehouseStock(productId);
+    current = await Product.findById(productId, "stock variants inventory");
+  }
+
+  const delta =
+    Math.max(0, Number(quantity) || 0) - current.stockAt(idOf(warehouse), variantId);
+  if (delta === 0) return current;
+
+  return changeStock({
+    product: productId,
+    variant: variantId,
+    warehouse,
+    delta,
+    reason: "adjustment",
+    user,
+    note,
+  });
+};
+
+// Take stock for a sale, from the default warehouse first and then from
+// whichever others hold the most. Returns the allocations made
+// ([{ warehouse, quantity }]), or null when there isn't enough stock; any
+// partial allocation is put back first.
+const allocateStock = async ({ product, variant = null, quantity, ...ledger }) => {
+  const variantId = idOf(variant);
+  const defaultWarehouse = await Warehouse.getDefault();
+  const defaultId = defaultWarehouse ? defaultWarehouse._id.toString() : null;
+
+  let { inventory } = product;
+  if (inventory.length === 0) {
+    await ensureWarehouseStock(idOf(product));
+    const current = await Product.findById(idOf(product), "inventory");
+    inventory = current ? current.inventory : [];
+  }
+
+  const candidates = inventory
+    .filter(
+      (entry) =>
+        entry.quantity > 0 &&
+        (variantId
+          ? entry.variant && entry.variant.toString() === variantId.toString()
+          : !entry.variant)
+    )
+    .sort((a, b) => {
+      if (a.warehouse.toString() === defaultId) return -1;
+      if (b.warehouse.toString() === defaultId) return 1;
+      return b.quantity - a.quantity;
+    });
+
+  const allocations = [];
+  let remaining = quantity;
+
+  for (const entry of candidates) {
+    if (remaining === 0) break;
+
+    const take = Math.min(entry.quantity, remaining);
+    const updated = await changeStock({
+      ...ledger,
+      product,
+      variant: variantId,
+      warehouse: entry.warehouse,
+      delta: -take,
+      reason: "sale",
+    });
+    if (!updated) break;
+
+    allocations.push({ warehouse: entry.warehouse, quantity: take });
+    remaining -= take;
+  }
+
+  if (remaining > 0) {
+    await releaseStock({
+      ...ledger,
+      product,
+      variant: variantId,
+      allocations,
+      note: "Checkout failed",
+    });
+    return null;
+  }
+
+  return allocations;
+};
+
+// Put stock back where allocateStock took it from. Allocations recorded
+// before stock was kept per warehouse go back to the default warehouse.
+const releaseStock = async ({
+  product,
+  variant = null,
+  allocations,
+  quantity,
+  reason = "cancellation",
+  ...ledger
+}) => {
+  let returns = allocations;
+  if (!returns || returns.length === 0) {
+    const defaultWarehouse = quantity ? await Warehouse.getDefault() : null;
+    returns = defaultWarehouse ? [{ warehouse: defaultWarehouse._id, quantity }] : [];
+  }
+
+  for (const allocation of returns) {
+    await changeStock({
+      ...ledger,
+      product,
+      variant,
+      warehouse: allocation.warehouse,
+      delta: allocation.quantity,
+      reason,
+    });
+  }
+};
+
+// Move stock between two warehouses. Returns the StockTransfer, or null
+// when the source warehouse doesn't hold enough.
+const transferStock = async ({ product, variant = null, from, to, quantity, user = null, note = "" }) => {
+  const transferId = new mongoose.Types.ObjectId();
+  const ledger = {
+    product,
+    variant,
+    reason: "transfer",
+    reference: transferId,
+    referenceModel: "StockTransfer",
+    user,
+    note,
+  };
+
+  const taken = await changeStock({ ...ledger, warehouse: from, delta: -quantity });
+  if (!taken) return null;
+
+  const added = await changeStock({ ...ledger, warehouse: to, delta: quantity });
+  if (!added) {
+    await changeStock({ ...ledger, warehouse: from, delta: quantity, note: "Transfer failed" });
+    return null;
+  }
+
+  return StockTransfer.create({
+    _id: transferId,
+    product: idOf(product),
+    variant: idOf(variant),
+    from: idOf(from),
+    to: idOf(to),
+    quantity,
+    user,
+    note,
+  });
+};
+
+module.exports = {
+  LOW_STOCK_THRESHOLD,
+  resolveWarehouse,
+  changeStock,
+  setStock,
+  allocateStock,
+  releaseStock,
+  transferStock,
+};
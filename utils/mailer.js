@@ -0,0 +1,62 @@
+// backend/utils/mailer.js
+const fs = require("fs");
+const path = require("path");
+
+// A transport is any object with an async send(message) method, where
+// message is { from, to, subject, text, html }. The default writes each
+// message to a JSON file in a local outbox so flows can be tested without
+// an SMTP server; call setTransport() at startup to plug in a real one.
+
+const createOutboxTransport = (
+  outboxDir = process.env.MAIL_OUTBOX_DIR ||
+    path.join(__dirname, "..", "outbox")
+) => ({
+  name: "outbox",
+  outboxDir,
+  send: async (message) => {
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+
+    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+    const filepath = path.join(outboxDir, `mail-${uniqueSuffix}.json`);
+
+    await fs.promises.writeFile(
+      filepath,
+      JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+    );
+
+    console.log(`📧 Mail to ${message.to} written to ${filepath}`);
+    return { id: path.basename(filepath), path: filepath };
+  },
+});
+
+let transport = createOutboxTransport();
+
+const setTransport = (newTransport) => {
+  if (!newTransport || typeof newTransport.send !== "function") {
+    throw new Error("Mail transport must have a send(message) function");
+  }
+  transport = newTransport;
+};
+
+const getTransport = () => transport;
+
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!to || !subject) {
+    throw new Error("Mail needs a recipient and a subject");
+  }
+
+  return transport.send({
+    from: process.env.MAIL_FROM || "Federal Parts <no-reply@federalpartsphilippines.com>",
+    to,
+    subject,
+    text: text || "",
+    html: html || "",
+  });
+};
+
+module.exports = {
+  createOutboxTransport,
+  setTransport,
+  getTransport,
+  sendMail,
+};
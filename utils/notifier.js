@@ -0,0 +1,59 @@
+// backend/utils/notifier.js
+const fs = require("fs");
+const path = require("path");
+const { sendMail } = require("./mailer");
+
+// A notifier is any object with an async notify(notice) method, where
+// notice is { type, to, subject, text, data }. `to` is an email address and
+// `data` carries whatever else a channel may want (product, variant...).
+// The default emails each notice through the mailer. With NOTIFIER=file
+// (handy in tests) notices are appended to a JSON-lines file instead; call
+// setNotifier() at startup to plug in anything else.
+
+const createMailNotifier = () => ({
+  name: "mail",
+  notify: ({ to, subject, text, html }) => sendMail({ to, subject, text, html }),
+});
+
+const createFileNotifier = (
+  filePath = process.env.NOTIFY_FILE ||
+    path.join(__dirname, "..", "outbox", "notifications.jsonl")
+) => ({
+  name: "file",
+  filePath,
+  notify: async (notice) => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(
+      filePath,
+      JSON.stringify({ ...notice, date: new Date().toISOString() }) + "\n"
+    );
+    return { path: filePath };
+  },
+});
+
+let notifier =
+  process.env.NOTIFIER === "file" ? createFileNotifier() : createMailNotifier();
+
+const setNotifier = (newNotifier) => {
+  if (!newNotifier || typeof newNotifier.notify !== "function") {
+    throw new Error("Notifier must have a notify(notice) function");
+  }
+  notifier = newNotifier;
+};
+
+const getNotifier = () => notifier;
+
+const notify = async (notice) => {
+  if (!notice || !notice.to || !notice.subject) {
+    throw new Error("Notice needs a recipient and a subject");
+  }
+  return notifier.notify(notice);
+};
+
+module.exports = {
+  createMailNotifier,
+  createFileNotifier,
+  setNotifier,
+  getNotifier,
+  notify,
+};
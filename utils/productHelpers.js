@@ -0,0 +1,167 @@
+// backend/utils/productHelpers.js
+const path = require("path");
+const fs = require("fs");
+const mongoose = require("mongoose");
+const { productUploadsDir, processImagesArray } = require("./images");
+const { saleFor, effectivePrice } = require("./salePricing");
+
+// Parse an array of ObjectIds sent as a JSON string, a single ID or an array
+const parseObjectIdArray = (input) => {
+  let values = [];
+
+  try {
+    if (typeof input === "string") {
+      values = input.trim().startsWith("[") ? JSON.parse(input) : [input];
+    } else if (Array.isArray(input)) {
+      values = input;
+    }
+  } catch (e) {
+    console.error("❌ Error parsing ID array:", e.message);
+    values = [];
+  }
+
+  return [
+    ...new Set(
+      values
+        .filter((value) => value && mongoose.Types.ObjectId.isValid(value))
+        .map((value) => value.toString())
+    ),
+  ];
+};
+
+// Parse a JSON array sent as a string, or pass an array through
+const parseJsonArray = (input, label) => {
+  if (Array.isArray(input)) return input;
+  if (typeof input !== "string" || input.trim() === "") return [];
+
+  try {
+    const parsed = JSON.parse(input);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    console.error(`❌ Error parsing ${label}:`, e.message);
+    return [];
+  }
+};
+
+// Parse option axes, e.g. [{ "name": "Size", "values": ["S", "M"] }]
+const parseProductOptions = (input) =>
+  parseJsonArray(input, "product options")
+    .filter((option) => option && option.name && String(option.name).trim())
+    .map((option) => ({
+      name: String(option.name).trim(),
+      values: [
+        ...new Set(
+          (Array.isArray(option.values) ? option.values : [])
+            .map((value) => String(value).trim())
+            .filter((value) => value !== "")
+        ),
+      ],
+    }));
+
+// Parse variants sent by the admin form. Variants that carry the _id of an
+// existing variant keep that ID (carts and orders point at it). Stock is
+// null when the form didn't send one; callers apply stock through
+// utils/inventory rather than saving it with the variant.
+const parseProductVariants = (input, existingVariants = []) => {
+  const existing = new Map(
+    existingVariants.map((variant) => [variant._id.toString(), variant])
+  );
+
+  return parseJsonArray(input, "product variants")
+    .filter((variant) => variant && typeof variant === "object")
+    .map((variant) => {
+      const id =
+        variant._id && mongoose.Types.ObjectId.isValid(variant._id)
+          ? variant._id.toString()
+          : null;
+      const previous = id ? existing.get(id) : null;
+
+      const price = parseFloat(variant.price);
+      const stock = parseInt(variant.stock);
+
+      const parsed = {
+        options: variant.options || {},
+        sku: variant.sku ? String(variant.sku).trim() : previous?.sku || "",
+        price: !isNaN(price) && price >= 0 ? price : null,
+        stock: !isNaN(stock) ? Math.max(0, stock) : null,
+        images: processImagesArray(
+          Array.isArray(variant.images) ? variant.images : [],
+          "product"
+        ),
+        fitments: parseObjectIdArray(variant.fitments || []),
+        isActive: variant.isActive !== undefined ? !!variant.isActive : true,
+      };
+
+      if (previous) parsed._id = previous._id;
+      return parsed;
+    });
+};
+
+// Turn a stored product image into a URL, or "" if the file is gone
+const toProductImageUrl = (image) => {
+  if (
+    image.startsWith("http") ||
+    image.startsWith("data:") ||
+    image.startsWith("/uploads/")
+  ) {
+    return image;
+  }
+
+  const imagePath = path.join(productUploadsDir, image);
+  if (fs.existsSync(imagePath)) {
+    return `/uploads/products/${image}`;
+  }
+
+  console.warn(`⚠️ Image not found on server: ${image}`);
+  return "";
+};
+
+const processImageList = (images) =>
+  (Array.isArray(images) ? images : [])
+    .filter((image) => image && image.trim() !== "")
+    .map(toProductImageUrl)
+    .filter((image) => image !== "");
+
+const processProductForResponse = (product) => {
+  const productObj = product.toObject
+    ? product.toObject({ flattenMaps: true })
+    : product;
+
+  productObj.images = processImageList(productObj.images);
+
+  // Running sale, if any, and the price shoppers pay right now
+  const sale = saleFor(productObj);
+  productObj.effectivePrice = effectivePrice(productObj);
+  productObj.sale = sale
+    ? {
+        _id: sale.schedule._id,
+        name: sale.schedule.name,
+        endsAt: sale.schedule.endsAt,
+      }
+    : null;
+
+  if (Array.isArray(productObj.variants)) {
+    productObj.variants = productObj.variants.map((variant) => ({
+      ...variant,
+      images: processImageList(variant.images),
+      effectivePrice: effectivePrice(productObj, variant),
+    }));
+  }
+
+  return productObj;
+};
+
+// Product name with the variant's option values, e.g. "Brake Pad (Front, Red)"
+const productLabel = (product, variantId = null) => {
+  const variant = variantId ? product.variants.id(variantId) : null;
+  if (!variant) return product.name;
+  return `${product.name} (${[...variant.options.values()].join(", ")})`;
+};
+
+module.exports = {
+  parseObjectIdArray,
+  parseProductOptions,
+  parseProductVariants,
+  processProductForResponse,
+  productLabel,
+};
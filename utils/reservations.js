@@ -0,0 +1,69 @@
+// backend/utils/reservations.js
+const StockReservation = require("../models/StockReservation");
+
+// How often the sweeper clears out expired holds
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const reservationKey = (productId, variantId) =>
+  `${productId}:${variantId ? variantId.toString() : ""}`;
+
+// Stock of a product (or one of its variants) not held by other carts
+const availableStock = async (product, variant, excludeCart = null) => {
+  const reserved = await StockReservation.reservedQuantities([product._id], excludeCart);
+  const held = reserved.get(reservationKey(product._id, variant ? variant._id : null)) || 0;
+  return Math.max(0, product.stockFor(variant) - held);
+};
+
+// Add reserved and available (stock - reserved) to processed product
+// objects, and to each of their variants
+const attachAvailability = async (products, excludeCart = null) => {
+  if (products.length === 0) return products;
+
+  const reserved = await StockReservation.reservedQuantities(
+    products.map((product) => product._id),
+    excludeCart
+  );
+
+  for (const product of products) {
+    product.reserved = reserved.get(`${product._id}:*`) || 0;
+    product.available = Math.max(0, (product.stock || 0) - product.reserved);
+
+    if (Array.isArray(product.variants)) {
+      for (const variant of product.variants) {
+        variant.reserved = reserved.get(reservationKey(product._id, variant._id)) || 0;
+        variant.available = Math.max(0, (variant.stock || 0) - variant.reserved);
+      }
+    }
+  }
+
+  return products;
+};
+
+// Delete expired holds so they stop counting anywhere
+const releaseExpiredReservations = async () => {
+  try {
+    const result = await StockReservation.releaseExpired();
+    if (result.deletedCount > 0) {
+      console.log(`🧹 Released ${result.deletedCount} expired stock reservations`);
+    }
+    return { success: true, released: result.deletedCount };
+  } catch (error) {
+    console.error("❌ Error releasing expired reservations:", error.message);
+    return { success: false, message: error.message };
+  }
+};
+
+// Run the sweeper on a timer. The timer doesn't keep the process alive.
+const startReservationSweeper = (intervalMs = SWEEP_INTERVAL_MS) => {
+  const timer = setInterval(releaseExpiredReservations, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  reservationKey,
+  availableStock,
+  attachAvailability,
+  releaseExpiredReservations,
+  startReservationSweeper,
+};
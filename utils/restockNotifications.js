@@ -0,0 +1,105 @@
+// backend/utils/restockNotifications.js
+const StockSubscription = require("../models/StockSubscription");
+const { notify } = require("./notifier");
+const { productLabel } = require("./productHelpers");
+const { notifyWishlistRestock } = require("./wishlists");
+
+// Variants whose subscriptions a restock answers: null (any stock of the
+// product) when the product total came back, plus the variant when it did
+const restockedVariants = ({ variant, productRestocked, variantRestocked }) => {
+  const variants = [];
+  if (productRestocked) variants.push(null);
+  if (variant && variantRestocked) variants.push(variant);
+  return variants;
+};
+
+// Tell everyone subscribed to a product (or variant) that just came back in
+// stock. Each pending subscription is claimed before sending so two
+// restocks running together can't both send it, and several subscriptions
+// for the same email become one notice. Delivery is recorded on every
+// subscription: notified, or the error (it stays pending for the next
+// restock until MAX_ATTEMPTS, then it is failed). Never throws.
+const dispatchRestockNotifications = async ({
+  product,
+  variant = null,
+  productRestocked = false,
+  variantRestocked = false,
+}) => {
+  try {
+    const variants = restockedVariants({ variant, productRestocked, variantRestocked });
+    if (variants.length === 0) return { success: true, sent: 0, failed: 0 };
+
+    const pending = await StockSubscription.find(
+      { product: product._id, variant: { $in: variants }, status: "pending" },
+      "_id"
+    );
+
+    const byEmail = new Map();
+    for (const { _id } of pending) {
+      const claimed = await StockSubscription.findOneAndUpdate(
+        { _id, status: "pending" },
+        { $set: { status: "sending", updatedAt: new Date() }, $inc: { attempts: 1 } },
+        { new: true }
+      );
+      if (!claimed) continue;
+      if (!byEmail.has(claimed.email)) byEmail.set(claimed.email, []);
+      byEmail.get(claimed.email).push(claimed);
+    }
+    if (byEmail.size === 0) return { success: true, sent: 0, failed: 0 };
+
+    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+    const link = `${frontendUrl}/products/${product._id}`;
+    const label = productLabel(product, variant);
+
+    let sent = 0;
+    let failed = 0;
+
+    for (const [email, subscriptions] of byEmail) {
+      let error = null;
+      try {
+        await notify({
+          type: "back_in_stock",
+          to: email,
+          subject: `Back in stock: ${label}`,
+          text: `Hi,\n\nYou asked us to tell you when ${label} is back in stock. It is!\n\n${link}\n\nStock is limited, so grab it before it runs out again.`,
+          data: { product: product._id, variant },
+        });
+        sent += 1;
+      } catch (notifyError) {
+        error = notifyError;
+        failed += 1;
+        console.error(`❌ Error sending restock notice to ${email}:`, notifyError.message);
+      }
+
+      for (const subscription of subscriptions) {
+        if (error) {
+          subscription.lastError = error.message;
+          subscription.status =
+            subscription.attempts >= StockSubscription.MAX_ATTEMPTS ? "failed" : "pending";
+        } else {
+          subscription.lastError = null;
+          subscription.status = "notified";
+          subscription.notifiedAt = new Date();
+        }
+        subscription.updatedAt = new Date();
+        await subscription.save();
+      }
+    }
+
+    console.log(`🔔 Restock of ${label}: ${sent} notices sent, ${failed} failed`);
+    return { success: true, sent, failed };
+  } catch (error) {
+    console.error("❌ Error dispatching restock notifications:", error.message);
+    return { success: false, message: error.message };
+  }
+};
+
+// Everything that should happen when stock comes back from zero. Runs in
+// the background: changeStock doesn't wait for it.
+const notifyRestock = (restock) =>
+  Promise.all([dispatchRestockNotifications(restock), notifyWishlistRestock(restock)]);
+
+module.exports = {
+  dispatchRestockNotifications,
+  notifyRestock,
+};
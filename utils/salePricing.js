@@ -0,0 +1,98 @@
+// backend/utils/salePricing.js
+const PriceSchedule = require("../models/PriceSchedule");
+
+// How often the scheduler reloads sales and moves them between statuses
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+// Sales that are running or still to come, kept in memory so prices can be
+// worked out without a query per product. Times are checked on every
+// lookup, so a sale starts and ends on the dot even between reloads.
+let schedules = [];
+
+// Regular price of a product or variant, before any discount
+const regularPrice = (product, variant) =>
+  variant && variant.price !== null && variant.price !== undefined
+    ? variant.price
+    : product.price;
+
+// Price the product is listed at without a sale (same as Product.priceFor,
+// but works on plain objects too)
+const listedPrice = (product, variant) =>
+  variant && variant.price !== null && variant.price !== undefined
+    ? variant.price
+    : product.discountedPrice || product.price;
+
+// The best running sale for a product (or variant). Returns
+// { price, schedule } or null when no sale applies.
+const saleFor = (product, variant = null, now = new Date()) => {
+  let best = null;
+  for (const schedule of schedules) {
+    if (!schedule.isLiveAt(now) || !schedule.appliesTo(product)) continue;
+    const price = schedule.salePrice(regularPrice(product, variant));
+    if (!best || price < best.price) best = { price, schedule };
+  }
+  return best;
+};
+
+// What a shopper pays per unit right now: the listed price, or the sale
+// price when a running sale makes it lower
+const effectivePrice = (product, variant = null) => {
+  const listed = listedPrice(product, variant);
+  const sale = saleFor(product, variant);
+  return sale && sale.price < listed ? sale.price : listed;
+};
+
+// Start sales whose time has come, end the ones that are over, and reload
+// the in-memory list. Never throws.
+const refreshPriceSchedules = async () => {
+  try {
+    const now = new Date();
+
+    const activated = await PriceSchedule.updateMany(
+      {
+        isActive: true,
+        status: "scheduled",
+        startsAt: { $lte: now },
+        endsAt: { $gt: now },
+      },
+      { $set: { status: "active", activatedAt: now } }
+    );
+    const ended = await PriceSchedule.updateMany(
+      { status: { $ne: "ended" }, endsAt: { $lte: now } },
+      { $set: { status: "ended", endedAt: now } }
+    );
+
+    schedules = await PriceSchedule.find({ isActive: true, endsAt: { $gt: now } });
+
+    if (activated.modifiedCount > 0 || ended.modifiedCount > 0) {
+      console.log(
+        `🏷️ Sales updated: ${activated.modifiedCount} started, ${ended.modifiedCount} ended`
+      );
+    }
+    return {
+      success: true,
+      activated: activated.modifiedCount,
+      ended: ended.modifiedCount,
+      loaded: schedules.length,
+    };
+  } catch (error) {
+    console.error("❌ Error refreshing price schedules:", error.message);
+    return { success: false, message: error.message };
+  }
+};
+
+// Load sales now and keep them current on a timer. The timer doesn't keep
+// the process alive.
+const startSaleScheduler = (intervalMs = SCHEDULER_INTERVAL_MS) => {
+  refreshPriceSchedules();
+  const timer = setInterval(refreshPriceSchedules, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  saleFor,
+  effectivePrice,
+  refreshPriceSchedules,
+  startSaleScheduler,
+};
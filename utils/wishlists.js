@@ -0,0 +1,91 @@
+// backend/utils/wishlists.js
+const Wishlist = require("../models/Wishlist");
+const StockMovement = require("../models/StockMovement");
+const { notify } = require("./notifier");
+const { productLabel } = require("./productHelpers");
+
+// When the product (or one variant) last sold out, from the stock ledger.
+// Null if it never has since the ledger started.
+const lastSoldOutAt = async (productId, variant) => {
+  const match = variant
+    ? { product: productId, variant, variantBalance: 0 }
+    : { product: productId, balance: 0 };
+  const movement = await StockMovement.findOne(match, "createdAt").sort({ createdAt: -1 });
+  return movement ? movement.createdAt : null;
+};
+
+// Email everyone whose wishlists hold a product that just came back in
+// stock. `productRestocked` means the product total went from 0 to some
+// stock (matches list items without a variant); `variantRestocked` means
+// `variant` did (matches items saved with that variant). One email per user,
+// naming the lists it is on. Items whose owner was already told since the
+// last sellout are skipped, so a repeated restock doesn't email twice.
+// Never throws.
+const notifyWishlistRestock = async ({
+  product,
+  variant = null,
+  productRestocked = false,
+  variantRestocked = false,
+}) => {
+  try {
+    const variants = [];
+    if (productRestocked) variants.push(null);
+    if (variant && variantRestocked) variants.push(variant);
+    if (variants.length === 0) return { success: true, notified: 0 };
+
+    const dueItems = [];
+    for (const restocked of variants) {
+      const soldOutAt = await lastSoldOutAt(product._id, restocked);
+      const notYetTold = [{ restockNotifiedAt: null }];
+      if (soldOutAt) notYetTold.push({ restockNotifiedAt: { $lt: soldOutAt } });
+      dueItems.push({ product: product._id, variant: restocked, $or: notYetTold });
+    }
+
+    const wishlists = await Wishlist.find({
+      $or: dueItems.map((item) => ({ items: { $elemMatch: item } })),
+    }).populate("user", "name email");
+    if (wishlists.length === 0) return { success: true, notified: 0 };
+
+    const byUser = new Map();
+    for (const wishlist of wishlists) {
+      if (!wishlist.user) continue;
+      const key = wishlist.user._id.toString();
+      if (!byUser.has(key)) byUser.set(key, { user: wishlist.user, lists: [] });
+      byUser.get(key).lists.push(wishlist.name);
+    }
+
+    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+    const link = `${frontendUrl}/products/${product._id}`;
+    const label = productLabel(product, variant);
+
+    for (const { user, lists } of byUser.values()) {
+      try {
+        await notify({
+          type: "wishlist_restock",
+          to: user.email,
+          subject: `Back in stock: ${label}`,
+          text: `Hi ${user.name},\n\nGood news! ${label} is back in stock. It's on your ${lists.length > 1 ? "lists" : "list"} "${lists.join('", "')}".\n\n${link}\n\nStock is limited, so grab it before it runs out again.`,
+          data: { product: product._id, variant, lists },
+        });
+      } catch (error) {
+        console.error(`❌ Error emailing ${user.email} about a restock:`, error.message);
+      }
+    }
+
+    await Wishlist.updateMany(
+      { _id: { $in: wishlists.map((wishlist) => wishlist._id) } },
+      { $set: { "items.$[item].restockNotifiedAt": new Date() } },
+      { arrayFilters: [{ "item.product": product._id, "item.variant": { $in: variants } }] }
+    );
+
+    console.log(`📬 Told ${byUser.size} users that ${label} is back in stock`);
+    return { success: true, notified: byUser.size };
+  } catch (error) {
+    console.error("❌ Error sending wishlist restock notices:", error.message);
+    return { success: false, message: error.message };
+  }
+};
+
+module.exports = {
+  notifyWishlistRestock,
+};